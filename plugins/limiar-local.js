@@ -0,0 +1,41 @@
+/* ===== PLUGIN DE EXEMPLO: LIMIAR LOCAL PELA MÉDIA ===== */
+// Binariza cada pixel comparando-o com a média da sua vizinhança (2r+1)x(2r+1):
+//   s = maxv se r(x,y) > média - c, senão 0
+// Útil em imagens com iluminação desigual, onde um limiar global (slice) falha.
+//
+// Uso:
+//   node src/worker.js /tmp/imgpipe saida.pbm limiar-local 7 5 4
+//   node src/worker.js /tmp/imgpipe saida.pbm equalizar,limiar-local:7:5 4
+
+module.exports = {
+    name: 'limiar-local',
+    description: 'binariza pela média da vizinhança (raio r, constante c)',
+    params: [
+        { name: 'r', type: 'int', min: 1, max: 50, default: 7 },
+        { name: 'c', type: 'number', default: 0 }
+    ],
+    // O filtro lê r linhas acima e abaixo de cada linha processada
+    radius: (params) => params.r,
+
+    apply(band) {
+        const { width, channels, rowStart, rowEnd, maxValue, params } = band;
+        const { r, c } = params;
+        const area = (2 * r + 1) * (2 * r + 1);
+
+        for (let y = rowStart; y < rowEnd; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let ch = 0; ch < channels; ch++) {
+                    let sum = 0;
+                    for (let dy = -r; dy <= r; dy++) {
+                        for (let dx = -r; dx <= r; dx++) {
+                            sum += band.get(x + dx, y + dy, ch);
+                        }
+                    }
+                    band.set(x, y, ch, band.get(x, y, ch) > sum / area - c ? maxValue : 0);
+                }
+            }
+        }
+
+        return (rowEnd - rowStart) * width;
+    }
+};
@@ -0,0 +1,162 @@
+/* ===== LIMIARIZAÇÃO ADAPTATIVA (LOCAL) - BASE MATEMÁTICA ===== */
+// Em digitalizações com iluminação irregular, um limiar global (slice t1 t2) apaga as
+// regiões escuras ou junta o fundo das claras. O limiar adaptativo compara cada pixel com
+// a média m e o desvio padrão s da janela n x n centrada nele:
+//
+//   media     T = m · (1 - k)                      (Bradley-Roth, k padrão 0.15)
+//   niblack   T = m + k · s                        (k padrão -0.2)
+//   sauvola   T = m · (1 + k · (s / R - 1))        (R = maxv / 2, k padrão 0.5)
+//
+//   saída = maxv se r > T, senão 0      (fundo claro, texto escuro)
+//
+// m e s saem de tabelas de somas acumuladas (imagem integral) de r e de r², em O(1) por pixel:
+//   S(x, y) = Σ r(i, j), i <= x, j <= y
+//   soma da janela [x0, x1] x [y0, y1] = S(x1, y1) - S(x0-1, y1) - S(x1, y0-1) + S(x0-1, y0-1)
+// Perto das bordas a janela é cortada pela imagem (m e s usam só os pixels dentro dela).
+//
+// Montagem paralela das tabelas, em faixas de linhas:
+//   1) TASK_PHASE_INTEGRAL: cada thread monta as somas da sua faixa como se ela começasse
+//      na linha 0 (somas locais)
+//   2) a thread principal acumula a última linha de cada faixa: o "transporte" da faixa b é
+//      a linha S(·, início de b - 1) da tabela global (soma dos transportes anteriores)
+//   3) TASK_PHASE_INTEGRAL_FIXUP: cada thread soma o transporte da sua faixa em todas as
+//      suas linhas, e as tabelas passam a ser globais
+//   4) TASK_PHASE_ADAPTIVE: limiar de cada pixel (a janela pode ler linhas de outras faixas,
+//      por isso há uma barreira depois do passo 3)
+// As somas são Float64: inteiras e exatas enquanto Σ r² < 2^53, então o resultado não
+// depende do número de threads.
+
+// Métodos aceitos e valor padrão de k
+const ADAPTIVE_METHODS = {
+    media: 0.15,
+    niblack: -0.2,
+    sauvola: 0.5
+};
+
+/**
+ * Valida os parâmetros do limiar adaptativo
+ * Retorna { method, window, radius, k }
+ */
+function parseAdaptiveSpec(method, windowStr, kStr) {
+    if (ADAPTIVE_METHODS[method] === undefined) {
+        throw new Error(`Método adaptativo inválido: ${method}. Use ${Object.keys(ADAPTIVE_METHODS).join(', ')}`);
+    }
+    const window = windowStr !== undefined ? Number(windowStr) : 15;
+    if (!Number.isInteger(window) || window < 3 || window % 2 === 0) {
+        throw new Error(`Janela inválida: ${windowStr}. Use um inteiro ímpar >= 3`);
+    }
+    const k = kStr !== undefined ? Number(kStr) : ADAPTIVE_METHODS[method];
+    if (String(kStr).trim() === '' || !Number.isFinite(k) || k < -1 || k > 1) {
+        throw new Error(`Parâmetro k inválido: ${kStr}. Use um número entre -1 e 1`);
+    }
+    return { method, window, radius: (window - 1) / 2, k };
+}
+
+/**
+ * Passo 1: somas acumuladas locais de r e r² nas linhas [rowStart, rowEnd)
+ * (a faixa é tratada como se começasse na linha 0)
+ */
+function integralBlock(inputData, sums, squares, width, rowStart, rowEnd) {
+    for (let y = rowStart; y < rowEnd; y++) {
+        let rowSum = 0, rowSquares = 0;
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const value = inputData[i];
+            rowSum += value;
+            rowSquares += value * value;
+            sums[i] = y > rowStart ? sums[i - width] + rowSum : rowSum;
+            squares[i] = y > rowStart ? squares[i - width] + rowSquares : rowSquares;
+        }
+    }
+    return (rowEnd - rowStart) * width;
+}
+
+/**
+ * Passo 2 (thread principal): transporte de cada faixa a partir da última linha local das anteriores
+ * rowRanges: [{ rowStart, rowEnd }] em ordem; retorna [{ rowStart, sums, squares }] (Float64Array de largura width)
+ */
+function computeIntegralCarries(sums, squares, width, rowRanges) {
+    const carries = [];
+    let carrySums = new Float64Array(width);
+    let carrySquares = new Float64Array(width);
+
+    for (const { rowStart, rowEnd } of rowRanges) {
+        carries.push({ rowStart, sums: carrySums, squares: carrySquares });
+
+        const last = (rowEnd - 1) * width;
+        const nextSums = new Float64Array(width);
+        const nextSquares = new Float64Array(width);
+        for (let x = 0; x < width; x++) {
+            nextSums[x] = carrySums[x] + sums[last + x];
+            nextSquares[x] = carrySquares[x] + squares[last + x];
+        }
+        carrySums = nextSums;
+        carrySquares = nextSquares;
+    }
+    return carries;
+}
+
+/**
+ * Passo 3: soma o transporte da faixa nas linhas [rowStart, rowEnd) (tabelas passam a ser globais)
+ */
+function integralFixupBlock(sums, squares, width, rowStart, rowEnd, carry) {
+    if (rowStart === 0) {
+        return 0; // a primeira faixa já é global
+    }
+    for (let y = rowStart; y < rowEnd; y++) {
+        for (let x = 0; x < width; x++) {
+            sums[y * width + x] += carry.sums[x];
+            squares[y * width + x] += carry.squares[x];
+        }
+    }
+    return (rowEnd - rowStart) * width;
+}
+
+/**
+ * Passo 4: limiar de cada pixel das linhas [rowStart, rowEnd) pela média e desvio da janela
+ * adaptive: { method, radius, k }
+ */
+function adaptiveThresholdBlock(inputData, sums, squares, outputData, width, height, rowStart, rowEnd, adaptive, maxValue, outputRowOffset = 0) {
+    const { method, radius, k } = adaptive;
+    const range = maxValue / 2; // R do Sauvola (128 em 8 bits)
+
+    // Soma da tabela até (x, y); índices -1 valem 0
+    const at = (table, x, y) => (x < 0 || y < 0 ? 0 : table[y * width + x]);
+    const windowSum = (table, x0, y0, x1, y1) =>
+        at(table, x1, y1) - at(table, x0 - 1, y1) - at(table, x1, y0 - 1) + at(table, x0 - 1, y0 - 1);
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height - 1, y + radius);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width - 1, x + radius);
+            const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+
+            const mean = windowSum(sums, x0, y0, x1, y1) / count;
+            let threshold;
+            if (method === 'media') {
+                threshold = mean * (1 - k);
+            } else {
+                const variance = windowSum(squares, x0, y0, x1, y1) / count - mean * mean;
+                const deviation = Math.sqrt(Math.max(0, variance));
+                threshold = method === 'niblack'
+                    ? mean + k * deviation
+                    : mean * (1 + k * (deviation / range - 1));
+            }
+
+            outputData[(y - outputRowOffset) * width + x] = inputData[y * width + x] > threshold ? maxValue : 0;
+        }
+    }
+
+    return (rowEnd - rowStart) * width;
+}
+
+module.exports = {
+    ADAPTIVE_METHODS,
+    parseAdaptiveSpec,
+    integralBlock,
+    computeIntegralCarries,
+    integralFixupBlock,
+    adaptiveThresholdBlock
+};
@@ -0,0 +1,128 @@
+/* ===== OPERAÇÕES ENTRE DUAS IMAGENS - BASE MATEMÁTICA ===== */
+// Operações pixel a pixel entre a imagem da etapa (A) e uma segunda imagem (B) enviada
+// pelo sender na mesma sessão, ambas com as mesmas dimensões:
+//
+//   diferenca    s = |A - B|                     (comparação antes/depois)
+//   mistura α    s = round(α·A + (1 - α)·B)      (0 <= α <= 1)
+//   soma         s = min(maxv, A + B)            (saturada)
+//   subtracao    s = max(0, A - B)               (saturada)
+//   menor        s = min(A, B)
+//   maior        s = max(A, B)
+//   mascara      s = B != 0 ? A : 0              (B binária, ex.: saída do slice ou PBM)
+//
+// B é reescalada para o maxv de A quando as profundidades diferem (ex.: 8 e 16 bits).
+// B em tons de cinza pode ser aplicada aos três canais de uma A colorida.
+// Como nos filtros pontuais, as threads dividem as linhas e cada pixel depende só de A e B
+// na mesma posição: a segunda imagem fica inteira em um buffer compartilhado.
+
+// Número de parâmetros de cada operação na linha de comando
+const ARITHMETIC_OPERATIONS = {
+    diferenca: 0,
+    mistura: 1,   // <α>, peso da imagem atual
+    soma: 0,
+    subtracao: 0,
+    menor: 0,
+    maior: 0,
+    mascara: 0
+};
+
+/**
+ * Valida os parâmetros de uma operação entre imagens
+ * Retorna a especificação { operation, alpha }
+ */
+function parseArithmeticSpec(operation, values) {
+    const arity = ARITHMETIC_OPERATIONS[operation];
+    if (arity === undefined) {
+        throw new Error(`Operação entre imagens inválida: ${operation}. Use ${Object.keys(ARITHMETIC_OPERATIONS).join(', ')}`);
+    }
+    if (values.length < arity) {
+        throw new Error(`Operação ${operation} requer ${arity} parâmetro(s)`);
+    }
+
+    if (operation === 'mistura') {
+        const alpha = Number(values[0]);
+        if (String(values[0]).trim() === '' || !Number.isFinite(alpha) || alpha < 0 || alpha > 1) {
+            throw new Error(`Peso da mistura deve estar entre 0 e 1, recebido: ${values[0]}`);
+        }
+        return { operation, alpha };
+    }
+    return { operation, alpha: null };
+}
+
+/**
+ * Verifica se a segunda imagem pode ser combinada com a imagem da etapa
+ * image e second: { w, h, maxv, channels }
+ */
+function validateSecondImage(operation, image, second) {
+    if (!second) {
+        throw new Error(`Operação ${operation} requer uma segunda imagem: node sender.js <fifo> <imagem> <segunda_imagem>`);
+    }
+    if (image.w !== second.w || image.h !== second.h) {
+        throw new Error(`Dimensões incompatíveis na operação ${operation}: imagem ${image.w}x${image.h}, segunda imagem ${second.w}x${second.h}`);
+    }
+    if (second.channels !== 1 && second.channels !== image.channels) {
+        throw new Error(`Operação ${operation}: segunda imagem colorida requer imagem colorida (canais: ${image.channels} e ${second.channels})`);
+    }
+}
+
+/**
+ * Retorna a função s = f(a, b) da operação, com b já na escala de a
+ */
+function createArithmeticOperation(operation, alpha, maxValue) {
+    switch (operation) {
+        case 'diferenca':
+            return (a, b) => Math.abs(a - b);
+        case 'mistura':
+            return (a, b) => Math.min(maxValue, Math.max(0, Math.round(alpha * a + (1 - alpha) * b)));
+        case 'soma':
+            return (a, b) => Math.min(maxValue, a + b);
+        case 'subtracao':
+            return (a, b) => Math.max(0, a - b);
+        case 'menor':
+            return (a, b) => Math.min(a, b);
+        case 'maior':
+            return (a, b) => Math.max(a, b);
+        case 'mascara':
+            return (a, b) => (b !== 0 ? a : 0);
+        default:
+            throw new Error(`Operação entre imagens inválida: ${operation}`);
+    }
+}
+
+/**
+ * Aplica a operação nas linhas [rowStart, rowEnd) da imagem
+ * secondData: segunda imagem inteira; arithmetic: { operation, alpha, secondMaxValue, secondChannels }
+ */
+function applyArithmeticBlock(inputData, secondData, outputData, width, rowStart, rowEnd, arithmetic, maxValue, channels = 1, inputRowOffset = 0, outputRowOffset = 0) {
+    if (!secondData) {
+        throw new Error('Operação entre imagens requer a segunda imagem no buffer compartilhado');
+    }
+    const { operation, alpha, secondMaxValue, secondChannels } = arithmetic;
+    const apply = createArithmeticOperation(operation, alpha, maxValue);
+
+    // A máscara só testa b != 0; as demais operações comparam b na escala de a
+    const scale = operation === 'mascara' || secondMaxValue === maxValue ? 1 : maxValue / secondMaxValue;
+    const rowSamples = width * channels;
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        const inputBase = (y - inputRowOffset) * rowSamples;
+        const outputBase = (y - outputRowOffset) * rowSamples;
+        const secondBase = y * width * secondChannels;
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                const raw = secondData[secondBase + x * secondChannels + (secondChannels === 1 ? 0 : c)];
+                const b = scale === 1 ? raw : Math.round(raw * scale);
+                outputData[outputBase + x * channels + c] = apply(inputData[inputBase + x * channels + c], b);
+            }
+        }
+    }
+
+    return (rowEnd - rowStart) * width;
+}
+
+module.exports = {
+    ARITHMETIC_OPERATIONS,
+    parseArithmeticSpec,
+    validateSecondImage,
+    applyArithmeticBlock
+};
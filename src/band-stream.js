@@ -0,0 +1,499 @@
+const fs = require('fs');
+const {
+    Header, HEADER_SIZE, Frame, FRAME_HEADER_SIZE, FRAME_MAGIC, parseNetpbmHeader, bytesPerSample, createSampleArray, samplesFromBuffer, samplesToBuffer
+} = require('./pgm-utils');
+
+/* ===== LEITURA E ESCRITA EM FAIXAS DE LINHAS (STREAMING) ===== */
+// Para imagens maiores que a memória, a imagem não é carregada inteira: ela é lida
+// e gravada em faixas (bandas) de N linhas. O pico de memória fica limitado ao
+// tamanho da faixa, e não ao tamanho da imagem.
+//
+// Fontes suportadas:
+//   - arquivo Netpbm binário (P5/P6) no disco
+//   - FIFO com o protocolo sender/worker (struct Header + parâmetros + pixels),
+//     uma imagem por conexão ou uma sessão de várias imagens em quadros (struct Frame)
+
+// Tamanho máximo do cabeçalho Netpbm aceito no modo streaming (comentários longos)
+const MAX_NETPBM_HEADER = 1024 * 1024;
+
+/**
+ * Leitor de bytes sobre um Readable: entrega exatamente n bytes por chamada
+ * (ou menos, no fim dos dados), acumulando apenas os chunks necessários
+ */
+class StreamByteReader {
+    constructor(stream) {
+        this.stream = stream;
+        this.iterator = stream[Symbol.asyncIterator]();
+        this.chunks = [];
+        this.buffered = 0;
+        this.ended = false;
+        this.totalRead = 0; // bytes já consumidos (para mensagens de erro)
+    }
+
+    async _fill(n) {
+        while (this.buffered < n && !this.ended) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                this.ended = true;
+            } else {
+                this.chunks.push(value);
+                this.buffered += value.length;
+            }
+        }
+    }
+
+    /**
+     * Retorna até n bytes sem consumi-los
+     */
+    async peek(n) {
+        await this._fill(n);
+        if (this.chunks.length > 1) {
+            this.chunks = [Buffer.concat(this.chunks)];
+        }
+        const head = this.chunks[0] || Buffer.alloc(0);
+        return head.slice(0, Math.min(n, head.length));
+    }
+
+    /**
+     * Consome e retorna até n bytes
+     */
+    async read(n) {
+        await this._fill(n);
+
+        const parts = [];
+        let needed = Math.min(n, this.buffered);
+        while (needed > 0) {
+            const chunk = this.chunks[0];
+            if (chunk.length <= needed) {
+                parts.push(chunk);
+                this.chunks.shift();
+                needed -= chunk.length;
+            } else {
+                parts.push(chunk.slice(0, needed));
+                this.chunks[0] = chunk.slice(needed);
+                needed = 0;
+            }
+        }
+
+        const result = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+        this.buffered -= result.length;
+        this.totalRead += result.length;
+        return result;
+    }
+
+    close() {
+        this.stream.destroy();
+    }
+}
+
+/**
+ * Leitor de imagem em faixas de linhas
+ * protocol: 'netpbm' (arquivo P5/P6) ou 'fifo' (struct Header do sender)
+ */
+class ImageBandReader {
+    constructor(stream, bandRows, protocol) {
+        if (!Number.isInteger(bandRows) || bandRows < 1) {
+            throw new Error(`Tamanho de faixa inválido: ${bandRows} (deve ser um inteiro >= 1)`);
+        }
+        this.reader = new StreamByteReader(stream);
+        this.bandRows = bandRows;
+        this.protocol = protocol;
+        this.info = null;      // { w, h, maxv, channels, header }
+        this.nextRow = 0;      // próxima linha a ser lida
+    }
+
+    /**
+     * Lê o cabeçalho da imagem
+     * No protocolo FIFO, chamar de novo após a última faixa lê a próxima imagem da sessão
+     * Retorna { w, h, maxv, channels, header } (header só existe no protocolo FIFO)
+     */
+    async readHeader() {
+        if (this.protocol === 'fifo') {
+            const buffer = await this.reader.read(HEADER_SIZE);
+            if (buffer.length === 0 && this.info) {
+                throw new Error('fim dos dados antes do cabeçalho da próxima imagem');
+            }
+            if (buffer.length < HEADER_SIZE) {
+                throw new Error('Dados insuficientes para cabeçalho');
+            }
+
+            // Parte fixa (número mágico, versão, formato) e o bloco de parâmetros do filtro
+            const header = new Header();
+            const paramBytes = header.fromBuffer(buffer);
+            const params = await this.reader.read(paramBytes);
+            if (params.length < paramBytes) {
+                throw new Error(`Bloco de parâmetros incompleto: esperado ${paramBytes} bytes, recebido ${params.length}`);
+            }
+            header.paramsFromBuffer(params);
+
+            this.info = { w: header.w, h: header.h, maxv: header.maxv, channels: header.channels, header };
+            this.nextRow = 0;
+            return this.info;
+        }
+
+        // Netpbm: o cabeçalho tem tamanho variável, então lê porções crescentes
+        // até que o parser encontre o separador antes do raster
+        let size = 512;
+        for (;;) {
+            const data = await this.reader.peek(size);
+            try {
+                const { magic, width, height, maxValue, headerSize } = parseNetpbmHeader(data);
+                if (magic !== 'P5' && magic !== 'P6') {
+                    throw new Error(`Leitura em faixas suporta apenas P5/P6 binários, encontrado: ${magic}`);
+                }
+                await this.reader.read(headerSize);
+                this.info = { w: width, h: height, maxv: maxValue, channels: magic === 'P6' ? 3 : 1 };
+                return this.info;
+            } catch (error) {
+                const incomplete = error.message.startsWith('Cabeçalho incompleto');
+                if (!incomplete || this.reader.ended || size >= MAX_NETPBM_HEADER) {
+                    throw error;
+                }
+                size *= 2;
+            }
+        }
+    }
+
+    /**
+     * Número mágico dos próximos dados do FIFO, sem consumi-los
+     * (PROTOCOL_MAGIC = imagem, FRAME_MAGIC = quadro da sessão; '' no fim dos dados)
+     */
+    async peekMagic() {
+        const magic = await this.reader.peek(FRAME_MAGIC.length);
+        return magic.toString('latin1');
+    }
+
+    /**
+     * Verifica se a conexão do FIFO é uma sessão com quadros (começa por FRAME_MAGIC)
+     */
+    async isSession() {
+        return this.protocol === 'fifo' && await this.peekMagic() === FRAME_MAGIC;
+    }
+
+    /**
+     * Lê o próximo quadro da sessão (parte fixa + JSON)
+     * No quadro IMAGE, as imagens são lidas em seguida com readHeader() e nextBand()
+     */
+    async readFrame() {
+        const buffer = await this.reader.read(FRAME_HEADER_SIZE);
+        if (buffer.length === 0) {
+            throw new Error('Sessão interrompida: fim dos dados sem o quadro encerrar');
+        }
+        if (buffer.length < FRAME_HEADER_SIZE) {
+            throw new Error('Dados insuficientes para quadro da sessão');
+        }
+
+        const frame = new Frame();
+        const metaBytes = frame.fromBuffer(buffer);
+        const meta = await this.reader.read(metaBytes);
+        if (meta.length < metaBytes) {
+            throw new Error(`Quadro ${frame.getTypeName()} incompleto: esperado ${metaBytes} bytes, recebido ${meta.length}`);
+        }
+        frame.metaFromBuffer(meta);
+        return frame;
+    }
+
+    /**
+     * Descarta as linhas ainda não lidas da imagem atual (mantém a sessão sincronizada)
+     */
+    async skipImage() {
+        while (await this.nextBand() !== null) {
+            // só consome os bytes
+        }
+    }
+
+    /**
+     * Bytes de uma linha da imagem
+     */
+    getRowBytes() {
+        return this.info.w * this.info.channels * bytesPerSample(this.info.maxv);
+    }
+
+    /**
+     * Lê a próxima faixa de linhas (rows = altura da faixa, padrão bandRows)
+     * Retorna { rowStart, rowEnd, data } ou null quando a imagem terminou
+     */
+    async nextBand(rows = this.bandRows) {
+        if (!this.info) {
+            throw new Error('readHeader() deve ser chamado antes de nextBand()');
+        }
+
+        const { w, h, maxv, channels } = this.info;
+        if (this.nextRow >= h) {
+            return null;
+        }
+
+        const rowStart = this.nextRow;
+        const rowEnd = Math.min(h, rowStart + rows);
+        const expected = (rowEnd - rowStart) * this.getRowBytes();
+        const raw = await this.reader.read(expected);
+
+        if (raw.length !== expected) {
+            throw new Error(`Dados da imagem incompletos na linha ${rowStart}: esperado ${expected} bytes, recebido ${raw.length}`);
+        }
+
+        this.nextRow = rowEnd;
+        return {
+            rowStart,
+            rowEnd,
+            data: samplesFromBuffer(raw, (rowEnd - rowStart) * w * channels, maxv)
+        };
+    }
+
+    /**
+     * Itera sobre todas as faixas restantes
+     */
+    async *bands() {
+        let band;
+        while ((band = await this.nextBand()) !== null) {
+            yield band;
+        }
+    }
+
+    /**
+     * Itera sobre as faixas com halo: cada faixa de saída [rowStart, rowEnd) vem com as
+     * linhas de entrada [inputRowStart, inputRowEnd), que incluem até radius linhas
+     * vizinhas acima e abaixo (filtros de vizinhança). Só as faixas ainda necessárias
+     * ficam na memória, e a leitura da próxima faixa começa antes do consumidor processar a atual.
+     */
+    async *bandsWithHalo(radius = 0) {
+        const { w, h, maxv, channels } = this.info;
+        const rowSamples = w * channels;
+        const loadedBands = []; // faixas lidas e ainda necessárias, em ordem
+        let loadedEnd = this.nextRow;
+        let outStart = this.nextRow;
+        let pending = this.nextBand();
+        
+        while (outStart < h) {
+            const outEnd = Math.min(h, outStart + this.bandRows);
+            const inputEnd = Math.min(h, outEnd + radius);
+            
+            // Lê até ter as linhas de baixo do halo
+            while (loadedEnd < inputEnd) {
+                const band = await pending;
+                if (band === null) {
+                    throw new Error(`Dados da imagem terminaram na linha ${loadedEnd} de ${h}`);
+                }
+                pending = this.nextBand(); // leitura antecipada
+                loadedBands.push(band);
+                loadedEnd = band.rowEnd;
+            }
+            
+            // Descarta faixas acima do halo
+            const inputStart = Math.max(0, outStart - radius);
+            while (loadedBands.length > 0 && loadedBands[0].rowEnd <= inputStart) {
+                loadedBands.shift();
+            }
+            
+            // Monta as linhas [inputStart, inputEnd) a partir das faixas em memória
+            const data = createSampleArray((inputEnd - inputStart) * rowSamples, maxv);
+            for (const band of loadedBands) {
+                const from = Math.max(band.rowStart, inputStart);
+                const to = Math.min(band.rowEnd, inputEnd);
+                if (from < to) {
+                    data.set(
+                        band.data.subarray((from - band.rowStart) * rowSamples, (to - band.rowStart) * rowSamples),
+                        (from - inputStart) * rowSamples
+                    );
+                }
+            }
+            
+            yield { rowStart: outStart, rowEnd: outEnd, inputRowStart: inputStart, inputRowEnd: inputEnd, data };
+            outStart = outEnd;
+        }
+        
+        await pending;
+    }
+
+    close() {
+        this.reader.close();
+    }
+}
+
+/**
+ * Abre um arquivo Netpbm binário (P5/P6) para leitura em faixas
+ */
+function createNetpbmBandReader(filePath, bandRows) {
+    return new ImageBandReader(fs.createReadStream(filePath), bandRows, 'netpbm');
+}
+
+/**
+ * Abre um FIFO (protocolo sender/worker) para leitura em faixas
+ * A abertura bloqueia até o sender abrir o FIFO para escrita
+ */
+function createFifoBandReader(fifoPath, bandRows) {
+    return new ImageBandReader(fs.createReadStream(fifoPath), bandRows, 'fifo');
+}
+
+/**
+ * Gravador de imagem Netpbm binária (P5/P6) em faixas de linhas
+ * O cabeçalho é gravado na criação; as faixas devem chegar em ordem
+ */
+class NetpbmBandWriter {
+    constructor(filePath, { w, h, maxv, channels = 1 }) {
+        this.filePath = filePath;
+        this.w = w;
+        this.h = h;
+        this.maxv = maxv;
+        this.channels = channels;
+        this.rowsWritten = 0;
+        this.stream = fs.createWriteStream(filePath);
+        this.error = null;
+        this.stream.on('error', (error) => {
+            this.error = error;
+        });
+
+        const magic = channels === 3 ? 'P6' : 'P5';
+        this.stream.write(Buffer.from(`${magic}\n${w} ${h}\n${maxv}\n`, 'ascii'));
+    }
+
+    /**
+     * Grava uma faixa de linhas (amostras de 8 ou 16 bits), respeitando o backpressure
+     */
+    async writeBand(samples) {
+        if (this.error) {
+            throw this.error;
+        }
+
+        const rowSamples = this.w * this.channels;
+        if (samples.length % rowSamples !== 0) {
+            throw new Error(`Faixa com ${samples.length} amostras não é múltipla da linha (${rowSamples})`);
+        }
+
+        const rows = samples.length / rowSamples;
+        if (this.rowsWritten + rows > this.h) {
+            throw new Error(`Faixa excede a altura da imagem: ${this.rowsWritten + rows} > ${this.h}`);
+        }
+
+        // Copia os dados: o buffer de origem pode ser reaproveitado pela próxima faixa
+        const buffer = Buffer.from(samplesToBuffer(samples, this.maxv));
+        this.rowsWritten += rows;
+
+        if (!this.stream.write(buffer)) {
+            await new Promise((resolve, reject) => {
+                this.stream.once('drain', resolve);
+                this.stream.once('error', reject);
+            });
+        }
+    }
+
+    /**
+     * Fecha o arquivo, verificando se todas as linhas foram gravadas
+     */
+    async close() {
+        await new Promise((resolve, reject) => {
+            this.stream.once('error', reject);
+            this.stream.end(resolve);
+        });
+
+        if (this.error) {
+            throw this.error;
+        }
+        if (this.rowsWritten !== this.h) {
+            throw new Error(`Imagem incompleta em ${this.filePath}: ${this.rowsWritten} de ${this.h} linhas gravadas`);
+        }
+        console.log(`${this.channels === 3 ? 'PPM' : 'PGM'} salvo em faixas: ${this.filePath} (${this.w}x${this.h})`);
+    }
+}
+
+/**
+ * Escrita sequencial em um FIFO, respeitando o backpressure
+ * A abertura bloqueia até o outro processo abrir o FIFO para leitura
+ */
+class FifoWriter {
+    constructor(fifoPath) {
+        this.fifoPath = fifoPath;
+        this.stream = fs.createWriteStream(fifoPath);
+        this.error = null;
+        this.stream.on('error', (error) => {
+            this.error = error;
+        });
+    }
+
+    async write(buffer) {
+        if (this.error) {
+            throw this.error;
+        }
+        if (!this.stream.write(buffer)) {
+            await new Promise((resolve, reject) => {
+                this.stream.once('drain', resolve);
+                this.stream.once('error', reject);
+            });
+        }
+    }
+
+    async close() {
+        if (this.error) {
+            throw this.error;
+        }
+        await new Promise((resolve, reject) => {
+            this.stream.once('error', reject);
+            this.stream.end(resolve);
+        });
+    }
+}
+
+/**
+ * Gravador de imagem em faixas sobre um FIFO (protocolo sender/worker: Header + pixels)
+ * Mesma interface do NetpbmBandWriter; close() não fecha o FIFO, que segue com a sessão
+ */
+class FifoImageBandWriter {
+    constructor(fifo, { w, h, maxv, channels = 1 }) {
+        this.fifo = fifo;
+        this.w = w;
+        this.h = h;
+        this.maxv = maxv;
+        this.channels = channels;
+        this.rowsWritten = 0;
+        this.headerSent = false;
+    }
+
+    async sendHeader() {
+        if (!this.headerSent) {
+            const header = new Header();
+            header.setImage(this);
+            await this.fifo.write(header.toBuffer());
+            this.headerSent = true;
+        }
+    }
+
+    /**
+     * Envia uma faixa de linhas (o cabeçalho segue antes da primeira faixa)
+     */
+    async writeBand(samples) {
+        const rowSamples = this.w * this.channels;
+        if (samples.length % rowSamples !== 0) {
+            throw new Error(`Faixa com ${samples.length} amostras não é múltipla da linha (${rowSamples})`);
+        }
+
+        const rows = samples.length / rowSamples;
+        if (this.rowsWritten + rows > this.h) {
+            throw new Error(`Faixa excede a altura da imagem: ${this.rowsWritten + rows} > ${this.h}`);
+        }
+
+        await this.sendHeader();
+        await this.fifo.write(Buffer.from(samplesToBuffer(samples, this.maxv)));
+        this.rowsWritten += rows;
+    }
+
+    /**
+     * Verifica se todas as linhas foram enviadas
+     */
+    async close() {
+        await this.sendHeader();
+        if (this.rowsWritten !== this.h) {
+            throw new Error(`Imagem incompleta no FIFO ${this.fifo.fifoPath}: ${this.rowsWritten} de ${this.h} linhas enviadas`);
+        }
+        console.log(`${this.channels === 3 ? 'PPM' : 'PGM'} enviado em faixas pelo FIFO: ${this.fifo.fifoPath} (${this.w}x${this.h})`);
+    }
+}
+
+module.exports = {
+    StreamByteReader,
+    ImageBandReader,
+    NetpbmBandWriter,
+    FifoWriter,
+    FifoImageBandWriter,
+    createNetpbmBandReader,
+    createFifoBandReader
+};
@@ -0,0 +1,238 @@
+const { borderIndex } = require('./filters');
+
+/* ===== DETECTOR DE BORDAS DE CANNY - BASE MATEMÁTICA ===== */
+// Cinco estágios, cada um paralelo por faixas de linhas sobre o mesmo pool de threads,
+// com uma barreira entre eles (cada estágio lê linhas vizinhas do resultado do anterior):
+//
+//   1) TASK_PHASE_SMOOTH: suavização gaussiana G_σ * I (janela (2r+1)x(2r+1), r = ceil(3σ))
+//   2) TASK_PHASE_GRADIENT: Sobel sobre a imagem suavizada
+//        M = sqrt(Gx² + Gy²)      θ = atan2(Gy, Gx) quantizado em 0°, 45°, 90° ou 135°
+//   3) TASK_PHASE_SUPPRESS: supressão de não-máximos + limiar duplo
+//        o pixel sobrevive se M é máximo local na direção do gradiente; então
+//        M >= alto -> borda forte, M >= baixo -> borda fraca, senão descartado
+//   4) TASK_PHASE_HYSTERESIS: histerese - bordas fracas conectadas (8-vizinhança)
+//      a uma borda forte viram fortes. Cada thread propaga dentro da sua faixa; a
+//      propagação que atravessa as costuras entre faixas é feita em rodadas iterativas
+//      (ver hysteresisBlock), até uma rodada em que nenhuma thread promove pixels.
+//   5) TASK_PHASE_EDGES: saída binária (forte = maxv, demais = 0)
+//
+// A magnitude usa o Sobel sem normalização (como o modo convolucao sobel): em imagens
+// de 8 bits, limiares típicos ficam entre 20 e 200.
+
+// Classificação dos pixels após o limiar duplo
+const EDGE_NONE = 0;
+const EDGE_WEAK = 1;
+const EDGE_STRONG = 2;
+
+// Direções quantizadas do gradiente: deslocamento (dx, dy) do vizinho comparado na supressão
+const DIRECTION_OFFSETS = [
+    [1, 0],  // 0°: vizinhos à esquerda e à direita
+    [1, 1],  // 45°: diagonal principal (y cresce para baixo)
+    [0, 1],  // 90°: vizinhos acima e abaixo
+    [-1, 1]  // 135°: diagonal secundária
+];
+
+/**
+ * Pesos 1D da gaussiana de desvio σ (normalizados; σ = 0 desliga a suavização)
+ */
+function buildGaussianWeights(sigma) {
+    if (sigma === 0) {
+        return [1];
+    }
+    const radius = Math.ceil(3 * sigma);
+    const weights = [];
+    for (let i = -radius; i <= radius; i++) {
+        weights.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    }
+    const sum = weights.reduce((acc, w) => acc + w, 0);
+    return weights.map((w) => w / sum);
+}
+
+/**
+ * Valida os parâmetros do Canny
+ * Retorna { low, high, sigma, weights, radius }
+ */
+function parseCannySpec(lowStr, highStr, sigmaStr) {
+    if (lowStr === undefined || highStr === undefined) {
+        throw new Error('Modo canny requer os limiares baixo e alto');
+    }
+    const low = Number(lowStr);
+    const high = Number(highStr);
+    if (!Number.isFinite(low) || !Number.isFinite(high) || low < 0 || low > high) {
+        throw new Error(`Limiares do canny inválidos: baixo=${lowStr}, alto=${highStr} (use 0 <= baixo <= alto)`);
+    }
+    const sigma = sigmaStr !== undefined ? Number(sigmaStr) : 1.4;
+    if (!Number.isFinite(sigma) || sigma < 0 || sigma > 10) {
+        throw new Error(`Sigma inválido: ${sigmaStr}. Use um número entre 0 e 10`);
+    }
+    const weights = buildGaussianWeights(sigma);
+    return { low, high, sigma, weights, radius: (weights.length - 1) / 2 };
+}
+
+/**
+ * Estágio 1: suavização gaussiana das linhas [rowStart, rowEnd) (entrada inteira no buffer)
+ */
+function smoothBlock(inputData, smooth, width, height, rowStart, rowEnd, weights, border) {
+    const radius = (weights.length - 1) / 2;
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const yy = borderIndex(y + dy, height, border);
+                if (yy < 0) {
+                    continue;
+                }
+                const wy = weights[dy + radius];
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const xx = borderIndex(x + dx, width, border);
+                    if (xx >= 0) {
+                        sum += wy * weights[dx + radius] * inputData[yy * width + xx];
+                    }
+                }
+            }
+            smooth[y * width + x] = sum;
+        }
+    }
+
+    return (rowEnd - rowStart) * width;
+}
+
+/**
+ * Estágio 2: magnitude e direção quantizada do gradiente de Sobel
+ */
+function gradientBlock(smooth, magnitude, direction, width, height, rowStart, rowEnd, border) {
+    const at = (x, y) => {
+        const xx = borderIndex(x, width, border);
+        const yy = borderIndex(y, height, border);
+        return xx < 0 || yy < 0 ? 0 : smooth[yy * width + xx];
+    };
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)) -
+                (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+            const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)) -
+                (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+
+            // θ em [0°, 180°): a direção e a oposta comparam os mesmos vizinhos
+            let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+            if (angle < 0) {
+                angle += 180;
+            }
+            const i = y * width + x;
+            magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+            direction[i] = angle < 22.5 || angle >= 157.5 ? 0 : angle < 67.5 ? 1 : angle < 112.5 ? 2 : 3;
+        }
+    }
+
+    return (rowEnd - rowStart) * width;
+}
+
+/**
+ * Estágio 3: supressão de não-máximos e limiar duplo (fora da imagem, M = 0)
+ * Empates: o pixel precisa superar o vizinho "anterior" e igualar o "seguinte",
+ * o que mantém bordas de um pixel em platôs
+ */
+function suppressBlock(magnitude, direction, edges, width, height, rowStart, rowEnd, low, high) {
+    const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : magnitude[y * width + x]);
+    let strong = 0, weak = 0;
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const m = magnitude[i];
+            const [dx, dy] = DIRECTION_OFFSETS[direction[i]];
+            const isMaximum = m > at(x - dx, y - dy) && m >= at(x + dx, y + dy);
+
+            if (!isMaximum || m < low) {
+                edges[i] = EDGE_NONE;
+            } else if (m >= high) {
+                edges[i] = EDGE_STRONG;
+                strong++;
+            } else {
+                edges[i] = EDGE_WEAK;
+                weak++;
+            }
+        }
+    }
+
+    return { strong, weak };
+}
+
+/**
+ * Estágio 4: histerese nas linhas [rowStart, rowEnd)
+ *
+ * fromSeams = false (primeira rodada): parte de todas as bordas fortes da faixa e promove
+ * as fracas conectadas a elas, sem sair da faixa.
+ * fromSeams = true (rodadas seguintes): parte das bordas fortes das linhas vizinhas à faixa
+ * (rowStart - 1 e rowEnd), que pertencem às faixas adjacentes, e propaga para dentro.
+ *
+ * Cada thread só grava as suas linhas; as linhas vizinhas podem estar sendo promovidas ao
+ * mesmo tempo pela outra thread. A leitura concorrente é benigna porque os pixels só passam
+ * de fraco para forte: uma promoção não vista nesta rodada é vista na seguinte. A thread
+ * principal repete as rodadas até que nenhuma thread promova pixels - nessa rodada ninguém
+ * gravou, então todas as leituras foram consistentes e não resta fraca vizinha de forte.
+ *
+ * Retorna o número de pixels promovidos
+ */
+function hysteresisBlock(edges, width, height, rowStart, rowEnd, fromSeams) {
+    const stack = [];
+
+    if (!fromSeams) {
+        for (let i = rowStart * width; i < rowEnd * width; i++) {
+            if (edges[i] === EDGE_STRONG) {
+                stack.push(i);
+            }
+        }
+    } else {
+        for (const y of [rowStart - 1, rowEnd]) {
+            if (y < 0 || y >= height) {
+                continue;
+            }
+            for (let i = y * width; i < (y + 1) * width; i++) {
+                if (edges[i] === EDGE_STRONG) {
+                    stack.push(i);
+                }
+            }
+        }
+    }
+
+    let promoted = 0;
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        const y = (i - x) / width;
+        for (let ny = Math.max(rowStart, y - 1); ny <= Math.min(rowEnd - 1, y + 1); ny++) {
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                const n = ny * width + nx;
+                if (edges[n] === EDGE_WEAK) {
+                    edges[n] = EDGE_STRONG;
+                    promoted++;
+                    stack.push(n);
+                }
+            }
+        }
+    }
+
+    return promoted;
+}
+
+/**
+ * Estágio 5: imagem de bordas (forte = maxv, fraca não promovida e fundo = 0)
+ */
+function edgesToImageBlock(edges, outputData, width, rowStart, rowEnd, maxValue, outputRowOffset = 0) {
+    for (let i = rowStart * width; i < rowEnd * width; i++) {
+        outputData[i - outputRowOffset * width] = edges[i] === EDGE_STRONG ? maxValue : 0;
+    }
+    return (rowEnd - rowStart) * width;
+}
+
+module.exports = {
+    parseCannySpec,
+    smoothBlock,
+    gradientBlock,
+    suppressBlock,
+    hysteresisBlock,
+    edgesToImageBlock
+};
@@ -0,0 +1,285 @@
+/* ===== COMPONENTES CONEXOS - BASE MATEMÁTICA ===== */
+// Rotula as regiões conexas de pixels de primeiro plano (4- ou 8-conectividade).
+// O trabalho é dividido em faixas de linhas, em três rodadas sobre o pool:
+//
+//   1) TASK_PHASE_LABEL: cada thread rotula sua faixa com o algoritmo de duas passadas
+//      e union-find local. O rótulo provisório de uma região é o índice (raster) do seu
+//      primeiro pixel na faixa + 1, único na imagem inteira sem coordenação entre threads.
+//   2) A thread principal une os rótulos que se tocam nas costuras entre faixas
+//      (union-find global; a raiz é sempre o menor rótulo = primeiro pixel da região).
+//      TASK_PHASE_REGION_STATS: cada thread acumula área, caixa, centroide e intensidade
+//      das regiões da sua faixa; a thread principal soma os parciais e descarta as
+//      regiões menores que a área mínima.
+//   3) TASK_PHASE_RELABEL: as threads gravam a imagem de rótulos finais 1..N, numerados
+//      na ordem de varredura do primeiro pixel (independe do número de threads).
+//
+// Primeiro plano: pixels diferentes de 0 (ex.: saída do slice) ou, com limiares,
+// os pixels na faixa do slice (t1 < z < t2, ou o complemento com --faixa fora).
+
+const CONNECTIVITY_VALUES = [4, 8];
+
+/**
+ * Retorna o predicado de primeiro plano: { t1, t2, inverted } usa a faixa do slice; null usa z != 0
+ */
+function createForegroundTest(range) {
+    if (!range) {
+        return (z) => z !== 0;
+    }
+    const { t1, t2, inverted } = range;
+    return (z) => (z > t1 && z < t2) !== inverted;
+}
+
+/**
+ * Raiz de um conjunto no union-find local (com compressão de caminho)
+ */
+function findRoot(parent, i) {
+    let root = i;
+    while (parent[root] !== root) {
+        root = parent[root];
+    }
+    while (parent[i] !== root) {
+        const next = parent[i];
+        parent[i] = root;
+        i = next;
+    }
+    return root;
+}
+
+/**
+ * Une dois conjuntos; a raiz passa a ser o menor índice (primeiro pixel em ordem raster)
+ */
+function unionRoots(parent, a, b) {
+    const ra = findRoot(parent, a);
+    const rb = findRoot(parent, b);
+    if (ra < rb) {
+        parent[rb] = ra;
+    } else if (rb < ra) {
+        parent[ra] = rb;
+    }
+}
+
+/**
+ * Rodada 1: rotula as linhas [rowStart, rowEnd) sem olhar para fora da faixa
+ * labels: Int32Array da imagem inteira; grava 0 no fundo e o rótulo provisório no primeiro plano
+ * Retorna o número de regiões da faixa
+ */
+function labelComponentsBlock(inputData, labels, width, rowStart, rowEnd, connectivity, range, inputRowOffset = 0) {
+    const isForeground = createForegroundTest(range);
+    const n = (rowEnd - rowStart) * width;
+    const parent = new Int32Array(n).fill(-1); // -1 = fundo
+    const inputBase = (rowStart - inputRowOffset) * width;
+
+    // Passada 1: associa cada pixel aos vizinhos já visitados (oeste, norte e, com 8, as diagonais de cima)
+    for (let i = 0; i < n; i++) {
+        if (!isForeground(inputData[inputBase + i])) {
+            continue;
+        }
+        parent[i] = i;
+        const x = i % width;
+        const neighbors = [];
+        if (x > 0) neighbors.push(i - 1);
+        if (i >= width) {
+            neighbors.push(i - width);
+            if (connectivity === 8) {
+                if (x > 0) neighbors.push(i - width - 1);
+                if (x < width - 1) neighbors.push(i - width + 1);
+            }
+        }
+        for (const j of neighbors) {
+            if (parent[j] !== -1) {
+                unionRoots(parent, i, j);
+            }
+        }
+    }
+
+    // Passada 2: rótulo provisório global = índice raster da raiz + 1
+    const labelBase = rowStart * width + 1;
+    let regions = 0;
+    for (let i = 0; i < n; i++) {
+        if (parent[i] === -1) {
+            labels[rowStart * width + i] = 0;
+        } else {
+            const root = findRoot(parent, i);
+            if (root === i) {
+                regions++;
+            }
+            labels[rowStart * width + i] = labelBase + root;
+        }
+    }
+
+    return regions;
+}
+
+/**
+ * Une os rótulos que se tocam nas costuras entre faixas (linhas seamRows[k] - 1 e seamRows[k])
+ * Retorna o mapeamento { rótulo provisório -> rótulo raiz } só dos rótulos alterados (lista plana [l, raiz, ...])
+ */
+function mergeSeams(labels, width, seamRows, connectivity) {
+    const parent = new Map();
+    const find = (l) => {
+        let root = l;
+        while (parent.has(root) && parent.get(root) !== root) {
+            root = parent.get(root);
+        }
+        while (l !== root) {
+            const next = parent.get(l);
+            parent.set(l, root);
+            l = next;
+        }
+        return root;
+    };
+    const union = (a, b) => {
+        const ra = find(a), rb = find(b);
+        if (ra !== rb) {
+            parent.set(Math.max(ra, rb), Math.min(ra, rb));
+            parent.set(Math.min(ra, rb), Math.min(ra, rb));
+        }
+    };
+
+    for (const row of seamRows) {
+        const above = (row - 1) * width;
+        const below = row * width;
+        for (let x = 0; x < width; x++) {
+            const a = labels[above + x];
+            if (a === 0) {
+                continue;
+            }
+            const from = connectivity === 8 ? Math.max(0, x - 1) : x;
+            const to = connectivity === 8 ? Math.min(width - 1, x + 1) : x;
+            for (let nx = from; nx <= to; nx++) {
+                const b = labels[below + nx];
+                if (b !== 0) {
+                    union(a, b);
+                }
+            }
+        }
+    }
+
+    const merge = [];
+    for (const label of parent.keys()) {
+        const root = find(label);
+        if (root !== label) {
+            merge.push(label, root);
+        }
+    }
+    return merge;
+}
+
+/**
+ * Converte a lista plana [l, raiz, ...] em Map
+ */
+function pairsToMap(pairs) {
+    const map = new Map();
+    for (let i = 0; i < pairs.length; i += 2) {
+        map.set(pairs[i], pairs[i + 1]);
+    }
+    return map;
+}
+
+/**
+ * Rodada 2: estatísticas parciais das regiões nas linhas [rowStart, rowEnd)
+ * Retorna [{ id, area, minX, minY, maxX, maxY, sumX, sumY, sumValue }] (id = rótulo raiz)
+ */
+function computeRegionStatsBlock(inputData, labels, width, rowStart, rowEnd, merge, inputRowOffset = 0) {
+    const roots = pairsToMap(merge);
+    const stats = new Map();
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        for (let x = 0; x < width; x++) {
+            const label = labels[y * width + x];
+            if (label === 0) {
+                continue;
+            }
+            const id = roots.get(label) || label;
+            let region = stats.get(id);
+            if (!region) {
+                region = { id, area: 0, minX: x, minY: y, maxX: x, maxY: y, sumX: 0, sumY: 0, sumValue: 0 };
+                stats.set(id, region);
+            }
+            region.area++;
+            if (x < region.minX) region.minX = x;
+            if (x > region.maxX) region.maxX = x;
+            if (y > region.maxY) region.maxY = y;
+            region.sumX += x;
+            region.sumY += y;
+            region.sumValue += inputData[(y - inputRowOffset) * width + x];
+        }
+    }
+
+    return [...stats.values()];
+}
+
+/**
+ * Soma as estatísticas parciais das faixas, descarta regiões com área < minArea e
+ * numera as restantes na ordem de varredura do primeiro pixel (rótulo raiz)
+ * Retorna { regions, finalLabels: [raiz, rótulo, ...], discarded }
+ */
+function mergeRegionStats(partials, minArea = 1) {
+    const merged = new Map();
+    for (const list of partials) {
+        for (const part of list) {
+            const region = merged.get(part.id);
+            if (!region) {
+                merged.set(part.id, { ...part });
+                continue;
+            }
+            region.area += part.area;
+            region.minX = Math.min(region.minX, part.minX);
+            region.minY = Math.min(region.minY, part.minY);
+            region.maxX = Math.max(region.maxX, part.maxX);
+            region.maxY = Math.max(region.maxY, part.maxY);
+            region.sumX += part.sumX;
+            region.sumY += part.sumY;
+            region.sumValue += part.sumValue;
+        }
+    }
+
+    const kept = [...merged.values()].filter((region) => region.area >= minArea).sort((a, b) => a.id - b.id);
+    const finalLabels = [];
+    const regions = kept.map((region, i) => {
+        finalLabels.push(region.id, i + 1);
+        return {
+            rotulo: i + 1,
+            area: region.area,
+            caixa: {
+                x: region.minX,
+                y: region.minY,
+                largura: region.maxX - region.minX + 1,
+                altura: region.maxY - region.minY + 1
+            },
+            centroide: {
+                x: Number((region.sumX / region.area).toFixed(2)),
+                y: Number((region.sumY / region.area).toFixed(2))
+            },
+            intensidade_media: Number((region.sumValue / region.area).toFixed(2))
+        };
+    });
+
+    return { regions, finalLabels, discarded: merged.size - kept.length };
+}
+
+/**
+ * Rodada 3: grava os rótulos finais (0 = fundo ou região descartada) nas linhas [rowStart, rowEnd)
+ */
+function relabelBlock(labels, outputData, width, rowStart, rowEnd, merge, finalLabels, outputRowOffset = 0) {
+    const roots = pairsToMap(merge);
+    const final = pairsToMap(finalLabels);
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        for (let x = 0; x < width; x++) {
+            const label = labels[y * width + x];
+            outputData[(y - outputRowOffset) * width + x] = label === 0 ? 0 : (final.get(roots.get(label) || label) || 0);
+        }
+    }
+
+    return (rowEnd - rowStart) * width;
+}
+
+module.exports = {
+    CONNECTIVITY_VALUES,
+    labelComponentsBlock,
+    mergeSeams,
+    computeRegionStatsBlock,
+    mergeRegionStats,
+    relabelBlock
+};
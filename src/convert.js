@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { PGM, PPM, readImage, writeImage, writeBMP } = require('./pgm-utils');
+const { decodePNG, encodePNG } = require('./png-codec');
+const { decodeJPEG } = require('./jpeg-decoder');
+
+/* ===== CONVERSOR DE IMAGENS - substitui o converter-jpg-pgm.bat (ImageMagick) ===== */
+// Entrada: PNG, JPEG baseline, BMP ou Netpbm (PBM/PGM/PPM)
+// Saída:   PGM (tons de cinza), PPM (mantém a cor), PNG ou BMP
+//
+// argv: convert <entrada> <saida.pgm|ppm|png|bmp> [--pesos rec601|rec709|media|r,g,b]
+
+/* ===== Pesos de luminância para conversão RGB -> cinza ===== */
+// Y = wr * R + wg * G + wb * B
+const LUMA_WEIGHTS = {
+    rec601: [0.299, 0.587, 0.114],    // ITU-R BT.601 (padrão do JPEG/JFIF)
+    rec709: [0.2126, 0.7152, 0.0722], // ITU-R BT.709 (HDTV, sRGB)
+    media: [1 / 3, 1 / 3, 1 / 3]      // média simples dos canais
+};
+
+/**
+ * Interpreta os pesos de luminância: nome conhecido ou lista "r,g,b"
+ */
+function parseLumaWeights(spec = 'rec601') {
+    if (Array.isArray(spec)) {
+        return spec;
+    }
+    if (LUMA_WEIGHTS[spec]) {
+        return LUMA_WEIGHTS[spec];
+    }
+
+    const weights = spec.split(',').map(Number);
+    if (weights.length !== 3 || weights.some(w => isNaN(w) || w < 0)) {
+        throw new Error(`Pesos de luminância inválidos: ${spec}. Use ${Object.keys(LUMA_WEIGHTS).join(', ')} ou r,g,b`);
+    }
+    const sum = weights[0] + weights[1] + weights[2];
+    if (sum <= 0) {
+        throw new Error(`Pesos de luminância inválidos: ${spec} (soma deve ser positiva)`);
+    }
+    // Normaliza para que branco continue branco
+    return weights.map(w => w / sum);
+}
+
+/**
+ * Converte uma imagem colorida (PPM) em PGM usando os pesos de luminância
+ * Imagens em tons de cinza são retornadas sem alteração
+ */
+function toGrayscale(image, weights = 'rec601') {
+    if (image.channels === 1) {
+        return image;
+    }
+
+    const [wr, wg, wb] = parseLumaWeights(weights);
+    const pgm = new PGM(image.w, image.h, image.maxv);
+    const pixels = image.w * image.h;
+
+    for (let p = 0; p < pixels; p++) {
+        const i = p * 3;
+        const y = Math.round(wr * image.data[i] + wg * image.data[i + 1] + wb * image.data[i + 2]);
+        pgm.data[p] = Math.min(image.maxv, y);
+    }
+
+    return pgm;
+}
+
+/**
+ * Converte uma imagem em tons de cinza em PPM (R = G = B)
+ * Imagens coloridas são retornadas sem alteração
+ */
+function toColor(image) {
+    if (image.channels === 3) {
+        return image;
+    }
+
+    const ppm = new PPM(image.w, image.h, image.maxv);
+    for (let p = 0; p < image.w * image.h; p++) {
+        ppm.data[p * 3] = ppm.data[p * 3 + 1] = ppm.data[p * 3 + 2] = image.data[p];
+    }
+    return ppm;
+}
+
+/**
+ * Detecta o formato do arquivo pela assinatura (números mágicos)
+ */
+function detectFormat(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+    if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] >= 0x31 && buffer[1] <= 0x36) return 'netpbm';
+    if (buffer.length >= 2 && buffer[0] === 0x42 && buffer[1] === 0x4d) return 'bmp';
+    return null;
+}
+
+/**
+ * Lê uma imagem PNG do disco
+ */
+function readPNG(filePath) {
+    const image = decodePNG(fs.readFileSync(filePath));
+    console.log(`PNG carregado: ${image.w}x${image.h}, canais=${image.channels}, max=${image.maxv}`);
+    return image;
+}
+
+/**
+ * Lê uma imagem JPEG baseline do disco
+ */
+function readJPEG(filePath) {
+    const image = decodeJPEG(fs.readFileSync(filePath));
+    console.log(`JPEG carregado: ${image.w}x${image.h}, canais=${image.channels}`);
+    return image;
+}
+
+/**
+ * Grava uma imagem PGM/PPM como PNG
+ */
+function writePNG(filePath, image) {
+    const buffer = encodePNG(image);
+    fs.writeFileSync(filePath, buffer);
+    console.log(`PNG salvo: ${filePath} (${image.w}x${image.h}, ${buffer.length} bytes)`);
+    return true;
+}
+
+/**
+ * Lê qualquer formato suportado (PNG, JPEG, BMP ou Netpbm), detectando pela assinatura
+ */
+function readAnyImage(filePath) {
+    const header = Buffer.alloc(8);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 8, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    switch (detectFormat(header)) {
+        case 'png': return readPNG(filePath);
+        case 'jpeg': return readJPEG(filePath);
+        case 'netpbm':
+        case 'bmp': return readImage(filePath);
+        default:
+            throw new Error(`Formato de imagem não reconhecido: ${filePath}`);
+    }
+}
+
+/**
+ * Lê uma imagem (PNG, JPEG, BMP ou Netpbm) e converte para PGM em tons de cinza
+ */
+function convertToPGM(filePath, weights = 'rec601') {
+    return toGrayscale(readAnyImage(filePath), weights);
+}
+
+// ===== Equivalente ao parse_args_or_exit() =====
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const positional = [];
+    let weights = 'rec601';
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--pesos' && i + 1 < args.length) {
+            weights = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    if (positional.length < 2) {
+        console.error('Uso: node convert.js <entrada.png|jpg|bmp|pgm|ppm> <saida.pgm|ppm|png|bmp> [--pesos rec601|rec709|media|r,g,b]');
+        console.error('Exemplos:');
+        console.error('  node convert.js foto.jpg images/foto.pgm');
+        console.error('  node convert.js foto.png images/foto.pgm --pesos rec709');
+        console.error('  node convert.js output.pgm output.png');
+        process.exit(1);
+    }
+
+    return { inputPath: positional[0], outputPath: positional[1], weights };
+}
+
+// ===== Função main =====
+function main() {
+    try {
+        console.log('=== CONVERSOR DE IMAGENS ===');
+
+        const { inputPath, outputPath, weights } = parseArgs();
+        const extension = path.extname(outputPath).toLowerCase();
+        if (!['.pgm', '.ppm', '.png', '.bmp'].includes(extension)) {
+            throw new Error(`Formato de saída não suportado: ${outputPath}. Use .pgm, .ppm, .png ou .bmp`);
+        }
+
+        console.log(`Entrada: ${inputPath}`);
+        console.log(`Saída: ${outputPath}`);
+
+        const image = readAnyImage(inputPath);
+
+        if (extension === '.png') {
+            writePNG(outputPath, image);
+        } else if (extension === '.bmp') {
+            writeBMP(outputPath, image);
+        } else if (extension === '.ppm') {
+            writeImage(outputPath, toColor(image));
+        } else {
+            console.log(`Convertendo para tons de cinza (pesos: ${weights})`);
+            writeImage(outputPath, toGrayscale(image, weights));
+        }
+
+        console.log('Conversão concluída');
+    } catch (error) {
+        console.error('Erro na conversão:', error.message);
+        process.exit(1);
+    }
+}
+
+// Executa se chamado diretamente
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    LUMA_WEIGHTS,
+    parseLumaWeights,
+    toGrayscale,
+    toColor,
+    readPNG,
+    readJPEG,
+    writePNG,
+    readAnyImage,
+    convertToPGM,
+    main
+};
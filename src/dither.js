@@ -0,0 +1,238 @@
+/* ===== PONTILHADO (DITHERING) - BASE MATEMÁTICA ===== */
+// Converte a imagem em dois níveis (0 e maxv) preservando a média local dos tons,
+// para impressão em impressoras de dois níveis.
+//
+// Ordenado (Bayer): cada pixel é comparado com um limiar que varia em uma matriz n x n
+//   s = maxv se r > (M[y mod n][x mod n] + 0.5) / n² · maxv, senão 0
+// Pixel independente: paralelizado como os filtros pontuais (e funciona com --banda).
+//
+// Difusão de erro (Floyd-Steinberg, Atkinson): percorre a imagem em ordem raster,
+//   s = maxv se v > maxv / 2, senão 0;   e = v - s
+// e espalha o erro e nos vizinhos ainda não visitados, com os pesos do kernel.
+// Cada pixel depende dos pixels à esquerda na mesma linha e de alguns da linha de cima
+// (até x + 1), então as linhas não podem ser divididas em blocos independentes.
+//
+// Paralelização em frente de onda (wavefront): uma tarefa por linha, a linha y na
+// thread y mod nthreads. A linha y avança da esquerda para a direita e, antes de cada
+// bloco de colunas, espera (Atomics.wait) que a linha de cima já tenha passado das colunas
+// de que depende; ao terminar o bloco, publica o seu progresso (Atomics.store + notify).
+// Várias linhas avançam ao mesmo tempo, defasadas em diagonal.
+//
+// Resultado idêntico bit a bit ao algoritmo sequencial: em vez de "empurrar" o erro para
+// os vizinhos (o que faria duas threads somarem no mesmo pixel), cada pixel "puxa" o erro
+// dos vizinhos já processados, somando as parcelas na MESMA ordem em que a versão
+// sequencial as somaria (ordem raster do pixel de origem) e com a mesma expressão e·w/d.
+// A versão sequencial de referência é diffuseSequential (node verificar-pontilhado.js
+// compara as duas).
+//
+// O erro só é lido pelas rowsAbove linhas de baixo, então fica em um anel de
+// rowsAbove + nthreads linhas (a linha y na posição y mod tamanho do anel), e não na
+// imagem inteira. A linha y só começa depois da linha y - nthreads (mesma thread), e uma
+// linha só termina depois das de cima: ao sobrescrever a posição da linha y - tamanho do
+// anel, todas as linhas que a liam já terminaram.
+
+// Kernels de difusão na forma clássica ("empurrar"): [dx, dy, peso] a partir do pixel atual
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        weights: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    'atkinson': {
+        // Difunde só 6/8 do erro: realces mais contrastados
+        divisor: 8,
+        weights: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    }
+};
+
+// Tamanhos das matrizes de Bayer aceitos
+const BAYER_SIZES = { 'bayer2': 2, 'bayer4': 4, 'bayer8': 8 };
+
+// Métodos aceitos no modo pontilhado
+const DITHER_METHODS = [...Object.keys(DIFFUSION_KERNELS), ...Object.keys(BAYER_SIZES)];
+
+// Colunas processadas entre duas publicações de progresso (menos sincronização)
+const WAVEFRONT_BLOCK = 64;
+
+/**
+ * Matriz de Bayer n x n (n potência de 2), pela recorrência
+ *   M(2n) = | 4M     4M + 2 |
+ *           | 4M + 3 4M + 1 |
+ */
+function buildBayerMatrix(n) {
+    let matrix = [[0]];
+    for (let size = 1; size < n; size *= 2) {
+        const next = [];
+        for (let y = 0; y < 2 * size; y++) {
+            next.push([]);
+            for (let x = 0; x < 2 * size; x++) {
+                const base = 4 * matrix[y % size][x % size];
+                const quadrant = [[0, 2], [3, 1]][Math.floor(y / size)][Math.floor(x / size)];
+                next[y].push(base + quadrant);
+            }
+        }
+        matrix = next;
+    }
+    return matrix;
+}
+
+/**
+ * Valida o método de pontilhado
+ * Retorna { method, bayerSize } ou { method, sources, divisor, lag, rowsAbove }
+ *   sources: origens do erro de cada pixel ([dx, dy, peso], dy <= 0), na ordem raster da origem
+ *   lag: colunas que a linha de cima precisa ter processado à frente da coluna atual
+ *   rowsAbove: quantas linhas acima enviam erro
+ */
+function parseDitherSpec(method) {
+    if (BAYER_SIZES[method]) {
+        return { method, bayerSize: BAYER_SIZES[method] };
+    }
+    const kernel = DIFFUSION_KERNELS[method];
+    if (!kernel) {
+        throw new Error(`Método de pontilhado inválido: ${method}. Use ${DITHER_METHODS.join(', ')}`);
+    }
+
+    // "Puxar": o pixel (x, y) recebe o erro de (x - dx, y - dy) para cada peso [dx, dy]
+    const sources = kernel.weights
+        .map(([dx, dy, weight]) => [-dx, -dy, weight])
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+    const lag = Math.max(...sources.filter(([, dy]) => dy < 0).map(([dx]) => dx)) + 1;
+    return { method, sources, divisor: kernel.divisor, lag, rowsAbove: -sources[0][1] };
+}
+
+/**
+ * Bayer: aplica o limiar ordenado nas linhas [rowStart, rowEnd)
+ */
+function applyOrderedDitherBlock(inputData, outputData, width, rowStart, rowEnd, bayerSize, maxValue, channels = 1, inputRowOffset = 0, outputRowOffset = 0) {
+    const matrix = buildBayerMatrix(bayerSize);
+    const cells = bayerSize * bayerSize;
+    const thresholds = matrix.map((row) => row.map((m) => (m + 0.5) / cells * maxValue));
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        const row = thresholds[y % bayerSize];
+        const inputBase = (y - inputRowOffset) * width * channels;
+        const outputBase = (y - outputRowOffset) * width * channels;
+        for (let x = 0; x < width; x++) {
+            const threshold = row[x % bayerSize];
+            for (let c = 0; c < channels; c++) {
+                const i = x * channels + c;
+                outputData[outputBase + i] = inputData[inputBase + i] > threshold ? maxValue : 0;
+            }
+        }
+    }
+
+    return (rowEnd - rowStart) * width;
+}
+
+/**
+ * Linhas do anel de erros: as que ainda podem ser lidas mais as que estão em andamento
+ */
+function getErrorRingRows(spec, nthreads, height) {
+    return Math.min(height, spec.rowsAbove + nthreads);
+}
+
+/**
+ * Difusão de erro da linha y (frente de onda)
+ * errors: Float64Array com o erro de cada amostra, em um anel de linhas (getErrorRingRows)
+ * progress: Int32Array com o número de colunas concluídas de cada linha
+ */
+function diffuseRow(inputData, outputData, errors, progress, width, y, spec, maxValue, channels = 1) {
+    const { sources, divisor, lag, rowsAbove } = spec;
+    const half = maxValue / 2;
+    const ringRows = errors.length / (width * channels);
+
+    try {
+        for (let blockStart = 0; blockStart < width; blockStart += WAVEFRONT_BLOCK) {
+            const blockEnd = Math.min(width, blockStart + WAVEFRONT_BLOCK);
+
+            // Espera as linhas de cima passarem das colunas de que o bloco depende
+            for (let dy = 1; dy <= rowsAbove && y - dy >= 0; dy++) {
+                const needed = Math.min(width, blockEnd - 1 + lag);
+                let done;
+                while ((done = Atomics.load(progress, y - dy)) < needed) {
+                    Atomics.wait(progress, y - dy, done);
+                }
+            }
+
+            for (let x = blockStart; x < blockEnd; x++) {
+                for (let c = 0; c < channels; c++) {
+                    const i = (y * width + x) * channels + c;
+
+                    // v = r + parcelas de erro, somadas na ordem da versão sequencial
+                    let value = inputData[i];
+                    for (const [dx, dy, weight] of sources) {
+                        const sx = x + dx;
+                        const sy = y + dy;
+                        if (sx >= 0 && sx < width && sy >= 0) {
+                            value += errors[((sy % ringRows) * width + sx) * channels + c] * weight / divisor;
+                        }
+                    }
+
+                    const output = value > half ? maxValue : 0;
+                    outputData[i] = output;
+                    errors[((y % ringRows) * width + x) * channels + c] = value - output;
+                }
+            }
+
+            Atomics.store(progress, y, blockEnd);
+            Atomics.notify(progress, y);
+        }
+    } finally {
+        // Mesmo em caso de erro, libera as linhas de baixo (a rodada falha, mas não trava)
+        if (Atomics.load(progress, y) < width) {
+            Atomics.store(progress, y, width);
+            Atomics.notify(progress, y);
+        }
+    }
+
+    return width;
+}
+
+/**
+ * Difusão de erro sequencial (referência): a forma clássica, que "empurra" o erro de cada
+ * pixel, em ordem raster, para os vizinhos ainda não visitados
+ * Deve dar o mesmo resultado, bit a bit, que diffuseRow em frente de onda
+ */
+function diffuseSequential(inputData, outputData, width, height, method, maxValue, channels = 1) {
+    const kernel = DIFFUSION_KERNELS[method];
+    if (!kernel) {
+        throw new Error(`Método de difusão de erro inválido: ${method}. Use ${Object.keys(DIFFUSION_KERNELS).join(', ')}`);
+    }
+    const { divisor, weights } = kernel;
+    const half = maxValue / 2;
+
+    // v = r + erros recebidos, acumulados na própria cópia da imagem
+    const values = Float64Array.from(inputData.slice(0, width * height * channels));
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                const i = (y * width + x) * channels + c;
+                const value = values[i];
+                const output = value > half ? maxValue : 0;
+                outputData[i] = output;
+
+                const error = value - output;
+                for (const [dx, dy, weight] of weights) {
+                    const tx = x + dx;
+                    const ty = y + dy;
+                    if (tx >= 0 && tx < width && ty < height) {
+                        values[(ty * width + tx) * channels + c] += error * weight / divisor;
+                    }
+                }
+            }
+        }
+    }
+
+    return width * height;
+}
+
+module.exports = {
+    DITHER_METHODS,
+    BAYER_SIZES,
+    parseDitherSpec,
+    getErrorRingRows,
+    buildBayerMatrix,
+    applyOrderedDitherBlock,
+    diffuseRow,
+    diffuseSequential
+};
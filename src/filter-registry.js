@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+
+/* ===== REGISTRO DE FILTROS EXTERNOS (PLUGINS) ===== */
+// Filtros escritos fora do projeto, carregados de um diretório de plugins ou de um
+// módulo npm, sem editar filters.js nem worker.js. Cada módulo exporta um filtro
+// (ou uma lista de filtros) no formato:
+//
+//   module.exports = {
+//       name: 'limiar-local',                 // nome usado na linha de comando e nas cadeias
+//       description: 'Limiar pela média da vizinhança',
+//       params: [                             // parâmetros posicionais, na ordem
+//           { name: 'raio', type: 'int', min: 1, max: 50, default: 7 },
+//           { name: 'c', type: 'number', default: 0 }
+//       ],
+//       radius: (params) => params.raio,      // linhas vizinhas lidas (halo): número ou função
+//       apply(band) { ... }                   // processa as linhas [band.rowStart, band.rowEnd)
+//   };
+//
+// Funções não atravessam o postMessage: as threads recebem o caminho do módulo na
+// configuração do filtro e o carregam com require, cada uma no seu próprio registro.
+
+// Tipos aceitos no esquema de parâmetros
+const PARAM_TYPES = ['int', 'number', 'string', 'enum'];
+
+// Filtros registrados: nome -> definição (com o caminho do módulo de origem)
+const registry = new Map();
+
+// Módulos já carregados (caminho absoluto -> nomes dos filtros)
+const loadedModules = new Map();
+
+/**
+ * Valida o esquema de um parâmetro de filtro
+ */
+function validateParamSchema(filterName, param) {
+    if (!param || typeof param.name !== 'string' || param.name === '') {
+        throw new Error(`Filtro ${filterName}: parâmetro sem nome`);
+    }
+    if (!PARAM_TYPES.includes(param.type)) {
+        throw new Error(`Filtro ${filterName}: tipo inválido no parâmetro ${param.name}: ${param.type}. Use ${PARAM_TYPES.join(', ')}`);
+    }
+    if (param.type === 'enum' && (!Array.isArray(param.values) || param.values.length === 0)) {
+        throw new Error(`Filtro ${filterName}: parâmetro enum ${param.name} requer a lista values`);
+    }
+}
+
+/**
+ * Registra um filtro; modulePath é o módulo que as threads carregam para executá-lo
+ * reserved: nomes que não podem ser usados (filtros embutidos)
+ */
+function registerFilter(definition, modulePath, reserved = []) {
+    if (!definition || typeof definition.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(definition.name)) {
+        throw new Error(`Plugin ${modulePath}: nome do filtro inválido (use letras minúsculas, dígitos e '-')`);
+    }
+    const { name } = definition;
+    if (reserved.includes(name)) {
+        throw new Error(`Plugin ${modulePath}: o nome ${name} pertence a um filtro embutido`);
+    }
+    const existing = registry.get(name);
+    if (existing && existing.module !== modulePath) {
+        throw new Error(`Plugin ${modulePath}: filtro ${name} já registrado por ${existing.module}`);
+    }
+    if (typeof definition.apply !== 'function') {
+        throw new Error(`Filtro ${name}: apply(band) deve ser uma função`);
+    }
+    const radius = definition.radius === undefined ? 0 : definition.radius;
+    if (typeof radius !== 'function' && !(Number.isInteger(radius) && radius >= 0)) {
+        throw new Error(`Filtro ${name}: radius deve ser um inteiro >= 0 ou uma função dos parâmetros`);
+    }
+    const params = definition.params || [];
+    if (!Array.isArray(params)) {
+        throw new Error(`Filtro ${name}: params deve ser uma lista`);
+    }
+    params.forEach((param) => validateParamSchema(name, param));
+
+    const filter = { ...definition, params, radius, module: modulePath };
+    registry.set(name, filter);
+    return filter;
+}
+
+/**
+ * Carrega um módulo de filtros (caminho absoluto) e registra o que ele exporta
+ * Idempotente: carregar o mesmo módulo de novo não tem efeito
+ */
+function loadFilterModule(modulePath, reserved = []) {
+    if (loadedModules.has(modulePath)) {
+        return loadedModules.get(modulePath);
+    }
+
+    let exported;
+    try {
+        exported = require(modulePath);
+    } catch (error) {
+        throw new Error(`Falha ao carregar plugin ${modulePath}: ${error.message}`);
+    }
+
+    const definitions = Array.isArray(exported) ? exported : [exported];
+    const names = definitions.map((definition) => registerFilter(definition, modulePath, reserved).name);
+    loadedModules.set(modulePath, names);
+    return names;
+}
+
+/**
+ * Resolve uma origem de plugins: diretório (todos os .js), arquivo ou módulo npm
+ * Retorna a lista de caminhos absolutos dos módulos
+ */
+function resolvePluginSource(source) {
+    const local = path.resolve(source);
+    if (fs.existsSync(local) && fs.statSync(local).isDirectory()) {
+        return fs.readdirSync(local)
+            .filter((file) => file.endsWith('.js'))
+            .sort()
+            .map((file) => path.join(local, file));
+    }
+    if (fs.existsSync(local)) {
+        return [local];
+    }
+
+    // Módulo npm (ex.: 'filtros-da-equipe' ou '@equipe/filtros'), procurado a partir do diretório atual
+    try {
+        return [require.resolve(source, { paths: [process.cwd(), __dirname] })];
+    } catch (error) {
+        throw new Error(`Plugin não encontrado: ${source} (diretório, arquivo .js ou módulo npm)`);
+    }
+}
+
+/**
+ * Carrega plugins de uma lista de origens (diretórios, arquivos ou módulos npm)
+ * Retorna os nomes dos filtros registrados
+ */
+function loadPlugins(sources, reserved = []) {
+    const names = [];
+    for (const source of sources) {
+        for (const modulePath of resolvePluginSource(source)) {
+            names.push(...loadFilterModule(modulePath, reserved));
+        }
+    }
+    return names;
+}
+
+/**
+ * Retorna a definição de um filtro registrado (ou undefined)
+ */
+function getFilter(name) {
+    return registry.get(name);
+}
+
+/**
+ * Lista os filtros registrados
+ */
+function listFilters() {
+    return [...registry.values()];
+}
+
+/**
+ * Converte um valor da linha de comando conforme o esquema do parâmetro
+ */
+function parseParamValue(filterName, param, value) {
+    const label = `Filtro ${filterName}, parâmetro ${param.name}`;
+    let parsed = value;
+
+    if (param.type === 'int' || param.type === 'number') {
+        parsed = Number(value);
+        if (value === '' || !Number.isFinite(parsed) || (param.type === 'int' && !Number.isInteger(parsed))) {
+            throw new Error(`${label}: esperado ${param.type === 'int' ? 'um inteiro' : 'um número'}, recebido: ${value}`);
+        }
+        if ((param.min !== undefined && parsed < param.min) || (param.max !== undefined && parsed > param.max)) {
+            throw new Error(`${label}: deve estar entre ${param.min !== undefined ? param.min : '-∞'} e ${param.max !== undefined ? param.max : '∞'}, recebido: ${value}`);
+        }
+    } else if (param.type === 'enum' && !param.values.includes(value)) {
+        throw new Error(`${label}: use ${param.values.join(', ')}, recebido: ${value}`);
+    }
+
+    return parsed;
+}
+
+/**
+ * Interpreta os parâmetros posicionais de um filtro registrado
+ * Parâmetros com default podem ser omitidos no fim da lista
+ * Retorna { params, used }, em que used é o número de valores consumidos
+ */
+function parseFilterParams(filter, values) {
+    const params = {};
+    let used = 0;
+
+    for (const param of filter.params) {
+        if (used < values.length) {
+            params[param.name] = parseParamValue(filter.name, param, String(values[used]));
+            used++;
+        } else if (param.default !== undefined) {
+            params[param.name] = param.default;
+        } else {
+            throw new Error(`Filtro ${filter.name} requer o parâmetro ${param.name} (${filter.params.map((p) => p.name).join(' ')})`);
+        }
+    }
+
+    return { params, used };
+}
+
+/**
+ * Raio (halo) do filtro para os parâmetros informados
+ */
+function resolveFilterRadius(filter, params) {
+    const radius = typeof filter.radius === 'function' ? filter.radius(params) : filter.radius;
+    if (!Number.isInteger(radius) || radius < 0) {
+        throw new Error(`Filtro ${filter.name}: radius(params) deve retornar um inteiro >= 0, retornou ${radius}`);
+    }
+    return radius;
+}
+
+module.exports = {
+    PARAM_TYPES,
+    registerFilter,
+    loadFilterModule,
+    loadPlugins,
+    getFilter,
+    listFilters,
+    parseFilterParams,
+    resolveFilterRadius
+};
@@ -1,8 +1,17 @@
-const { MODE_NEG, MODE_SLICE } = require('./pgm-utils');
+const {
+    MODE_NEG, MODE_SLICE, MODE_CONVOLVE, MODE_EQUALIZE, MODE_GAMMA, MODE_LOG, MODE_STRETCH, MODE_BITPLANE,
+    MODE_RANK, MODE_MORPHOLOGY, MODE_GEOMETRY, MODE_PLUGIN, MODE_ARITHMETIC, MODE_DITHER, COLOR_MODE_CHANNELS, SLICE_BINARY, SLICE_PRESERVE, COLOR_MODE_LUMA, COLOR_MODE_LUMA_COLOR,
+    BORDER_CLAMP, BORDER_MIRROR, BORDER_ZERO, BORDER_WRAP
+} = require('./pgm-utils');
+const { applyGeometryBlock } = require('./geometry');
+const { applyArithmeticBlock } = require('./arithmetic');
+const { applyOrderedDitherBlock } = require('./dither');
+const { getFilter } = require('./filter-registry');
 
 /* ===== FILTRO NEGATIVO - BASE MATEMÁTICA ===== */
 // Operação de negativo: s = T(r) = L - 1 - r = 255 - r
 // onde r = pixel de entrada, L = máximo valor (256), s = pixel de saída
+// (para imagens de 16 bits, L = maxv + 1, ex.: s = 65535 - r)
 //
 // Pseudo código:
 // Loop 1 de 0 até tamanho x:
@@ -13,7 +22,7 @@ function applyNegativeBlock(inputData, outputData, width, rowStart, rowEnd, maxV
     const startPixel = rowStart * width;   // rs * width (linha inicial)
     const endPixel = rowEnd * width;       // re * width (linha final)
     
-    let minInput = 255, maxInput = 0, minOutput = 255, maxOutput = 0;
+    let minInput = maxValue, maxInput = 0, minOutput = maxValue, maxOutput = 0;
     
     // Implementação do pseudo código - Loop pelos pixels do bloco
     for (let i = startPixel; i < endPixel; i++) {
@@ -50,13 +59,46 @@ function applyNegativeBlock(inputData, outputData, width, rowStart, rowEnd, maxV
 //     Senão
 //       novo_pixel[x,y] = valor_pixel_original[x,y]
 //
-function applySliceBlock(inputData, outputData, width, rowStart, rowEnd, limite_a, limite_b) {
+// As duas variantes clássicas do fatiamento são selecionáveis (--slice):
+//   binario   (padrão): z' = destaque se z está na faixa, senão fundo
+//   preservar:          z' = destaque se z está na faixa, senão z (mantém o resto da imagem)
+// "Na faixa" significa a < z < b; com a faixa invertida (--faixa fora), z <= a ou z >= b.
+// Destaque padrão = maxv, fundo padrão = 0.
+// O pseudo código acima corresponde a: --slice preservar --faixa fora --destaque 255
+//
+
+/**
+ * Completa e valida as opções do slice: { variant, inverted, highlight, background }
+ */
+function resolveSliceOptions(sliceOptions = {}, maxValue = 255) {
+    const {
+        variant = SLICE_BINARY,
+        inverted = false,
+        highlight = maxValue,
+        background = 0
+    } = sliceOptions;
+    
+    if (variant !== SLICE_BINARY && variant !== SLICE_PRESERVE) {
+        throw new Error(`Variante do slice inválida: ${variant}`);
+    }
+    for (const [name, value] of [['Valor de destaque', highlight], ['Valor de fundo', background]]) {
+        if (!Number.isInteger(value) || value < 0 || value > maxValue) {
+            throw new Error(`${name} deve estar entre 0 e ${maxValue}, recebido: ${value}`);
+        }
+    }
+    
+    return { variant, inverted: Boolean(inverted), highlight, background };
+}
+
+function applySliceBlock(inputData, outputData, width, rowStart, rowEnd, limite_a, limite_b, maxValue = 255, sliceOptions = {}) {
     const startPixel = rowStart * width;   // rs * width (linha inicial)
     const endPixel = rowEnd * width;       // re * width (linha final)
     
-    // Conforme fórmula matemática: z' = 0 se z ≤ a ou z ≥ b, z' = k se a < z < b
-    // onde k é um valor de destaque (usaremos 255 para máximo contraste)
-    const k = 255; // valor para pixels dentro da faixa
+    // Conforme fórmula matemática: z' = fundo se z ≤ a ou z ≥ b, z' = k se a < z < b
+    // onde k é o valor de destaque (padrão maxv para máximo contraste)
+    const { variant, inverted, highlight, background } = resolveSliceOptions(sliceOptions, maxValue);
+    const k = highlight; // valor para pixels dentro da faixa
+    const preserve = variant === SLICE_PRESERVE;
     
     let pixelsInRange = 0;
     let pixelsOutRange = 0;
@@ -65,30 +107,939 @@ function applySliceBlock(inputData, outputData, width, rowStart, rowEnd, limite_
     for (let i = startPixel; i < endPixel; i++) {
         const z = inputData[i];  // valor do pixel original (z)
         
-        // z' = 0 se z ≤ a ou z ≥ b (pixels fora da faixa ficam pretos)
-        if (z <= limite_a || z >= limite_b) {
-            outputData[i] = 0;   // z' = 0
-            pixelsOutRange++;
-        } else {
-            // z' = k se a < z < b (pixels dentro da faixa ficam com valor k)
+        // a < z < b (ou o complemento, com a faixa invertida)
+        const inRange = (z > limite_a && z < limite_b) !== inverted;
+        
+        if (inRange) {
+            // z' = k (pixels da faixa recebem o destaque)
             outputData[i] = k;   // z' = k
             pixelsInRange++;
+        } else {
+            // z' = fundo, ou z' = z preservando o resto da imagem
+            outputData[i] = preserve ? z : background;
+            pixelsOutRange++;
         }
     }
     
     // Debug: log da primeira thread para ver estatísticas
     if (rowStart === 0) {
-        console.log(`Debug slice: ${pixelsInRange} pixels na faixa [${limite_a+1}-${limite_b-1}], ${pixelsOutRange} pixels fora`);
+        console.log(`Debug slice: ${pixelsInRange} pixels destacados (faixa [${limite_a+1}-${limite_b-1}]${inverted ? ' invertida' : ''}), ${pixelsOutRange} pixels ${preserve ? 'preservados' : 'no fundo'}`);
     }
     
     return endPixel - startPixel; // Retorna número de pixels processados
 }
 
+/* ===== FILTRAGEM DA LUMINÂNCIA (IMAGENS COLORIDAS) ===== */
+// Luminância (Rec. 601): Y = 0.299 R + 0.587 G + 0.114 B
+// O filtro é aplicado em Y, gerando Y' = T(Y). A saída pode ser:
+//   luma     -> imagem em tons de cinza com Y'
+//   luma-cor -> cada canal recebe o deslocamento (Y' - Y), limitado a [0, maxv]
+//
+function lumaOf(inputData, index) {
+    return Math.round(0.299 * inputData[index] + 0.587 * inputData[index + 1] + 0.114 * inputData[index + 2]);
+}
+
+/**
+ * Retorna a transformação pixel a pixel T(r) do modo especificado
+ */
+function getPointOperation(mode, t1, t2, maxValue, lut = null, sliceOptions = {}) {
+    switch (mode) {
+        case MODE_NEG:
+            return (r) => maxValue - r;
+        case MODE_SLICE: {
+            const { variant, inverted, highlight, background } = resolveSliceOptions(sliceOptions, maxValue);
+            const preserve = variant === SLICE_PRESERVE;
+            return (z) => ((z > t1 && z < t2) !== inverted) ? highlight : (preserve ? z : background);
+        }
+        default:
+            if (isLutMode(mode)) {
+                if (!lut) {
+                    throw new Error('Transformação via LUT requer a tabela montada pela thread principal');
+                }
+                return (r) => lut[r];
+            }
+            throw new Error(`Modo de filtro inválido: ${mode}`);
+    }
+}
+
+function applyLumaBlock(inputData, outputData, width, rowStart, rowEnd, channels, colorMode, pointOp, maxValue) {
+    const startPixel = rowStart * width;
+    const endPixel = rowEnd * width;
+    
+    for (let p = startPixel; p < endPixel; p++) {
+        const i = p * channels;
+        const y = lumaOf(inputData, i);
+        const yOut = pointOp(y);
+        
+        if (colorMode === COLOR_MODE_LUMA) {
+            outputData[p] = yOut; // saída em tons de cinza (1 canal)
+        } else {
+            const delta = yOut - y;
+            for (let c = 0; c < channels; c++) {
+                outputData[i + c] = Math.min(maxValue, Math.max(0, inputData[i + c] + delta));
+            }
+        }
+    }
+    
+    return endPixel - startPixel;
+}
+
+/* ===== CONVOLUÇÃO COM KERNEL - BASE MATEMÁTICA ===== */
+// g(x,y) = (1/divisor) * Σ Σ w(i,j) * f(x + i, y + j) + bias
+// para i em [-rx, rx] e j em [-ry, ry], onde w é o kernel (largura e altura ímpares)
+//
+// Cada pixel de saída depende de ry linhas acima e abaixo: um bloco de linhas
+// [rs, re) precisa das linhas de entrada [rs - ry, re + ry) (o halo da tarefa).
+// Fora da imagem o valor lido depende do modo de borda (replicar, espelho, zero, circular).
+//
+// Combinação dos resultados:
+//   clamp     -> limita g a [0, maxv] (blur, nitidez)
+//   abs       -> |g|, para kernels de derivada cuja soma é zero (Sobel-x, Laplaciano)
+//   magnitude -> sqrt(gx² + gy²) de dois kernels (Sobel, Prewitt)
+
+const COMBINE_CLAMP = 'clamp';
+const COMBINE_ABS = 'abs';
+const COMBINE_MAGNITUDE = 'magnitude';
+
+const SOBEL_X = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+const SOBEL_Y = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+const PREWITT_X = [-1, 0, 1, -1, 0, 1, -1, 0, 1];
+const PREWITT_Y = [-1, -1, -1, 0, 0, 0, 1, 1, 1];
+
+/**
+ * Kernel separável gaussiano (binomial) de tamanho n: produto externo da linha do triângulo de Pascal
+ */
+function binomialKernel(size) {
+    let row = [1];
+    for (let i = 1; i < size; i++) {
+        const next = [1];
+        for (let j = 1; j < i; j++) {
+            next.push(row[j - 1] + row[j]);
+        }
+        next.push(1);
+        row = next;
+    }
+    const weights = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            weights.push(row[y] * row[x]);
+        }
+    }
+    return weights;
+}
+
+// Kernels predefinidos aceitos pelo nome no modo convolucao
+const KERNELS = {
+    'box3': { width: 3, height: 3, kernels: [new Array(9).fill(1)], divisor: 9, combine: COMBINE_CLAMP },
+    'box5': { width: 5, height: 5, kernels: [new Array(25).fill(1)], divisor: 25, combine: COMBINE_CLAMP },
+    'gaussiano3': { width: 3, height: 3, kernels: [binomialKernel(3)], divisor: 16, combine: COMBINE_CLAMP },
+    'gaussiano5': { width: 5, height: 5, kernels: [binomialKernel(5)], divisor: 256, combine: COMBINE_CLAMP },
+    'nitidez': { width: 3, height: 3, kernels: [[0, -1, 0, -1, 5, -1, 0, -1, 0]], divisor: 1, combine: COMBINE_CLAMP },
+    'sobel-x': { width: 3, height: 3, kernels: [SOBEL_X], divisor: 1, combine: COMBINE_ABS },
+    'sobel-y': { width: 3, height: 3, kernels: [SOBEL_Y], divisor: 1, combine: COMBINE_ABS },
+    'sobel': { width: 3, height: 3, kernels: [SOBEL_X, SOBEL_Y], divisor: 1, combine: COMBINE_MAGNITUDE },
+    'prewitt-x': { width: 3, height: 3, kernels: [PREWITT_X], divisor: 1, combine: COMBINE_ABS },
+    'prewitt-y': { width: 3, height: 3, kernels: [PREWITT_Y], divisor: 1, combine: COMBINE_ABS },
+    'prewitt': { width: 3, height: 3, kernels: [PREWITT_X, PREWITT_Y], divisor: 1, combine: COMBINE_MAGNITUDE },
+    'laplaciano': { width: 3, height: 3, kernels: [[0, 1, 0, 1, -4, 1, 0, 1, 0]], divisor: 1, combine: COMBINE_ABS }
+};
+
+// Nomes aceitos na opção --borda
+const BORDER_MODES = {
+    'replicar': BORDER_CLAMP,
+    'espelho': BORDER_MIRROR,
+    'zero': BORDER_ZERO,
+    'circular': BORDER_WRAP
+};
+
+/**
+ * Interpreta um kernel: nome predefinido, "LxA:w1,w2,..." ou lista quadrada "w1,...,wn"
+ * divisor e bias opcionais (divisor padrão: soma dos pesos, ou 1 se a soma for zero)
+ */
+function parseKernel(spec, divisor, bias = 0) {
+    let kernel;
+    
+    if (KERNELS[spec]) {
+        kernel = { name: spec, ...KERNELS[spec] };
+    } else {
+        let width, height, list = spec;
+        const match = /^(\d+)x(\d+):(.*)$/.exec(spec);
+        if (match) {
+            width = parseInt(match[1]);
+            height = parseInt(match[2]);
+            list = match[3];
+        }
+        
+        const weights = list.split(',').map(Number);
+        if (weights.length === 0 || weights.some(w => !Number.isFinite(w))) {
+            throw new Error(`Kernel inválido: ${spec}. Use ${Object.keys(KERNELS).join(', ')}, LxA:w1,w2,... ou w1,...,wn`);
+        }
+        
+        if (!match) {
+            width = height = Math.round(Math.sqrt(weights.length));
+            if (width * height !== weights.length) {
+                throw new Error(`Kernel com ${weights.length} pesos não é quadrado; use o formato LxA:w1,w2,...`);
+            }
+        } else if (width * height !== weights.length) {
+            throw new Error(`Kernel ${width}x${height} requer ${width * height} pesos, recebido: ${weights.length}`);
+        }
+        
+        const sum = weights.reduce((a, b) => a + b, 0);
+        kernel = { name: 'personalizado', width, height, kernels: [weights], divisor: sum !== 0 ? sum : 1, combine: COMBINE_CLAMP };
+    }
+    
+    if (kernel.width % 2 === 0 || kernel.height % 2 === 0) {
+        throw new Error(`Kernel deve ter largura e altura ímpares, recebido: ${kernel.width}x${kernel.height}`);
+    }
+    
+    if (divisor !== undefined) {
+        if (!Number.isFinite(divisor) || divisor === 0) {
+            throw new Error(`Divisor do kernel inválido: ${divisor}`);
+        }
+        kernel.divisor = divisor;
+    }
+    if (!Number.isFinite(bias)) {
+        throw new Error(`Bias do kernel inválido: ${bias}`);
+    }
+    kernel.bias = bias;
+    
+    return kernel;
+}
+
+/**
+ * Mapeia um índice possivelmente fora de [0, n) conforme o modo de borda
+ * Retorna -1 quando o valor lido deve ser zero
+ */
+function borderIndex(i, n, border) {
+    if (i >= 0 && i < n) {
+        return i;
+    }
+    
+    switch (border) {
+        case BORDER_CLAMP:
+            return i < 0 ? 0 : n - 1;
+        case BORDER_MIRROR: {
+            if (n === 1) {
+                return 0;
+            }
+            const period = 2 * n - 2;
+            const m = ((i % period) + period) % period;
+            return m < n ? m : period - m;
+        }
+        case BORDER_ZERO:
+            return -1;
+        case BORDER_WRAP:
+            return ((i % n) + n) % n;
+        default:
+            throw new Error(`Modo de borda inválido: ${border}`);
+    }
+}
+
+/**
+ * Aplica a convolução nas linhas [rowStart, rowEnd) da imagem
+ * As linhas são da imagem inteira; inputRowOffset/outputRowOffset indicam qual linha
+ * da imagem está no início de cada buffer (processamento em faixas)
+ */
+function applyConvolutionBlock(inputData, outputData, width, height, rowStart, rowEnd, kernel, border, maxValue, channels, inputRowOffset = 0, outputRowOffset = 0) {
+    const { width: kw, height: kh, kernels, divisor, bias = 0, combine } = kernel;
+    const rx = kw >> 1;
+    const ry = kh >> 1;
+    const rowSamples = width * channels;
+    
+    // Coluna de origem de cada x para cada coluna do kernel (-1 = zero)
+    const columnMap = [];
+    for (let kx = 0; kx < kw; kx++) {
+        const map = new Int32Array(width);
+        for (let x = 0; x < width; x++) {
+            const sx = borderIndex(x + kx - rx, width, border);
+            map[x] = sx < 0 ? -1 : sx * channels;
+        }
+        columnMap.push(map);
+    }
+    
+    const sourceRows = new Int32Array(kh);
+    const sums = new Float64Array(kernels.length);
+    
+    for (let y = rowStart; y < rowEnd; y++) {
+        // Início de cada linha de entrada usada pelo kernel (-1 = zero)
+        for (let ky = 0; ky < kh; ky++) {
+            const sy = borderIndex(y + ky - ry, height, border);
+            sourceRows[ky] = sy < 0 ? -1 : (sy - inputRowOffset) * rowSamples;
+        }
+        const outBase = (y - outputRowOffset) * rowSamples;
+        
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                sums.fill(0);
+                
+                for (let ky = 0; ky < kh; ky++) {
+                    const base = sourceRows[ky];
+                    if (base < 0) continue;
+                    
+                    for (let kx = 0; kx < kw; kx++) {
+                        const sx = columnMap[kx][x];
+                        if (sx < 0) continue;
+                        
+                        const f = inputData[base + sx + c];
+                        const k = ky * kw + kx;
+                        for (let m = 0; m < kernels.length; m++) {
+                            sums[m] += kernels[m][k] * f;
+                        }
+                    }
+                }
+                
+                let g;
+                if (combine === COMBINE_MAGNITUDE) {
+                    let squares = 0;
+                    for (let m = 0; m < kernels.length; m++) {
+                        squares += sums[m] * sums[m];
+                    }
+                    g = Math.sqrt(squares) / divisor;
+                } else {
+                    g = sums[0] / divisor;
+                    if (combine === COMBINE_ABS) {
+                        g = Math.abs(g);
+                    }
+                }
+                
+                g = Math.round(g + bias);
+                outputData[outBase + x * channels + c] = g < 0 ? 0 : (g > maxValue ? maxValue : g);
+            }
+        }
+    }
+    
+    return (rowEnd - rowStart) * width;
+}
+
+/* ===== FILTROS DE ORDEM E MORFOLOGIA - BASE MATEMÁTICA ===== */
+// Filtros não lineares sobre a vizinhança definida por um elemento estruturante B:
+//   ordem k:   g(x,y) = k-ésimo menor valor de { f(x+i, y+j) | (i,j) ∈ B }
+//   mediana:   k = n / 2 (remove ruído impulsivo do slice preservando bordas)
+//   erosão:    g = min (ordem 0)        dilatação: g = max (ordem n - 1)
+//   abertura:  dilatação(erosão(f))     fechamento: erosão(dilatação(f))
+//   gradiente: dilatação(f) - erosão(f)
+//
+// Abertura e fechamento são duas passadas dependentes: a segunda lê o resultado
+// completo da primeira. O pool executa as passadas com uma barreira entre elas,
+// sem recriar as threads. Cada passada lê r linhas vizinhas, então o halo total
+// do filtro é r vezes o número de passadas.
+
+// Operação aplicada em cada passada sobre a vizinhança
+const NEIGHBORHOOD_RANK = 'ordem';
+const NEIGHBORHOOD_MIN = 'min';
+const NEIGHBORHOOD_MAX = 'max';
+const NEIGHBORHOOD_GRADIENT = 'gradiente';
+
+// Operações morfológicas -> sequência de passadas
+const MORPHOLOGY_OPERATIONS = {
+    'erosao': [NEIGHBORHOOD_MIN],
+    'dilatacao': [NEIGHBORHOOD_MAX],
+    'abertura': [NEIGHBORHOOD_MIN, NEIGHBORHOOD_MAX],
+    'fechamento': [NEIGHBORHOOD_MAX, NEIGHBORHOOD_MIN],
+    'gradiente': [NEIGHBORHOOD_GRADIENT]
+};
+
+// Formas aceitas de elemento estruturante (janela dos filtros de ordem)
+const STRUCTURING_ELEMENTS = ['quadrado', 'cruz', 'disco'];
+
+/**
+ * Monta o elemento estruturante de tamanho ímpar: lista de deslocamentos [dx0, dy0, dx1, dy1, ...]
+ */
+function buildStructuringElement(shape, size) {
+    if (!Number.isInteger(size) || size < 1 || size % 2 === 0) {
+        throw new Error(`Tamanho da janela deve ser um inteiro ímpar >= 1, recebido: ${size}`);
+    }
+    if (!STRUCTURING_ELEMENTS.includes(shape)) {
+        throw new Error(`Elemento estruturante inválido: ${shape}. Use ${STRUCTURING_ELEMENTS.join(', ')}`);
+    }
+    
+    const r = size >> 1;
+    const offsets = [];
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            const inside = shape === 'quadrado' ||
+                (shape === 'cruz' && (dx === 0 || dy === 0)) ||
+                (shape === 'disco' && dx * dx + dy * dy <= r * r);
+            if (inside) {
+                offsets.push(dx, dy);
+            }
+        }
+    }
+    
+    return { shape, size, radius: r, offsets, count: offsets.length / 2 };
+}
+
+/**
+ * Descreve um filtro de vizinhança: { element, passes, rank }
+ * mode = MODE_RANK: operation = 'mediana' | 'minimo' | 'maximo' | 'ordem' (com rank k)
+ * mode = MODE_MORPHOLOGY: operation = erosao | dilatacao | abertura | fechamento | gradiente
+ */
+function createNeighborhoodFilter(mode, operation, size, shape = 'quadrado', rank = undefined) {
+    const element = buildStructuringElement(shape, size);
+    const n = element.count;
+    
+    if (mode === MODE_MORPHOLOGY) {
+        const passes = MORPHOLOGY_OPERATIONS[operation];
+        if (!passes) {
+            throw new Error(`Operação morfológica inválida: ${operation}. Use ${Object.keys(MORPHOLOGY_OPERATIONS).join(', ')}`);
+        }
+        return { operation, element, passes, rank: 0 };
+    }
+    
+    switch (operation) {
+        case 'mediana':
+            return { operation, element, passes: [NEIGHBORHOOD_RANK], rank: n >> 1 };
+        case 'minimo':
+            return { operation, element, passes: [NEIGHBORHOOD_MIN], rank: 0 };
+        case 'maximo':
+            return { operation, element, passes: [NEIGHBORHOOD_MAX], rank: n - 1 };
+        case 'ordem':
+            if (!Number.isInteger(rank) || rank < 0 || rank >= n) {
+                throw new Error(`Ordem deve estar entre 0 e ${n - 1} para a janela ${shape} ${size}x${size}, recebido: ${rank}`);
+            }
+            return { operation, element, passes: [NEIGHBORHOOD_RANK], rank };
+        default:
+            throw new Error(`Filtro de ordem inválido: ${operation}`);
+    }
+}
+
+/**
+ * Número de linhas vizinhas (acima e abaixo) que o filtro lê - tamanho do halo
+ * Filtros de várias passadas somam o raio de cada passada
+ * plugin: { name, module, params, radius } dos filtros externos (raio já resolvido)
+ */
+function getFilterRadius(mode, kernel, neighborhood, plugin) {
+    if (mode === MODE_PLUGIN) {
+        return plugin.radius;
+    }
+    if (mode === MODE_CONVOLVE) {
+        return kernel.height >> 1;
+    }
+    if (mode === MODE_RANK || mode === MODE_MORPHOLOGY) {
+        return neighborhood.element.radius * neighborhood.passes.length;
+    }
+    return 0;
+}
+
+/**
+ * Aplica uma passada de filtro de vizinhança nas linhas [rowStart, rowEnd) da imagem
+ * operation: NEIGHBORHOOD_RANK (k-ésimo valor), _MIN, _MAX ou _GRADIENT (max - min)
+ */
+function applyNeighborhoodBlock(inputData, outputData, width, height, rowStart, rowEnd, element, operation, rank, border, maxValue, channels, inputRowOffset = 0, outputRowOffset = 0) {
+    const { offsets, count } = element;
+    const rowSamples = width * channels;
+    const values = new Float64Array(count);
+    
+    for (let y = rowStart; y < rowEnd; y++) {
+        const outBase = (y - outputRowOffset) * rowSamples;
+        
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                let min = Infinity, max = -Infinity;
+                
+                for (let e = 0; e < count; e++) {
+                    const sy = borderIndex(y + offsets[2 * e + 1], height, border);
+                    const sx = borderIndex(x + offsets[2 * e], width, border);
+                    // Borda zero: fora da imagem vale 0
+                    const v = (sy < 0 || sx < 0) ? 0 : inputData[(sy - inputRowOffset) * rowSamples + sx * channels + c];
+                    values[e] = v;
+                    if (v < min) min = v;
+                    if (v > max) max = v;
+                }
+                
+                let g;
+                switch (operation) {
+                    case NEIGHBORHOOD_MIN: g = min; break;
+                    case NEIGHBORHOOD_MAX: g = max; break;
+                    case NEIGHBORHOOD_GRADIENT: g = max - min; break;
+                    case NEIGHBORHOOD_RANK: g = values.sort()[rank]; break;
+                    default:
+                        throw new Error(`Operação de vizinhança inválida: ${operation}`);
+                }
+                
+                outputData[outBase + x * channels + c] = g;
+            }
+        }
+    }
+    
+    return (rowEnd - rowStart) * width;
+}
+
+/* ===== TRANSFORMAÇÕES DE INTENSIDADE VIA TABELA DE CONSULTA (LUT) ===== */
+// Qualquer transformação pontual s = T(r) pode ser pré-calculada para os maxv + 1
+// níveis possíveis. A tabela é montada uma única vez por job na thread principal e
+// compartilhada (SharedArrayBuffer) com todas as threads, que só fazem s = lut[r].
+//
+// Potência (gama):    s = maxv · (r / maxv)^γ          (γ < 1 clareia, γ > 1 escurece)
+// Logarítmica:        s = c · log(1 + r), c = maxv / log(1 + maxv)
+// Contraste (partes): reta de (0,0) a (r1,s1), de (r1,s1) a (r2,s2) e de (r2,s2) a (maxv,maxv)
+//                     r1 = r2, s1 = 0, s2 = maxv equivale a uma limiarização em r1
+// Plano de bits k:    s = maxv se o bit k de r for 1, senão 0
+
+/**
+ * Indica se o modo é aplicado pelo motor de LUT
+ */
+function isLutMode(mode) {
+    return mode === MODE_EQUALIZE || mode === MODE_GAMMA || mode === MODE_LOG ||
+        mode === MODE_STRETCH || mode === MODE_BITPLANE;
+}
+
+/**
+ * Valida os parâmetros de uma transformação de intensidade
+ */
+function validateLutParams(mode, params, maxValue = 255) {
+    switch (mode) {
+        case MODE_GAMMA:
+            if (!Number.isFinite(params.gamma) || params.gamma <= 0) {
+                throw new Error(`Gama deve ser um número positivo, recebido: ${params.gamma}`);
+            }
+            break;
+        case MODE_LOG:
+            break;
+        case MODE_STRETCH: {
+            const { r1, s1, r2, s2 } = params;
+            for (const [name, value] of Object.entries({ r1, s1, r2, s2 })) {
+                if (!Number.isInteger(value) || value < 0 || value > maxValue) {
+                    throw new Error(`${name} deve estar entre 0 e ${maxValue}, recebido: ${value}`);
+                }
+            }
+            if (r1 > r2) {
+                throw new Error(`r1 deve ser menor ou igual a r2, recebido: r1=${r1}, r2=${r2}`);
+            }
+            break;
+        }
+        case MODE_BITPLANE: {
+            const bits = maxValue > 255 ? 16 : 8;
+            if (!Number.isInteger(params.bit) || params.bit < 0 || params.bit >= bits) {
+                throw new Error(`Plano de bits deve estar entre 0 e ${bits - 1}, recebido: ${params.bit}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Modo sem transformação de intensidade: ${mode}`);
+    }
+    return true;
+}
+
+/**
+ * Monta a LUT (maxv + 1 entradas) de uma transformação de intensidade
+ * params: { gamma } | {} | { r1, s1, r2, s2 } | { bit }
+ */
+function buildIntensityLut(mode, params, maxValue = 255) {
+    validateLutParams(mode, params, maxValue);
+    
+    const lut = new Array(maxValue + 1);
+    const clamp = (s) => Math.min(maxValue, Math.max(0, Math.round(s)));
+    
+    for (let r = 0; r <= maxValue; r++) {
+        switch (mode) {
+            case MODE_GAMMA:
+                lut[r] = clamp(maxValue * Math.pow(r / maxValue, params.gamma));
+                break;
+            case MODE_LOG:
+                lut[r] = clamp(maxValue / Math.log(1 + maxValue) * Math.log(1 + r));
+                break;
+            case MODE_STRETCH: {
+                const { r1, s1, r2, s2 } = params;
+                if (r <= r1) {
+                    lut[r] = r1 === 0 ? s1 : clamp(s1 * r / r1);
+                } else if (r <= r2) {
+                    lut[r] = clamp(s1 + (s2 - s1) * (r - r1) / (r2 - r1));
+                } else {
+                    lut[r] = r2 === maxValue ? s2 : clamp(s2 + (maxValue - s2) * (r - r2) / (maxValue - r2));
+                }
+                break;
+            }
+            case MODE_BITPLANE:
+                lut[r] = ((r >> params.bit) & 1) ? maxValue : 0;
+                break;
+        }
+    }
+    
+    return lut;
+}
+
+/**
+ * Aplica uma tabela de consulta (LUT) amostra a amostra: s = lut[r]
+ */
+function applyLutBlock(inputData, outputData, width, rowStart, rowEnd, lut) {
+    const startPixel = rowStart * width;
+    const endPixel = rowEnd * width;
+    
+    for (let i = startPixel; i < endPixel; i++) {
+        outputData[i] = lut[inputData[i]];
+    }
+    
+    return endPixel - startPixel;
+}
+
+/* ===== EQUALIZAÇÃO DE HISTOGRAMA - BASE MATEMÁTICA ===== */
+// s_k = T(r_k) = (L - 1) * Σ_{j=0..k} p_r(r_j), onde p_r(r_j) = n_j / n
+// Forma discreta usada (remove o deslocamento do primeiro nível ocupado):
+//   lut[v] = round((cdf[v] - cdf_min) / (n - cdf_min) * maxv)
+//
+// Em paralelo, em duas rodadas sobre as mesmas threads:
+//   1) cada thread calcula o histograma parcial do seu bloco de linhas
+//   2) a thread principal soma os parciais, monta a CDF e a LUT
+//   3) cada thread aplica a LUT no seu bloco
+// Imagens coloridas: 'canal' usa um histograma conjunto das amostras R, G, B
+// (mesma LUT nos três canais); 'luma'/'luma-cor' equalizam a luminância.
+
+/**
+ * Calcula o histograma (maxv + 1 níveis) das linhas [rowStart, rowEnd) dos buffers
+ */
+function computeHistogramBlock(inputData, width, rowStart, rowEnd, maxValue = 255, channels = 1, colorMode = COLOR_MODE_CHANNELS) {
+    const histogram = new Uint32Array(maxValue + 1);
+    const startPixel = rowStart * width;
+    const endPixel = rowEnd * width;
+    
+    if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+        for (let p = startPixel; p < endPixel; p++) {
+            histogram[lumaOf(inputData, p * channels)]++;
+        }
+    } else {
+        for (let i = startPixel * channels; i < endPixel * channels; i++) {
+            histogram[inputData[i]]++;
+        }
+    }
+    
+    return histogram;
+}
+
+/**
+ * Soma os histogramas parciais das threads
+ */
+function mergeHistograms(histograms, maxValue = 255) {
+    const total = new Uint32Array(maxValue + 1);
+    for (const partial of histograms) {
+        for (let v = 0; v <= maxValue; v++) {
+            total[v] += partial[v];
+        }
+    }
+    return total;
+}
+
+/**
+ * Monta a LUT de equalização a partir do histograma global
+ * Imagens com um único nível (cdf_min = n) mantêm os valores originais
+ */
+function buildEqualizationLut(histogram, maxValue = 255) {
+    const lut = new Array(maxValue + 1);
+    
+    let n = 0;
+    let cdfMin = 0;
+    for (let v = 0; v <= maxValue; v++) {
+        if (cdfMin === 0 && histogram[v] > 0) {
+            cdfMin = histogram[v];
+        }
+        n += histogram[v];
+    }
+    
+    let cdf = 0;
+    for (let v = 0; v <= maxValue; v++) {
+        cdf += histogram[v];
+        lut[v] = n === cdfMin ? v : Math.max(0, Math.round((cdf - cdfMin) / (n - cdfMin) * maxValue));
+    }
+    
+    return lut;
+}
+
+/* ===== LIMIARES AUTOMÁTICOS DO SLICE ===== */
+// Calculados sobre o histograma global (mesma rodada paralela da equalização):
+//
+// Otsu (1 limiar): escolhe T que maximiza a variância entre classes
+//   σ²_B(T) = w0(T) · w1(T) · (μ0(T) - μ1(T))²
+//   slice destaca a classe clara: t1 = T, t2 = maxv
+// Otsu multinível (2 limiares): T1 < T2 maximizam Σ w_k · μ_k² das 3 classes
+//   slice destaca a classe do meio [T1+1, T2]: t1 = T1, t2 = T2 + 1
+// Percentis: pN é o menor nível v com CDF(v) >= N% dos pixels (ex.: slice p10 p90)
+
+// Número máximo de níveis do Otsu multinível (O(L²)); histogramas de 16 bits são reagrupados
+const MULTI_OTSU_BINS = 256;
+
+/**
+ * Limiar de Otsu (1 limiar) - retorna T, último nível da classe escura
+ */
+function computeOtsuThreshold(histogram) {
+    let total = 0, sum = 0;
+    for (let v = 0; v < histogram.length; v++) {
+        total += histogram[v];
+        sum += v * histogram[v];
+    }
+    
+    let weightBack = 0, sumBack = 0, bestVariance = -1, threshold = 0;
+    for (let t = 0; t < histogram.length; t++) {
+        weightBack += histogram[t];
+        if (weightBack === 0) continue;
+        
+        const weightFore = total - weightBack;
+        if (weightFore === 0) break;
+        
+        sumBack += t * histogram[t];
+        const meanBack = sumBack / weightBack;
+        const meanFore = (sum - sumBack) / weightFore;
+        const variance = weightBack * weightFore * (meanBack - meanFore) * (meanBack - meanFore);
+        
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = t;
+        }
+    }
+    
+    return threshold;
+}
+
+/**
+ * Otsu multinível com 2 limiares - retorna [T1, T2], últimos níveis das classes escura e média
+ */
+function computeMultiOtsuThresholds(histogram, maxValue = 255) {
+    // Reagrupa em no máximo MULTI_OTSU_BINS classes de binWidth níveis
+    const binWidth = Math.ceil((maxValue + 1) / MULTI_OTSU_BINS);
+    const bins = Math.ceil((maxValue + 1) / binWidth);
+    const counts = new Float64Array(bins);
+    const sums = new Float64Array(bins);
+    for (let v = 0; v <= maxValue; v++) {
+        const b = Math.floor(v / binWidth);
+        counts[b] += histogram[v];
+        sums[b] += v * histogram[v];
+    }
+    
+    // Somas acumuladas para obter w e μ de qualquer intervalo em O(1)
+    const P = new Float64Array(bins + 1);
+    const S = new Float64Array(bins + 1);
+    for (let b = 0; b < bins; b++) {
+        P[b + 1] = P[b] + counts[b];
+        S[b + 1] = S[b] + sums[b];
+    }
+    const classScore = (from, to) => {
+        const w = P[to] - P[from];
+        return w > 0 ? (S[to] - S[from]) * (S[to] - S[from]) / w : 0;
+    };
+    
+    let best = -1, k1Best = 0, k2Best = Math.min(1, bins - 1);
+    for (let k1 = 0; k1 < bins - 2; k1++) {
+        for (let k2 = k1 + 1; k2 < bins - 1; k2++) {
+            const score = classScore(0, k1 + 1) + classScore(k1 + 1, k2 + 1) + classScore(k2 + 1, bins);
+            if (score > best) {
+                best = score;
+                k1Best = k1;
+                k2Best = k2;
+            }
+        }
+    }
+    
+    // Último nível de cada classe na escala original
+    return [
+        Math.min(maxValue, (k1Best + 1) * binWidth - 1),
+        Math.min(maxValue, (k2Best + 1) * binWidth - 1)
+    ];
+}
+
+/**
+ * Menor nível v com CDF(v) >= percentile% dos pixels
+ */
+function histogramPercentile(histogram, percentile) {
+    let total = 0;
+    for (let v = 0; v < histogram.length; v++) {
+        total += histogram[v];
+    }
+    
+    const target = Math.max(1, Math.ceil(total * percentile / 100));
+    let cumulative = 0;
+    for (let v = 0; v < histogram.length; v++) {
+        cumulative += histogram[v];
+        if (cumulative >= target) {
+            return v;
+        }
+    }
+    return histogram.length - 1;
+}
+
+/**
+ * Interpreta um limiar do slice: inteiro fixo ou percentil "pN" (0 <= N <= 100)
+ */
+function parseThresholdSpec(value) {
+    const match = /^p(\d+(?:\.\d+)?)$/.exec(value);
+    if (match) {
+        const percentile = parseFloat(match[1]);
+        if (percentile > 100) {
+            throw new Error(`Percentil inválido: ${value} (use p0 a p100)`);
+        }
+        return { percentile };
+    }
+    
+    if (!/^-?\d+$/.test(value)) {
+        throw new Error(`Limiar inválido: ${value}. Use um inteiro ou um percentil (ex.: p10)`);
+    }
+    return parseInt(value);
+}
+
+/**
+ * Calcula t1 e t2 do slice a partir do histograma global
+ * spec: { method: 'otsu' | 'otsu2' } ou { method: 'percentil', t1, t2 } com limiares de parseThresholdSpec
+ */
+function resolveSliceThresholds(spec, histogram, maxValue = 255) {
+    let t1, t2;
+    
+    switch (spec.method) {
+        case 'otsu':
+            t1 = computeOtsuThreshold(histogram);
+            t2 = maxValue;
+            break;
+        case 'otsu2': {
+            const [T1, T2] = computeMultiOtsuThresholds(histogram, maxValue);
+            t1 = T1;
+            t2 = Math.min(maxValue, T2 + 1);
+            break;
+        }
+        case 'percentil': {
+            const resolve = (t) => typeof t === 'number' ? t : histogramPercentile(histogram, t.percentile);
+            t1 = resolve(spec.t1);
+            t2 = resolve(spec.t2);
+            break;
+        }
+        default:
+            throw new Error(`Método de limiar automático inválido: ${spec.method}`);
+    }
+    
+    validateSliceParams(t1, t2, maxValue);
+    return { t1, t2 };
+}
+
+/**
+ * Retorna o número de canais da saída para um modo de cor
+ */
+function getOutputChannels(channels, colorMode) {
+    return (channels === 3 && colorMode === COLOR_MODE_LUMA) ? 1 : channels;
+}
+
+/* ===== FILTROS EXTERNOS (PLUGINS) ===== */
+// O filtro registrado recebe a faixa de linhas a processar e acessores que escondem
+// o deslocamento dos buffers (processamento em faixas) e o modo de borda:
+//   band.get(x, y, c)    -> amostra da entrada (x e y podem sair da imagem até o raio declarado)
+//   band.set(x, y, c, v) -> grava na saída, arredondando e limitando a [0, maxv]
+// input/output e os offsets também são expostos para laços otimizados.
+
+/**
+ * Aplica um filtro externo nas linhas [rowStart, rowEnd) da imagem
+ */
+function applyPluginBlock(inputData, outputData, width, height, rowStart, rowEnd, plugin, border, maxValue, channels, inputRowOffset = 0, outputRowOffset = 0) {
+    const filter = getFilter(plugin.name);
+    if (!filter) {
+        throw new Error(`Filtro externo não registrado nesta thread: ${plugin.name}`);
+    }
+    
+    const rowSamples = width * channels;
+    const band = {
+        input: inputData,
+        output: outputData,
+        width,
+        height,
+        channels,
+        maxValue,
+        rowStart,
+        rowEnd,
+        inputRowOffset,
+        outputRowOffset,
+        params: plugin.params,
+        get(x, y, c = 0) {
+            const sy = borderIndex(y, height, border);
+            const sx = borderIndex(x, width, border);
+            // Borda zero: fora da imagem vale 0
+            return (sy < 0 || sx < 0) ? 0 : inputData[(sy - inputRowOffset) * rowSamples + sx * channels + c];
+        },
+        set(x, y, c, value) {
+            const v = Math.round(value);
+            outputData[(y - outputRowOffset) * rowSamples + x * channels + c] = v < 0 ? 0 : v > maxValue ? maxValue : v;
+        }
+    };
+    
+    const processed = filter.apply(band);
+    return Number.isInteger(processed) ? processed : (rowEnd - rowStart) * width;
+}
+
 /**
  * Aplica filtro genérico baseado no modo especificado
+ * Para imagens coloridas (channels = 3), colorMode escolhe filtragem por canal ou pela luminância
+ * options: { kernel, border, height } da convolução, { neighborhood, operation } dos filtros de ordem
+ * e morfologia, { plugin } dos filtros externos, { geometry } das transformações geométricas (rowStart/rowEnd são linhas da saída), { dither } do pontilhado ordenado, { lut } dos modos via LUT, { slice } do slice e { inputRowOffset, outputRowOffset },
+ * a linha da imagem no início de cada buffer quando a imagem é processada em faixas
  */
-function applyFilter(inputData, outputData, width, rowStart, rowEnd, mode, t1 = 0, t2 = 255, maxValue = 255) {
+function applyFilter(inputData, outputData, width, rowStart, rowEnd, mode, t1 = 0, t2 = 255, maxValue = 255, channels = 1, colorMode = COLOR_MODE_CHANNELS, options = {}) {
     let processedPixels = 0;
+    const { inputRowOffset = 0, outputRowOffset = 0 } = options;
+    
+    if (mode === MODE_CONVOLVE) {
+        if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error("Convolução suporta apenas o modo de cor 'canal'");
+        }
+        return applyConvolutionBlock(inputData, outputData, width, options.height, rowStart, rowEnd,
+            options.kernel, options.border, maxValue, channels, inputRowOffset, outputRowOffset);
+    }
+    
+    if (mode === MODE_RANK || mode === MODE_MORPHOLOGY) {
+        if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error("Filtros de ordem e morfologia suportam apenas o modo de cor 'canal'");
+        }
+        // Cada passada informa sua operação (ex.: abertura = min e depois max)
+        const { neighborhood } = options;
+        const operation = options.operation || neighborhood.passes[0];
+        return applyNeighborhoodBlock(inputData, outputData, width, options.height, rowStart, rowEnd,
+            neighborhood.element, operation, neighborhood.rank, options.border, maxValue, channels,
+            inputRowOffset, outputRowOffset);
+    }
+    
+    if (mode === MODE_PLUGIN) {
+        if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error("Filtros externos suportam apenas o modo de cor 'canal'");
+        }
+        return applyPluginBlock(inputData, outputData, width, options.height, rowStart, rowEnd,
+            options.plugin, options.border, maxValue, channels, inputRowOffset, outputRowOffset);
+    }
+    
+    if (mode === MODE_GEOMETRY) {
+        if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error("Transformações geométricas suportam apenas o modo de cor 'canal'");
+        }
+        return applyGeometryBlock(inputData, outputData, width, options.height, rowStart, rowEnd,
+            options.geometry, maxValue, channels, inputRowOffset, outputRowOffset);
+    }
+    
+    if (mode === MODE_ARITHMETIC) {
+        if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error("Operações entre imagens suportam apenas o modo de cor 'canal'");
+        }
+        return applyArithmeticBlock(inputData, options.second, outputData, width, rowStart, rowEnd,
+            options.arithmetic, maxValue, channels, inputRowOffset, outputRowOffset);
+    }
+    
+    // Pontilhado ordenado (Bayer); a difusão de erro usa a fase TASK_PHASE_DIFFUSE
+    if (mode === MODE_DITHER) {
+        if (channels > 1 && colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error("Pontilhado suporta apenas o modo de cor 'canal'");
+        }
+        return applyOrderedDitherBlock(inputData, outputData, width, rowStart, rowEnd,
+            options.dither.bayerSize, maxValue, channels, inputRowOffset, outputRowOffset);
+    }
+    
+    // Filtros pontuais: entrada e saída alinhadas, linhas relativas ao início dos buffers
+    if (inputRowOffset !== outputRowOffset) {
+        throw new Error('Filtros pontuais exigem buffers de entrada e saída alinhados');
+    }
+    rowStart -= inputRowOffset;
+    rowEnd -= inputRowOffset;
+    
+    if (channels > 1) {
+        if (colorMode === COLOR_MODE_LUMA || colorMode === COLOR_MODE_LUMA_COLOR) {
+            const pointOp = getPointOperation(mode, t1, t2, maxValue, options.lut, options.slice);
+            return applyLumaBlock(inputData, outputData, width, rowStart, rowEnd, channels, colorMode, pointOp, maxValue);
+        }
+        if (colorMode !== COLOR_MODE_CHANNELS) {
+            throw new Error(`Modo de cor inválido: ${colorMode}`);
+        }
+        // Por canal: as amostras intercaladas R, G, B formam linhas de width * channels amostras
+        width *= channels;
+    }
     
     switch (mode) {
         case MODE_NEG:
@@ -96,14 +1047,20 @@ function applyFilter(inputData, outputData, width, rowStart, rowEnd, mode, t1 =
             break;
             
         case MODE_SLICE:
-            processedPixels = applySliceBlock(inputData, outputData, width, rowStart, rowEnd, t1, t2);
+            processedPixels = applySliceBlock(inputData, outputData, width, rowStart, rowEnd, t1, t2, maxValue, options.slice);
             break;
             
         default:
-            throw new Error(`Modo de filtro inválido: ${mode}`);
+            if (!isLutMode(mode)) {
+                throw new Error(`Modo de filtro inválido: ${mode}`);
+            }
+            if (!options.lut) {
+                throw new Error('Transformação via LUT requer a tabela montada pela thread principal');
+            }
+            processedPixels = applyLutBlock(inputData, outputData, width, rowStart, rowEnd, options.lut);
     }
     
-    return processedPixels;
+    return processedPixels / channels; // amostras -> pixels
 }
 
 /**
@@ -127,5 +1084,27 @@ function validateSliceParams(t1, t2, maxValue = 255) {
 
 module.exports = {
     applyFilter,
+    getOutputChannels,
     validateSliceParams,
+    resolveSliceOptions,
+    KERNELS,
+    BORDER_MODES,
+    parseKernel,
+    getFilterRadius,
+    borderIndex,
+    MORPHOLOGY_OPERATIONS,
+    STRUCTURING_ELEMENTS,
+    buildStructuringElement,
+    createNeighborhoodFilter,
+    isLutMode,
+    validateLutParams,
+    buildIntensityLut,
+    computeHistogramBlock,
+    mergeHistograms,
+    buildEqualizationLut,
+    computeOtsuThreshold,
+    computeMultiOtsuThresholds,
+    histogramPercentile,
+    parseThresholdSpec,
+    resolveSliceThresholds,
 };
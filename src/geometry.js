@@ -0,0 +1,269 @@
+/* ===== TRANSFORMAÇÕES GEOMÉTRICAS - BASE MATEMÁTICA ===== */
+// Mapeamento inverso: para cada pixel (x', y') da SAÍDA calcula-se a posição de origem na entrada
+//   x = a·x' + b·y' + c
+//   y = d·x' + e·y' + f
+// e a entrada é amostrada nessa posição (vizinho mais próximo, bilinear ou bicúbica).
+// Percorrer a saída garante que cada pixel de saída é escrito exatamente uma vez: as threads
+// dividem as linhas da saída e cada uma pode ler qualquer linha da entrada.
+//
+// Pseudo código:
+// Loop 1 de 0 até altura_saida y':
+//   Loop 2 de 0 até largura_saida x':
+//     (x, y) = origem(x', y')
+//     novo_pixel[x',y'] = fora da imagem ? 0 : interpola(entrada, x, y)
+//
+// Coordenadas referem-se ao centro dos pixels; o pixel (0,0) ocupa [-0.5, 0.5] x [-0.5, 0.5].
+
+// Número de parâmetros de cada operação na linha de comando
+const GEOMETRY_OPERATIONS = {
+    redimensionar: 1, // <L>x<A>, <L>x, x<A> ou <N>%
+    rotacionar: 1,    // <graus>, sentido horário
+    espelhar: 1,      // horizontal | vertical
+    recortar: 4       // <x> <y> <L> <A>
+};
+
+/* ===== Interpolação ===== */
+const INTERPOLATION_NEAREST = 0;  // 'vizinho' - pixel mais próximo
+const INTERPOLATION_BILINEAR = 1; // 'bilinear' - média ponderada dos 4 vizinhos
+const INTERPOLATION_BICUBIC = 2;  // 'bicubica' - spline cúbica de Keys (a = -0.5) sobre 4x4 vizinhos
+
+const INTERPOLATIONS = {
+    'vizinho': INTERPOLATION_NEAREST,
+    'bilinear': INTERPOLATION_BILINEAR,
+    'bicubica': INTERPOLATION_BICUBIC
+};
+
+const FLIP_AXES = ['horizontal', 'vertical'];
+
+/**
+ * Valida os parâmetros de uma transformação geométrica (antes de conhecer a imagem)
+ * values: parâmetros da linha de comando; interpolation: INTERPOLATION_*
+ * Retorna a especificação { operation, interpolation, ... } resolvida por createGeometryTransform
+ */
+function parseGeometrySpec(operation, values, interpolation = INTERPOLATION_BILINEAR) {
+    const arity = GEOMETRY_OPERATIONS[operation];
+    if (arity === undefined) {
+        throw new Error(`Transformação geométrica inválida: ${operation}. Use ${Object.keys(GEOMETRY_OPERATIONS).join(', ')}`);
+    }
+    if (values.length < arity) {
+        throw new Error(`Transformação ${operation} requer ${arity} parâmetro(s)`);
+    }
+
+    switch (operation) {
+        case 'redimensionar': {
+            const spec = String(values[0]);
+            const percent = spec.match(/^(\d+(?:\.\d+)?)%$/);
+            if (percent) {
+                const scale = Number(percent[1]) / 100;
+                if (scale <= 0) {
+                    throw new Error(`Escala deve ser positiva, recebido: ${spec}`);
+                }
+                return { operation, interpolation, scale };
+            }
+
+            const size = spec.match(/^(\d*)x(\d*)$/);
+            if (!size || (size[1] === '' && size[2] === '')) {
+                throw new Error(`Tamanho inválido: ${spec}. Use LxA, Lx, xA ou N%`);
+            }
+            const width = size[1] === '' ? null : Number(size[1]);
+            const height = size[2] === '' ? null : Number(size[2]);
+            if (width === 0 || height === 0) {
+                throw new Error(`Dimensões devem ser >= 1, recebido: ${spec}`);
+            }
+            return { operation, interpolation, width, height };
+        }
+
+        case 'rotacionar': {
+            const angle = Number(values[0]);
+            if (!Number.isFinite(angle)) {
+                throw new Error(`Ângulo inválido: ${values[0]}`);
+            }
+            return { operation, interpolation, angle: ((angle % 360) + 360) % 360 };
+        }
+
+        case 'espelhar':
+            if (!FLIP_AXES.includes(values[0])) {
+                throw new Error(`Eixo inválido: ${values[0]}. Use ${FLIP_AXES.join(' ou ')}`);
+            }
+            return { operation, interpolation, axis: values[0] };
+
+        case 'recortar': {
+            const [x, y, width, height] = values.slice(0, 4).map(Number);
+            if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width < 1 || height < 1) {
+                throw new Error(`Recorte inválido: ${values.slice(0, 4).join(' ')} (use x >= 0, y >= 0, L >= 1, A >= 1)`);
+            }
+            return { operation, interpolation, x, y, width, height };
+        }
+    }
+}
+
+/**
+ * Resolve a transformação para uma imagem width x height
+ * Retorna { operation, width, height, coefficients: [a, b, c, d, e, f], interpolation, exact, description }
+ * exact = mapeamento de pixel inteiro para pixel inteiro (rotações múltiplas de 90°, espelhamento,
+ * recorte): a interpolação não é usada e o resultado é uma permutação exata dos pixels
+ */
+function createGeometryTransform(spec, width, height) {
+    const { operation, interpolation } = spec;
+    let outWidth, outHeight, coefficients, exact, description;
+
+    switch (operation) {
+        case 'redimensionar': {
+            if (spec.scale !== undefined) {
+                outWidth = Math.max(1, Math.round(width * spec.scale));
+                outHeight = Math.max(1, Math.round(height * spec.scale));
+            } else {
+                // Dimensão omitida: mantém a proporção da imagem
+                outWidth = spec.width !== null ? spec.width : Math.max(1, Math.round(width * spec.height / height));
+                outHeight = spec.height !== null ? spec.height : Math.max(1, Math.round(height * spec.width / width));
+            }
+            // Centros dos pixels alinhados: x = (x' + 0.5) · w / w' - 0.5
+            const sx = width / outWidth;
+            const sy = height / outHeight;
+            coefficients = [sx, 0, sx / 2 - 0.5, 0, sy, sy / 2 - 0.5];
+            exact = outWidth === width && outHeight === height;
+            description = `${width}x${height} -> ${outWidth}x${outHeight}`;
+            break;
+        }
+
+        case 'rotacionar': {
+            // Rotação no sentido horário em torno do centro; a saída é o retângulo que contém a imagem girada
+            const radians = spec.angle * Math.PI / 180;
+            exact = spec.angle % 90 === 0;
+            // Múltiplos de 90°: seno e cosseno exatos (evita 6.1e-17 no lugar de 0)
+            const cos = exact ? Math.round(Math.cos(radians)) : Math.cos(radians);
+            const sin = exact ? Math.round(Math.sin(radians)) : Math.sin(radians);
+
+            outWidth = Math.max(1, Math.ceil(width * Math.abs(cos) + height * Math.abs(sin) - 1e-6));
+            outHeight = Math.max(1, Math.ceil(width * Math.abs(sin) + height * Math.abs(cos) - 1e-6));
+
+            // x = cos·(x' - ox) + sin·(y' - oy) + cx
+            // y = -sin·(x' - ox) + cos·(y' - oy) + cy
+            const cx = (width - 1) / 2, cy = (height - 1) / 2;
+            const ox = (outWidth - 1) / 2, oy = (outHeight - 1) / 2;
+            coefficients = [cos, sin, cx - cos * ox - sin * oy, -sin, cos, cy + sin * ox - cos * oy];
+            description = `${spec.angle}° no sentido horário`;
+            break;
+        }
+
+        case 'espelhar':
+            outWidth = width;
+            outHeight = height;
+            coefficients = spec.axis === 'horizontal'
+                ? [-1, 0, width - 1, 0, 1, 0]   // x = w - 1 - x'
+                : [1, 0, 0, 0, -1, height - 1]; // y = h - 1 - y'
+            exact = true;
+            description = spec.axis;
+            break;
+
+        case 'recortar':
+            if (spec.x + spec.width > width || spec.y + spec.height > height) {
+                throw new Error(`Recorte ${spec.width}x${spec.height} em (${spec.x},${spec.y}) excede a imagem ${width}x${height}`);
+            }
+            outWidth = spec.width;
+            outHeight = spec.height;
+            coefficients = [1, 0, spec.x, 0, 1, spec.y];
+            exact = true;
+            description = `${spec.width}x${spec.height} a partir de (${spec.x},${spec.y})`;
+            break;
+
+        default:
+            throw new Error(`Transformação geométrica inválida: ${operation}`);
+    }
+
+    return { operation, width: outWidth, height: outHeight, coefficients, interpolation, exact, description };
+}
+
+/**
+ * Pesos da spline cúbica de Keys (a = -0.5) para os vizinhos -1, 0, 1, 2 à distância t
+ */
+function cubicWeights(t, weights) {
+    const a = -0.5;
+    const t2 = t * t, t3 = t2 * t;
+    weights[0] = a * t3 - 2 * a * t2 + a * t;
+    weights[1] = (a + 2) * t3 - (a + 3) * t2 + 1;
+    weights[2] = -(a + 2) * t3 + (2 * a + 3) * t2 - a * t;
+    weights[3] = -a * t3 + a * t2;
+}
+
+/**
+ * Aplica a transformação geométrica nas linhas [rowStart, rowEnd) da SAÍDA
+ * inputData contém as linhas da entrada a partir de inputRowOffset (normalmente a imagem inteira)
+ */
+function applyGeometryBlock(inputData, outputData, width, height, rowStart, rowEnd, geometry, maxValue, channels = 1, inputRowOffset = 0, outputRowOffset = 0) {
+    const { width: outWidth, coefficients: [a, b, c, d, e, f], exact } = geometry;
+    const interpolation = exact ? INTERPOLATION_NEAREST : geometry.interpolation;
+    const inRowSamples = width * channels;
+    const outRowSamples = outWidth * channels;
+    const clampX = (x) => (x < 0 ? 0 : x >= width ? width - 1 : x);
+    const clampY = (y) => (y < 0 ? 0 : y >= height ? height - 1 : y) - inputRowOffset;
+    const wx = new Float64Array(4), wy = new Float64Array(4);
+    const eps = 1e-9;
+
+    for (let y = rowStart; y < rowEnd; y++) {
+        const outBase = (y - outputRowOffset) * outRowSamples;
+
+        for (let x = 0; x < outWidth; x++) {
+            const sx = a * x + b * y + c;
+            const sy = d * x + e * y + f;
+            const out = outBase + x * channels;
+
+            // Fora da imagem de entrada (cantos da rotação): fundo preto
+            if (sx < -0.5 - eps || sx > width - 0.5 + eps || sy < -0.5 - eps || sy > height - 0.5 + eps) {
+                for (let ch = 0; ch < channels; ch++) {
+                    outputData[out + ch] = 0;
+                }
+                continue;
+            }
+
+            if (interpolation === INTERPOLATION_NEAREST) {
+                const src = clampY(Math.round(sy)) * inRowSamples + clampX(Math.round(sx)) * channels;
+                for (let ch = 0; ch < channels; ch++) {
+                    outputData[out + ch] = inputData[src + ch];
+                }
+            } else if (interpolation === INTERPOLATION_BILINEAR) {
+                const x0 = Math.floor(sx), y0 = Math.floor(sy);
+                const fx = sx - x0, fy = sy - y0;
+                const r0 = clampY(y0) * inRowSamples, r1 = clampY(y0 + 1) * inRowSamples;
+                const c0 = clampX(x0) * channels, c1 = clampX(x0 + 1) * channels;
+                for (let ch = 0; ch < channels; ch++) {
+                    const top = inputData[r0 + c0 + ch] * (1 - fx) + inputData[r0 + c1 + ch] * fx;
+                    const bottom = inputData[r1 + c0 + ch] * (1 - fx) + inputData[r1 + c1 + ch] * fx;
+                    outputData[out + ch] = Math.round(top * (1 - fy) + bottom * fy);
+                }
+            } else {
+                const x0 = Math.floor(sx), y0 = Math.floor(sy);
+                cubicWeights(sx - x0, wx);
+                cubicWeights(sy - y0, wy);
+                for (let ch = 0; ch < channels; ch++) {
+                    let sum = 0;
+                    for (let j = 0; j < 4; j++) {
+                        const row = clampY(y0 - 1 + j) * inRowSamples;
+                        let rowSum = 0;
+                        for (let i = 0; i < 4; i++) {
+                            rowSum += wx[i] * inputData[row + clampX(x0 - 1 + i) * channels + ch];
+                        }
+                        sum += wy[j] * rowSum;
+                    }
+                    // A spline pode ultrapassar a faixa perto de bordas fortes
+                    const g = Math.round(sum);
+                    outputData[out + ch] = g < 0 ? 0 : g > maxValue ? maxValue : g;
+                }
+            }
+        }
+    }
+
+    return (rowEnd - rowStart) * outWidth;
+}
+
+module.exports = {
+    GEOMETRY_OPERATIONS,
+    INTERPOLATIONS,
+    INTERPOLATION_NEAREST,
+    INTERPOLATION_BILINEAR,
+    INTERPOLATION_BICUBIC,
+    FLIP_AXES,
+    parseGeometrySpec,
+    createGeometryTransform,
+    applyGeometryBlock
+};
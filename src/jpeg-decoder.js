@@ -0,0 +1,482 @@
+const { PGM, PPM } = require('./pgm-utils');
+
+/* ===== DECODIFICADOR JPEG BASELINE EM JAVASCRIPT PURO ===== */
+// Suporta JPEG sequencial com codificação Huffman (SOF0 baseline e SOF1 estendido, 8 bits),
+// 1 componente (tons de cinza) ou 3 componentes (YCbCr ou RGB Adobe), qualquer fator de
+// amostragem e intervalos de reinício (DRI/RSTn). JPEG progressivo e aritmético não são suportados.
+//
+// Etapas de decodificação de cada bloco 8x8:
+//   1) decodificação Huffman dos coeficientes DC (diferencial) e AC (run-length)
+//   2) desquantização com a tabela DQT do componente
+//   3) reordenação zigue-zague -> ordem natural
+//   4) IDCT 2D: f(x,y) = 1/4 ΣΣ C(u)C(v) F(u,v) cos((2x+1)uπ/16) cos((2y+1)vπ/16)
+//   5) deslocamento de nível (+128) e limitação a [0, 255]
+
+// Ordem zigue-zague: posição natural do k-ésimo coeficiente
+const ZIGZAG = new Int32Array([
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Tabela de cossenos da IDCT: IDCT_TABLE[x * 8 + u] = C(u) * cos((2x+1)uπ/16) / 2
+const IDCT_TABLE = (() => {
+    const table = new Float64Array(64);
+    for (let x = 0; x < 8; x++) {
+        for (let u = 0; u < 8; u++) {
+            const cu = u === 0 ? Math.SQRT1_2 : 1;
+            table[x * 8 + u] = cu * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+        }
+    }
+    return table;
+})();
+
+/**
+ * Monta a tabela Huffman canônica a partir dos 16 contadores e dos símbolos do DHT
+ */
+function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(18).fill(-1);
+    const valPtr = new Int32Array(17);
+    const minCode = new Int32Array(17);
+
+    let code = 0;
+    let k = 0;
+    for (let length = 1; length <= 16; length++) {
+        valPtr[length] = k;
+        minCode[length] = code;
+        code += counts[length - 1];
+        k += counts[length - 1];
+        maxCode[length] = counts[length - 1] > 0 ? code - 1 : -1;
+        code <<= 1;
+    }
+
+    return { maxCode, valPtr, minCode, symbols };
+}
+
+/**
+ * Leitor de bits do segmento entrópico (trata bytes 0xFF00 de preenchimento)
+ */
+class BitReader {
+    constructor(data, pos) {
+        this.data = data;
+        this.pos = pos;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        this.markerHit = false;
+    }
+
+    readBit() {
+        if (this.bitCount === 0) {
+            if (this.markerHit || this.pos >= this.data.length) {
+                // Após um marcador, o padrão manda completar com bits 1... na prática zeros bastam
+                this.bitBuffer = 0;
+            } else {
+                let byte = this.data[this.pos];
+                if (byte === 0xff) {
+                    const next = this.data[this.pos + 1];
+                    if (next === 0x00) {
+                        this.pos += 2; // 0xFF00 -> byte 0xFF de dados
+                    } else {
+                        this.markerHit = true; // marcador: não consome
+                        byte = 0;
+                    }
+                } else {
+                    this.pos++;
+                }
+                this.bitBuffer = byte;
+            }
+            this.bitCount = 8;
+        }
+        this.bitCount--;
+        return (this.bitBuffer >> this.bitCount) & 1;
+    }
+
+    readBits(n) {
+        let value = 0;
+        for (let i = 0; i < n; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+
+    decodeHuffman(table) {
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.readBit();
+            if (code <= table.maxCode[length]) {
+                return table.symbols[table.valPtr[length] + code - table.minCode[length]];
+            }
+        }
+        throw new Error(`Código Huffman inválido no byte ${this.pos}`);
+    }
+
+    /**
+     * Lê s bits e estende o sinal (procedimento RECEIVE/EXTEND do padrão)
+     */
+    receiveExtend(s) {
+        if (s === 0) return 0;
+        const value = this.readBits(s);
+        return value < (1 << (s - 1)) ? value - (1 << s) + 1 : value;
+    }
+
+    /**
+     * Descarta os bits restantes e consome o próximo marcador RSTn
+     */
+    restart() {
+        this.bitCount = 0;
+        this.markerHit = false;
+        if (this.data[this.pos] === 0xff && this.data[this.pos + 1] >= 0xd0 && this.data[this.pos + 1] <= 0xd7) {
+            this.pos += 2;
+        } else {
+            throw new Error(`Marcador RST esperado no byte ${this.pos}`);
+        }
+    }
+
+    /**
+     * Posição do próximo marcador após o segmento entrópico
+     */
+    findMarker() {
+        let pos = this.pos;
+        while (pos < this.data.length - 1) {
+            if (this.data[pos] === 0xff && this.data[pos + 1] !== 0x00 && !(this.data[pos + 1] >= 0xd0 && this.data[pos + 1] <= 0xd7)) {
+                return pos;
+            }
+            pos++;
+        }
+        return this.data.length;
+    }
+}
+
+/**
+ * Aplica a IDCT 2D em um bloco de coeficientes (ordem natural) e grava 8x8 amostras no plano
+ */
+function idctBlock(coefficients, plane, planeWidth, offset) {
+    const temp = new Float64Array(64);
+
+    // IDCT nas linhas (u -> x), para cada v
+    for (let v = 0; v < 8; v++) {
+        for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let u = 0; u < 8; u++) {
+                sum += IDCT_TABLE[x * 8 + u] * coefficients[v * 8 + u];
+            }
+            temp[v * 8 + x] = sum;
+        }
+    }
+
+    // IDCT nas colunas (v -> y) + deslocamento de nível
+    for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+            let sum = 0;
+            for (let v = 0; v < 8; v++) {
+                sum += IDCT_TABLE[y * 8 + v] * temp[v * 8 + x];
+            }
+            const value = Math.round(sum + 128);
+            plane[offset + y * planeWidth + x] = value < 0 ? 0 : (value > 255 ? 255 : value);
+        }
+    }
+}
+
+/**
+ * Decodifica um scan (SOS) preenchendo os planos dos componentes
+ */
+function decodeScan(data, pos, frame, scanComponents, dcTables, acTables, restartInterval) {
+    const reader = new BitReader(data, pos);
+    const coefficients = new Int32Array(64);
+
+    const decodeBlock = (component, blockRow, blockCol) => {
+        coefficients.fill(0);
+        const quant = component.quantTable;
+
+        // Coeficiente DC (diferença em relação ao bloco anterior do mesmo componente)
+        const t = reader.decodeHuffman(dcTables[component.dcTable]);
+        component.pred += reader.receiveExtend(t);
+        coefficients[0] = component.pred * quant[0];
+
+        // Coeficientes AC (run-length: RRRRSSSS)
+        let k = 1;
+        while (k < 64) {
+            const rs = reader.decodeHuffman(acTables[component.acTable]);
+            const r = rs >> 4;
+            const s = rs & 15;
+            if (s === 0) {
+                if (r === 15) {
+                    k += 16; // ZRL - 16 zeros
+                    continue;
+                }
+                break; // EOB
+            }
+            k += r;
+            if (k > 63) break;
+            coefficients[ZIGZAG[k]] = reader.receiveExtend(s) * quant[k];
+            k++;
+        }
+
+        if (blockRow < component.blocksPerColumn && blockCol < component.blocksPerLine) {
+            idctBlock(coefficients, component.plane, component.planeWidth, blockRow * 8 * component.planeWidth + blockCol * 8);
+        }
+    };
+
+    for (const component of scanComponents) {
+        if (!dcTables[component.dcTable] || !acTables[component.acTable]) {
+            throw new Error(`Tabela Huffman ausente para o componente ${component.id}`);
+        }
+        if (!component.quantTable) {
+            throw new Error(`Tabela de quantização ausente para o componente ${component.id}`);
+        }
+        component.pred = 0;
+    }
+
+    // Scan não entrelaçado (1 componente): blocos em ordem raster do próprio componente
+    // Scan entrelaçado: MCUs com H x V blocos de cada componente
+    const single = scanComponents.length === 1;
+    const mcusPerLine = single ? Math.ceil(Math.ceil(frame.width * scanComponents[0].h / frame.maxH) / 8) : frame.mcusPerLine;
+    const mcusPerColumn = single ? Math.ceil(Math.ceil(frame.height * scanComponents[0].v / frame.maxV) / 8) : frame.mcusPerColumn;
+    const totalMcus = mcusPerLine * mcusPerColumn;
+
+    for (let mcu = 0; mcu < totalMcus; mcu++) {
+        if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            for (const component of scanComponents) {
+                component.pred = 0;
+            }
+        }
+
+        const mcuRow = Math.floor(mcu / mcusPerLine);
+        const mcuCol = mcu % mcusPerLine;
+
+        if (single) {
+            decodeBlock(scanComponents[0], mcuRow, mcuCol);
+        } else {
+            for (const component of scanComponents) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(component, mcuRow * component.v + v, mcuCol * component.h + h);
+                    }
+                }
+            }
+        }
+    }
+
+    return reader.findMarker();
+}
+
+/**
+ * Decodifica um arquivo JPEG baseline em memória
+ * Retorna PGM (1 componente) ou PPM (3 componentes, convertidos para RGB)
+ */
+function decodeJPEG(data) {
+    if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+        throw new Error('Marcador SOI ausente - arquivo não é JPEG');
+    }
+
+    const quantTables = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let restartInterval = 0;
+    let adobeTransform = null;
+    let pos = 2;
+
+    while (pos < data.length) {
+        if (data[pos] !== 0xff) {
+            throw new Error(`Marcador JPEG esperado no byte ${pos}`);
+        }
+        const marker = data[pos + 1];
+        pos += 2;
+
+        if (marker === 0xff) { // preenchimento
+            pos--;
+            continue;
+        }
+        if (marker === 0xd9) { // EOI
+            break;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { // sem segmento
+            continue;
+        }
+
+        const length = data.readUInt16BE(pos);
+        const segment = data.slice(pos + 2, pos + length);
+        const segmentEnd = pos + length;
+
+        switch (marker) {
+            case 0xdb: { // DQT
+                let p = 0;
+                while (p < segment.length) {
+                    const precision = segment[p] >> 4;
+                    const id = segment[p] & 15;
+                    p++;
+                    const table = new Int32Array(64);
+                    for (let k = 0; k < 64; k++) {
+                        table[k] = precision ? segment.readUInt16BE(p + k * 2) : segment[p + k];
+                    }
+                    p += precision ? 128 : 64;
+                    quantTables[id] = table; // ordem zigue-zague
+                }
+                break;
+            }
+
+            case 0xc4: { // DHT
+                let p = 0;
+                while (p < segment.length) {
+                    const tableClass = segment[p] >> 4;
+                    const id = segment[p] & 15;
+                    const counts = segment.slice(p + 1, p + 17);
+                    const total = counts.reduce((sum, c) => sum + c, 0);
+                    const symbols = segment.slice(p + 17, p + 17 + total);
+                    const table = buildHuffmanTable(counts, symbols);
+                    if (tableClass === 0) {
+                        dcTables[id] = table;
+                    } else {
+                        acTables[id] = table;
+                    }
+                    p += 17 + total;
+                }
+                break;
+            }
+
+            case 0xc0: // SOF0 baseline
+            case 0xc1: { // SOF1 sequencial estendido (Huffman)
+                if (segment[0] !== 8) {
+                    throw new Error(`Precisão JPEG não suportada: ${segment[0]} bits`);
+                }
+                const height = segment.readUInt16BE(1);
+                const width = segment.readUInt16BE(3);
+                const count = segment[5];
+                if (height === 0) {
+                    throw new Error('JPEG com altura definida por DNL não é suportado');
+                }
+                if (count !== 1 && count !== 3) {
+                    throw new Error(`JPEG com ${count} componentes não é suportado (apenas 1 ou 3)`);
+                }
+
+                const components = [];
+                for (let i = 0; i < count; i++) {
+                    components.push({
+                        id: segment[6 + i * 3],
+                        h: segment[7 + i * 3] >> 4,
+                        v: segment[7 + i * 3] & 15,
+                        quantId: segment[8 + i * 3]
+                    });
+                }
+                const maxH = Math.max(...components.map(c => c.h));
+                const maxV = Math.max(...components.map(c => c.v));
+                const mcusPerLine = Math.ceil(width / (8 * maxH));
+                const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+                for (const component of components) {
+                    component.blocksPerLine = mcusPerLine * component.h;
+                    component.blocksPerColumn = mcusPerColumn * component.v;
+                    component.planeWidth = component.blocksPerLine * 8;
+                    component.plane = new Uint8Array(component.planeWidth * component.blocksPerColumn * 8);
+                }
+
+                frame = { width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+                break;
+            }
+
+            case 0xc2: case 0xc3: case 0xc5: case 0xc6: case 0xc7:
+            case 0xc9: case 0xca: case 0xcb: case 0xcd: case 0xce: case 0xcf:
+                throw new Error(`JPEG não suportado (marcador SOF 0x${marker.toString(16)}): apenas baseline sequencial Huffman`);
+
+            case 0xdd: // DRI
+                restartInterval = segment.readUInt16BE(0);
+                break;
+
+            case 0xee: // APP14 Adobe - indica a transformação de cor
+                if (segment.toString('ascii', 0, 5) === 'Adobe') {
+                    adobeTransform = segment[11];
+                }
+                break;
+
+            case 0xda: { // SOS
+                if (!frame) {
+                    throw new Error(`SOS antes de SOF no byte ${pos - 2}`);
+                }
+                const count = segment[0];
+                const scanComponents = [];
+                for (let i = 0; i < count; i++) {
+                    const id = segment[1 + i * 2];
+                    const tables = segment[2 + i * 2];
+                    const component = frame.components.find(c => c.id === id);
+                    if (!component) {
+                        throw new Error(`Componente ${id} do SOS não existe no SOF`);
+                    }
+                    component.dcTable = tables >> 4;
+                    component.acTable = tables & 15;
+                    component.quantTable = quantTables[component.quantId];
+                    scanComponents.push(component);
+                }
+                pos = decodeScan(data, segmentEnd, frame, scanComponents, dcTables, acTables, restartInterval);
+                continue;
+            }
+
+            default:
+                // APPn, COM e outros segmentos são ignorados
+                break;
+        }
+
+        pos = segmentEnd;
+    }
+
+    if (!frame) {
+        throw new Error('JPEG sem marcador SOF');
+    }
+
+    return buildImage(frame, adobeTransform);
+}
+
+/**
+ * Reamostra os planos para o tamanho da imagem e converte YCbCr -> RGB
+ */
+function buildImage(frame, adobeTransform) {
+    const { width, height, components, maxH, maxV } = frame;
+
+    // Amostra do componente correspondente ao pixel (x, y) - replicação (vizinho mais próximo)
+    const sampleAt = (component, x, y) => {
+        const cx = Math.floor(x * component.h / maxH);
+        const cy = Math.floor(y * component.v / maxV);
+        return component.plane[cy * component.planeWidth + cx];
+    };
+
+    if (components.length === 1) {
+        const pgm = new PGM(width, height, 255);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                pgm.data[y * width + x] = sampleAt(components[0], x, y);
+            }
+        }
+        return pgm;
+    }
+
+    // 3 componentes: YCbCr (padrão JFIF) ou RGB (Adobe com transform = 0)
+    const isYCbCr = adobeTransform !== 0;
+    const ppm = new PPM(width, height, 255);
+    const clamp = (value) => value < 0 ? 0 : (value > 255 ? 255 : Math.round(value));
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const c0 = sampleAt(components[0], x, y);
+            const c1 = sampleAt(components[1], x, y);
+            const c2 = sampleAt(components[2], x, y);
+            const out = (y * width + x) * 3;
+
+            if (isYCbCr) {
+                ppm.data[out] = clamp(c0 + 1.402 * (c2 - 128));
+                ppm.data[out + 1] = clamp(c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128));
+                ppm.data[out + 2] = clamp(c0 + 1.772 * (c1 - 128));
+            } else {
+                ppm.data[out] = c0;
+                ppm.data[out + 1] = c1;
+                ppm.data[out + 2] = c2;
+            }
+        }
+    }
+    return ppm;
+}
+
+module.exports = {
+    decodeJPEG
+};
@@ -3,65 +3,399 @@ const path = require('path');
 
 /* ===== Equivalente à struct PGM do código C ===== */
 // struct PGM {
-//  int w, h, maxv; // maxv = 255
-//  unsigned char* data; // w*h bytes (tons de cinza)
+//  int w, h, maxv; // maxv = 255 (ou até 65535 para 16 bits)
+//  unsigned char* data; // w*h amostras (tons de cinza)
 // };
 class PGM {
     constructor(width = 0, height = 0, maxValue = 255, data = null) {
         this.w = width;        // int w - largura da imagem
         this.h = height;       // int h - altura da imagem  
-        this.maxv = maxValue;  // int maxv - valor máximo (255)
-        this.data = data || Buffer.alloc(width * height); // unsigned char* data - dados dos pixels
+        this.maxv = maxValue;  // int maxv - valor máximo (255 ou até 65535)
+        this.channels = 1;     // número de canais (1 = tons de cinza)
+        this.data = data || createSampleArray(width * height, maxValue); // dados dos pixels (Buffer ou Uint16Array)
     }
 
     /**
-     * Calcula o tamanho total dos dados da imagem (w*h bytes)
+     * Calcula o número total de amostras da imagem (w*h*canais)
      */
     getDataSize() {
-        return this.w * this.h;
+        return this.w * this.h * this.channels;
+    }
+
+    /**
+     * Retorna o número de bytes por amostra (1 para maxv <= 255, 2 para maxv > 255)
+     */
+    getBytesPerSample() {
+        return bytesPerSample(this.maxv);
+    }
+
+    /**
+     * Calcula o tamanho dos dados em bytes (w*h*bytes por amostra)
+     */
+    getByteSize() {
+        return this.getDataSize() * this.getBytesPerSample();
     }
 }
 
-/* ===== Equivalente à struct Header do código C ===== */
-// struct Header {
-//  int w, h, maxv; // metadados da imagem
-//  int mode; // 0=NEGATIVO, 1=SLICE
-//  int t1, t2; // válido se mode=SLICE
+/* ===== Imagem colorida PPM - contraparte da struct PGM ===== */
+// struct PPM {
+//  int w, h, maxv;
+//  unsigned char* data; // w*h*3 amostras intercaladas (R, G, B)
 // };
+class PPM extends PGM {
+    constructor(width = 0, height = 0, maxValue = 255, data = null) {
+        super(width, height, maxValue, data || createSampleArray(width * height * 3, maxValue));
+        this.channels = 3;     // número de canais (R, G, B)
+    }
+}
+
+/* ===== Amostras de 8 e 16 bits ===== */
+// Pelo padrão Netpbm, maxv > 255 usa 2 bytes por amostra em big-endian.
+// Em memória, imagens de 8 bits usam Buffer e imagens de 16 bits usam Uint16Array.
+const MAX_VALUE_8BIT = 255;
+const MAX_VALUE_16BIT = 65535;
+
+/**
+ * Retorna o número de bytes por amostra para um valor máximo
+ */
+function bytesPerSample(maxValue) {
+    return maxValue > MAX_VALUE_8BIT ? 2 : 1;
+}
+
+/**
+ * Cria um array de amostras do tipo adequado ao valor máximo
+ */
+function createSampleArray(length, maxValue) {
+    return maxValue > MAX_VALUE_8BIT ? new Uint16Array(length) : Buffer.alloc(length);
+}
+
+/**
+ * Cria uma view tipada sobre um (Shared)ArrayBuffer conforme o valor máximo
+ */
+function createSampleView(arrayBuffer, maxValue) {
+    return maxValue > MAX_VALUE_8BIT ? new Uint16Array(arrayBuffer) : new Uint8Array(arrayBuffer);
+}
+
+/**
+ * Decodifica bytes (big-endian para 16 bits) em um array de amostras
+ */
+function samplesFromBuffer(buffer, count, maxValue) {
+    if (bytesPerSample(maxValue) === 1) {
+        return buffer.slice(0, count);
+    }
+
+    const samples = new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+        samples[i] = buffer.readUInt16BE(i * 2);
+    }
+    return samples;
+}
+
+/**
+ * Codifica um array de amostras em bytes (big-endian para 16 bits)
+ */
+function samplesToBuffer(samples, maxValue) {
+    if (bytesPerSample(maxValue) === 1) {
+        return Buffer.isBuffer(samples) ? samples : Buffer.from(samples.buffer, samples.byteOffset, samples.length);
+    }
+
+    const buffer = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeUInt16BE(samples[i], i * 2);
+    }
+    return buffer;
+}
+
+/**
+ * Valida o valor máximo de intensidade (1 a 65535)
+ */
+function validateMaxValue(maxValue) {
+    if (!Number.isInteger(maxValue) || maxValue < 1 || maxValue > MAX_VALUE_16BIT) {
+        throw new Error(`Valor máximo inválido: ${maxValue} (deve estar entre 1 e ${MAX_VALUE_16BIT})`);
+    }
+}
+
+/* ===== Equivalente à struct Header do código C - protocolo do FIFO, versão 2 ===== */
+// struct Header {              // 28 bytes, little-endian
+//  char magic[4];              // "IMGP" - identifica o protocolo
+//  uint16_t version;           // PROTOCOL_VERSION
+//  uint16_t pixel_format;      // PIXEL_FORMAT_* (canais e bytes por amostra)
+//  uint32_t w, h, maxv;        // metadados da imagem
+//  uint16_t filter_id;         // FILTER_ID_NONE = o worker decide; senão posição + 1 em PROTOCOL_FILTERS
+//  uint16_t flags;             // reservado (0)
+//  uint32_t param_bytes;       // tamanho do bloco de parâmetros que segue o cabeçalho
+// };
+// char params[param_bytes];    // JSON UTF-8: { "parametros": [...], "opcoes": { "slice": "preservar", ... } }
+// Em seguida vêm os pixels: w*h*canais amostras (16 bits em big-endian).
+//
+// A versão 1 (sem número mágico) era a struct { int w, h, maxv, mode, t1, t2, channels, ... }
+// de 44 bytes, em que mode/t1/t2 eram ignorados: o filtro só podia ser escolhido no worker.
+const HEADER_SIZE = 28;
+const PROTOCOL_MAGIC = 'IMGP';
+const PROTOCOL_VERSION = 2;
+const MAX_PARAM_BYTES = 64 * 1024; // limite do bloco de parâmetros
+
+// Formato dos pixels: canais x bytes por amostra
+const PIXEL_FORMAT_GRAY8 = 0;
+const PIXEL_FORMAT_GRAY16 = 1;
+const PIXEL_FORMAT_RGB8 = 2;
+const PIXEL_FORMAT_RGB16 = 3;
+const PIXEL_FORMATS = [
+    { channels: 1, bytes: 1 },
+    { channels: 1, bytes: 2 },
+    { channels: 3, bytes: 1 },
+    { channels: 3, bytes: 2 }
+];
+
+// Filtros que o sender pode escolher pelo cabeçalho (filter_id = posição + 1)
+// Só acrescente nomes no fim: a posição faz parte do protocolo
+const FILTER_ID_NONE = 0;
+const PROTOCOL_FILTERS = [
+    'negativo', 'slice', 'convolucao', 'equalizar', 'gama', 'log', 'contraste', 'plano-bits',
+    'mediana', 'minimo', 'maximo', 'ordem', 'erosao', 'dilatacao', 'abertura', 'fechamento', 'gradiente',
+    'redimensionar', 'rotacionar', 'espelhar', 'recortar', 'componentes',
+    'diferenca', 'mistura', 'soma', 'subtracao', 'menor', 'maior', 'mascara',
+    'canny', 'pontilhado', 'adaptativo'
+];
+
+/**
+ * Formato dos pixels de uma imagem (PIXEL_FORMAT_*)
+ */
+function getPixelFormat(channels, maxValue) {
+    return (channels === 3 ? PIXEL_FORMAT_RGB8 : PIXEL_FORMAT_GRAY8) + (bytesPerSample(maxValue) === 2 ? 1 : 0);
+}
+
 class Header {
     constructor() {
-        this.w = 0;        // int w - largura da imagem
-        this.h = 0;        // int h - altura da imagem
-        this.maxv = 255;   // int maxv - valor máximo de intensidade
-        this.mode = 0;     // int mode - 0=NEGATIVO, 1=SLICE
-        this.t1 = 0;       // int t1 - limite inferior (válido se mode=SLICE)
-        this.t2 = 0;       // int t2 - limite superior (válido se mode=SLICE)
+        this.version = PROTOCOL_VERSION;            // uint16_t version
+        this.pixel_format = PIXEL_FORMAT_GRAY8;     // uint16_t pixel_format
+        this.w = 0;        // uint32_t w - largura da imagem
+        this.h = 0;        // uint32_t h - altura da imagem
+        this.maxv = 255;   // uint32_t maxv - valor máximo de intensidade
+        this.channels = 1; // canais (derivado de pixel_format): 1=cinza, 3=RGB
+        this.filter_id = FILTER_ID_NONE;            // uint16_t filter_id
+        this.params = { parametros: [], opcoes: {} }; // bloco de parâmetros do filtro
+    }
+
+    /**
+     * Preenche os metadados a partir de uma imagem { w, h, maxv, channels }
+     */
+    setImage({ w, h, maxv, channels }) {
+        this.w = w;
+        this.h = h;
+        this.maxv = maxv;
+        this.channels = channels;
+        this.pixel_format = getPixelFormat(channels, maxv);
+    }
+
+    /**
+     * Escolhe o filtro pelo nome (null = o worker decide)
+     */
+    setFilter(name, parametros = [], opcoes = {}) {
+        if (name === null) {
+            this.filter_id = FILTER_ID_NONE;
+            this.params = { parametros: [], opcoes: {} };
+            return;
+        }
+        const index = PROTOCOL_FILTERS.indexOf(name);
+        if (index < 0) {
+            throw new Error(`Filtro sem id no protocolo: ${name}. Use ${PROTOCOL_FILTERS.join(', ')}`);
+        }
+        this.filter_id = index + 1;
+        this.params = { parametros: parametros.map(String), opcoes };
+    }
+
+    /**
+     * Nome do filtro escolhido pelo sender (null = o worker decide)
+     */
+    getFilterName() {
+        return this.filter_id === FILTER_ID_NONE ? null : PROTOCOL_FILTERS[this.filter_id - 1];
+    }
+
+    /**
+     * Serializa o cabeçalho + bloco de parâmetros para Buffer
+     */
+    toBuffer() {
+        const params = this.filter_id === FILTER_ID_NONE ? Buffer.alloc(0) : Buffer.from(JSON.stringify(this.params), 'utf8');
+        if (params.length > MAX_PARAM_BYTES) {
+            throw new Error(`Bloco de parâmetros muito grande: ${params.length} bytes (máximo ${MAX_PARAM_BYTES})`);
+        }
+        const buffer = Buffer.alloc(HEADER_SIZE);
+        buffer.write(PROTOCOL_MAGIC, 0, 'ascii');
+        buffer.writeUInt16LE(this.version, 4);
+        buffer.writeUInt16LE(this.pixel_format, 6);
+        buffer.writeUInt32LE(this.w, 8);
+        buffer.writeUInt32LE(this.h, 12);
+        buffer.writeUInt32LE(this.maxv, 16);
+        buffer.writeUInt16LE(this.filter_id, 20);
+        buffer.writeUInt16LE(0, 22); // flags
+        buffer.writeUInt32LE(params.length, 24);
+        return Buffer.concat([buffer, params]);
+    }
+
+    /**
+     * Deserializa a parte fixa do cabeçalho (HEADER_SIZE bytes)
+     * Retorna o tamanho do bloco de parâmetros, a ser lido em seguida com paramsFromBuffer()
+     */
+    fromBuffer(buffer) {
+        if (buffer.toString('latin1', 0, 4) !== PROTOCOL_MAGIC) {
+            // Versão 1: começa direto por int w, int h, int maxv
+            const w = buffer.readInt32LE(0), h = buffer.readInt32LE(4), maxv = buffer.readInt32LE(8);
+            const legacy = w > 0 && h > 0 && maxv >= 1 && maxv <= MAX_VALUE_16BIT;
+            throw new Error(legacy
+                ? `Cabeçalho no formato antigo (versão 1, sem o número mágico ${PROTOCOL_MAGIC}; parece ${w}x${h}, maxv=${maxv}): atualize o sender para o protocolo versão ${PROTOCOL_VERSION}`
+                : `Dados do FIFO não começam com o número mágico ${PROTOCOL_MAGIC}: não é o protocolo sender/worker`);
+        }
+        this.version = buffer.readUInt16LE(4);
+        if (this.version !== PROTOCOL_VERSION) {
+            throw new Error(`Versão ${this.version} do protocolo não suportada (este worker entende a versão ${PROTOCOL_VERSION}): use sender e worker da mesma versão`);
+        }
+        this.pixel_format = buffer.readUInt16LE(6);
+        const format = PIXEL_FORMATS[this.pixel_format];
+        if (!format) {
+            throw new Error(`Formato de pixels inválido no cabeçalho: ${this.pixel_format}`);
+        }
+        this.w = buffer.readUInt32LE(8);
+        this.h = buffer.readUInt32LE(12);
+        this.maxv = buffer.readUInt32LE(16);
+        this.channels = format.channels;
+        validateMaxValue(this.maxv);
+        if (bytesPerSample(this.maxv) !== format.bytes) {
+            throw new Error(`Formato de pixels ${this.pixel_format} (${format.bytes} byte(s) por amostra) incompatível com maxv=${this.maxv}`);
+        }
+        this.filter_id = buffer.readUInt16LE(20);
+        if (this.filter_id > PROTOCOL_FILTERS.length) {
+            throw new Error(`Id de filtro desconhecido no cabeçalho: ${this.filter_id} (o sender é mais novo que o worker?)`);
+        }
+        const paramBytes = buffer.readUInt32LE(24);
+        if (paramBytes > MAX_PARAM_BYTES) {
+            throw new Error(`Bloco de parâmetros muito grande no cabeçalho: ${paramBytes} bytes (máximo ${MAX_PARAM_BYTES})`);
+        }
+        return paramBytes;
+    }
+
+    /**
+     * Deserializa o bloco de parâmetros (JSON) que segue a parte fixa
+     */
+    paramsFromBuffer(buffer) {
+        if (buffer.length === 0) {
+            this.params = { parametros: [], opcoes: {} };
+            return;
+        }
+        let params;
+        try {
+            params = JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Bloco de parâmetros inválido no cabeçalho: ${error.message}`);
+        }
+        this.params = {
+            parametros: Array.isArray(params.parametros) ? params.parametros.map(String) : [],
+            opcoes: params.opcoes && typeof params.opcoes === 'object' ? params.opcoes : {}
+        };
+    }
+}
+
+/* ===== Quadros da sessão - várias imagens em uma única conexão do FIFO ===== */
+// struct Frame {               // 12 bytes, little-endian
+//  char magic[4];              // "IMGF" - identifica uma sessão com quadros
+//  uint16_t type;              // FRAME_*
+//  uint16_t flags;             // reservado (0)
+//  uint32_t meta_bytes;        // tamanho do bloco JSON do quadro, que segue a parte fixa
+// };
+// Uma sessão é a sequência:
+//   BEGIN_JOB { "trabalho": nome, "imagens": n }
+//   IMAGE     { "saida": nome, "imagens": 1 ou 2 }  + Header/parâmetros/pixels de cada imagem
+//   ...
+//   END_JOB   { "trabalho": nome }
+//   (outros trabalhos)
+//   CLOSE     {}
+// No quadro IMAGE as imagens (protocolo versão 2, como numa conexão sem quadros) vêm logo
+// depois do JSON; "imagens" = 2 nas operações entre imagens.
+// Uma conexão que começa direto por "IMGP" carrega uma única imagem, sem quadros.
+//
+// Canal de resposta (BEGIN_JOB com "resposta": caminho de um FIFO criado pelo sender):
+// para cada imagem do trabalho o worker devolve, nesse FIFO, a imagem processada
+// (Header + pixels, se houver) seguida de
+//   RESULT    { "indice": n, "status": "ok" | "erro", "tempo_ms": ..., "erro": ..., ... }
+// ("relatorio" leva o relatório dos componentes conexos, que o worker não grava)
+// e, no fim da sessão, CLOSE { "imagens": n, "erros": m } (ou { "erro": msg } se a sessão
+// foi interrompida).
+const FRAME_HEADER_SIZE = 12;
+const FRAME_MAGIC = 'IMGF';
+const FRAME_BEGIN_JOB = 1;
+const FRAME_IMAGE = 2;
+const FRAME_END_JOB = 3;
+const FRAME_CLOSE = 4;
+const FRAME_RESULT = 5;
+
+// Nome de cada tipo de quadro (índice = FRAME_*), usado nos logs e nas mensagens de erro
+const FRAME_NAMES = [null, 'inicio-trabalho', 'imagem', 'fim-trabalho', 'encerrar', 'resultado'];
+
+class Frame {
+    constructor(type = FRAME_CLOSE, meta = {}) {
+        this.type = type; // uint16_t type
+        this.meta = meta; // bloco JSON do quadro
     }
 
     /**
-     * Serializa o cabeçalho para Buffer
+     * Nome do tipo do quadro (inicio-trabalho, imagem, fim-trabalho, encerrar)
+     */
+    getTypeName() {
+        return FRAME_NAMES[this.type];
+    }
+
+    /**
+     * Serializa o quadro (parte fixa + JSON) para Buffer
      */
     toBuffer() {
-        const buffer = Buffer.alloc(24); // 6 inteiros de 4 bytes cada
-        buffer.writeInt32LE(this.w, 0);
-        buffer.writeInt32LE(this.h, 4);
-        buffer.writeInt32LE(this.maxv, 8);
-        buffer.writeInt32LE(this.mode, 12);
-        buffer.writeInt32LE(this.t1, 16);
-        buffer.writeInt32LE(this.t2, 20);
-        return buffer;
+        const meta = Buffer.from(JSON.stringify(this.meta), 'utf8');
+        if (meta.length > MAX_PARAM_BYTES) {
+            throw new Error(`Quadro ${this.getTypeName()} muito grande: ${meta.length} bytes (máximo ${MAX_PARAM_BYTES})`);
+        }
+        const buffer = Buffer.alloc(FRAME_HEADER_SIZE);
+        buffer.write(FRAME_MAGIC, 0, 'ascii');
+        buffer.writeUInt16LE(this.type, 4);
+        buffer.writeUInt16LE(0, 6); // flags
+        buffer.writeUInt32LE(meta.length, 8);
+        return Buffer.concat([buffer, meta]);
     }
 
     /**
-     * Deserializa o cabeçalho de um Buffer
+     * Deserializa a parte fixa do quadro (FRAME_HEADER_SIZE bytes)
+     * Retorna o tamanho do bloco JSON, a ser lido em seguida com metaFromBuffer()
      */
     fromBuffer(buffer) {
-        this.w = buffer.readInt32LE(0);
-        this.h = buffer.readInt32LE(4);
-        this.maxv = buffer.readInt32LE(8);
-        this.mode = buffer.readInt32LE(12);
-        this.t1 = buffer.readInt32LE(16);
-        this.t2 = buffer.readInt32LE(20);
+        const magic = buffer.toString('latin1', 0, 4);
+        if (magic !== FRAME_MAGIC) {
+            throw new Error(magic === PROTOCOL_MAGIC
+                ? 'Imagem fora de um quadro no meio da sessão: cada imagem deve vir em um quadro imagem'
+                : `Quadro da sessão inválido: esperado o número mágico ${FRAME_MAGIC}`);
+        }
+        this.type = buffer.readUInt16LE(4);
+        if (!FRAME_NAMES[this.type]) {
+            throw new Error(`Tipo de quadro desconhecido: ${this.type}`);
+        }
+        const metaBytes = buffer.readUInt32LE(8);
+        if (metaBytes > MAX_PARAM_BYTES) {
+            throw new Error(`Quadro ${this.getTypeName()} muito grande: ${metaBytes} bytes (máximo ${MAX_PARAM_BYTES})`);
+        }
+        return metaBytes;
+    }
+
+    /**
+     * Deserializa o bloco JSON que segue a parte fixa
+     */
+    metaFromBuffer(buffer) {
+        let meta;
+        try {
+            meta = JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Quadro ${this.getTypeName()} com JSON inválido: ${error.message}`);
+        }
+        if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+            throw new Error(`Quadro ${this.getTypeName()} deve carregar um objeto JSON`);
+        }
+        this.meta = meta;
     }
 }
 
@@ -70,10 +404,15 @@ class Header {
 //  int row_start; // linha inicial (inclusiva)
 //  int row_end; // linha final (exclusiva)
 // };
+// Filtros de vizinhança (convolução) também leem linhas vizinhas ao bloco: o halo
+// [halo_start, halo_end) é o intervalo de linhas de entrada que a tarefa precisa.
+// Em filtros pontuais o halo coincide com o próprio bloco.
 class Task {
-    constructor(rowStart = 0, rowEnd = 0) {
-        this.row_start = rowStart; // int row_start - linha inicial (inclusiva)
-        this.row_end = rowEnd;     // int row_end - linha final (exclusiva)
+    constructor(rowStart = 0, rowEnd = 0, haloStart = rowStart, haloEnd = rowEnd) {
+        this.row_start = rowStart;   // int row_start - linha inicial (inclusiva)
+        this.row_end = rowEnd;       // int row_end - linha final (exclusiva)
+        this.halo_start = haloStart; // primeira linha de entrada lida (inclusiva)
+        this.halo_end = haloEnd;     // última linha de entrada lida (exclusiva)
     }
 }
 
@@ -82,61 +421,693 @@ class Task {
 // #define MODE_SLICE 1
 const MODE_NEG = 0;   // Modo filtro negativo
 const MODE_SLICE = 1; // Modo limiarização com fatiamento
+const MODE_CONVOLVE = 2; // Modo convolução com kernel (blur, nitidez, bordas)
+const MODE_EQUALIZE = 3; // Modo equalização de histograma
+const MODE_GAMMA = 4;    // Modo transformação de potência (gama) - via LUT
+const MODE_LOG = 5;      // Modo transformação logarítmica - via LUT
+const MODE_STRETCH = 6;  // Modo alargamento de contraste linear por partes - via LUT
+const MODE_BITPLANE = 7; // Modo extração de plano de bits - via LUT
+const MODE_RANK = 8;       // Modo filtros de ordem (mediana, mínimo, máximo, k-ésimo)
+const MODE_MORPHOLOGY = 9; // Modo morfologia (erosão, dilatação, abertura, fechamento, gradiente)
+const MODE_GEOMETRY = 10;  // Modo transformações geométricas (redimensionar, rotacionar, espelhar, recortar)
+const MODE_PLUGIN = 11;    // Modo filtro externo carregado do registro de plugins
+const MODE_COMPONENTS = 12; // Modo componentes conexos (imagem de rótulos + relatório das regiões)
+const MODE_ARITHMETIC = 13; // Modo operações entre duas imagens (diferença, mistura, máscara, ...)
+const MODE_CANNY = 14;      // Modo detector de bordas de Canny (vários estágios + histerese)
+const MODE_DITHER = 15;     // Modo pontilhado (Bayer ou difusão de erro em frente de onda)
+const MODE_ADAPTIVE = 16;   // Modo limiarização adaptativa (média local, Niblack, Sauvola) via imagem integral
 
-/* ===== Equivalente à função int read_pgm(const char* path, PGM* img) do código C ===== */
-function readPGM(filePath) {
-    try {
-        const data = fs.readFileSync(filePath);
-        
-        // Converte início para string para ler cabeçalho
-        const headerStr = data.toString('ascii', 0, Math.min(200, data.length));
-        const lines = headerStr.split('\n');
-        
-        let lineIndex = 0;
-        let headerSize = 0;
+/* ===== Fases de uma tarefa das worker threads ===== */
+// Filtros globais são executados em várias rodadas sobre as mesmas threads:
+// ex.: equalização = histogramas parciais -> (thread principal monta a LUT) -> aplica a LUT
+const TASK_PHASE_FILTER = 0;    // aplica o filtro no bloco de linhas
+const TASK_PHASE_HISTOGRAM = 1; // calcula o histograma parcial do bloco
+const TASK_PHASE_LABEL = 2;        // componentes conexos: rótulos provisórios da faixa
+const TASK_PHASE_REGION_STATS = 3; // componentes conexos: estatísticas parciais das regiões
+const TASK_PHASE_RELABEL = 4;      // componentes conexos: grava os rótulos finais
+const TASK_PHASE_SMOOTH = 5;       // canny: suavização gaussiana
+const TASK_PHASE_GRADIENT = 6;     // canny: magnitude e direção do gradiente
+const TASK_PHASE_SUPPRESS = 7;     // canny: supressão de não-máximos + limiar duplo
+const TASK_PHASE_HYSTERESIS = 8;   // canny: rodada de histerese (dentro da faixa ou a partir das costuras)
+const TASK_PHASE_EDGES = 9;        // canny: grava a imagem de bordas
+const TASK_PHASE_DIFFUSE = 10;     // pontilhado: difusão de erro de uma linha (frente de onda)
+const TASK_PHASE_INTEGRAL = 11;        // adaptativo: somas acumuladas locais da faixa
+const TASK_PHASE_INTEGRAL_FIXUP = 12;  // adaptativo: soma o transporte das faixas anteriores
+const TASK_PHASE_ADAPTIVE = 13;        // adaptativo: limiar de cada pixel pela janela
+
+/* ===== Tratamento das bordas da imagem em filtros de vizinhança ===== */
+// Define o valor lido quando o kernel ultrapassa a imagem (ex.: índice -1)
+const BORDER_CLAMP = 0;  // 'replicar' - repete o pixel da borda: aaa|abcd|ddd
+const BORDER_MIRROR = 1; // 'espelho' - reflete sem repetir a borda: cb|abcd|cb
+const BORDER_ZERO = 2;   // 'zero' - fora da imagem vale 0
+const BORDER_WRAP = 3;   // 'circular' - a imagem se repete: cd|abcd|ab
+
+/* ===== Variantes do filtro slice ===== */
+const SLICE_BINARY = 0;   // 'binario' - faixa recebe o destaque, o resto recebe o fundo
+const SLICE_PRESERVE = 1; // 'preservar' - faixa recebe o destaque, o resto mantém o valor original
+
+/* ===== Modos de filtragem para imagens coloridas ===== */
+const COLOR_MODE_CHANNELS = 0;   // 'canal' - aplica o filtro em cada canal R, G, B
+const COLOR_MODE_LUMA = 1;       // 'luma' - filtra a luminância e gera saída em tons de cinza
+const COLOR_MODE_LUMA_COLOR = 2; // 'luma-cor' - filtra a luminância e preserva a cor original
+
+/* ===== Codificações suportadas do formato PGM ===== */
+// P5 = binário (raw), P2 = texto (ASCII, amostras separadas por espaço)
+const PGM_ENCODING_BINARY = 'binary'; // P5
+const PGM_ENCODING_ASCII = 'ascii';   // P2
+
+/**
+ * Lê amostras ASCII (P2/P3) separadas por espaços em branco a partir de um offset
+ * Retorna { samples, end }, onde end é o byte logo após a última amostra
+ */
+function parseAsciiSamples(data, offset, count, maxValue = MAX_VALUE_8BIT) {
+    const samples = createSampleArray(count, maxValue);
+    let pos = offset;
+
+    for (let i = 0; i < count; i++) {
+        // Pula espaços em branco e comentários entre as amostras
+        pos = skipWhitespaceAndComments(data, pos);
+
+        let value = 0;
+        let digits = 0;
+        while (pos < data.length && data[pos] >= 0x30 && data[pos] <= 0x39) {
+            value = value * 10 + (data[pos] - 0x30);
+            pos++;
+            digits++;
+        }
+
+        if (digits === 0) {
+            if (pos >= data.length) {
+                throw new Error(`Dados da imagem incompletos: esperado ${count}, obtido ${i}`);
+            }
+            throw new Error(`Amostra ASCII inválida no byte ${pos}`);
+        }
+        if (value > maxValue) {
+            throw new Error(`Amostra ${value} excede o valor máximo ${maxValue} (byte ${pos - digits})`);
+        }
+
+        samples[i] = value;
+    }
+
+    return { samples, end: pos };
+}
+
+/**
+ * Formata amostras em texto (P2/P3): cada linha da imagem começa uma nova linha de
+ * texto, quebrada em no máximo 70 caracteres
+ * rowSamples: amostras por linha da imagem (largura x canais)
+ */
+function formatAsciiSamples(samples, rowSamples = samples.length) {
+    const lines = [];
+    let line = '';
+
+    for (let i = 0; i < samples.length; i++) {
+        const value = String(samples[i]);
+        if (line.length > 0 && (i % rowSamples === 0 || line.length + 1 + value.length > 70)) {
+            lines.push(line);
+            line = value;
+        } else {
+            line = line.length > 0 ? `${line} ${value}` : value;
+        }
+    }
+    if (line.length > 0) {
+        lines.push(line);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/* ===== Leitura do cabeçalho Netpbm (P1 a P6) ===== */
+// Regras do formato Netpbm:
+//  - número mágico de 2 bytes ('P1' a 'P6') no início da imagem
+//  - campos (largura, altura e, exceto no PBM, maxv) separados por qualquer espaço em branco
+//    (espaço, tab, CR, LF, VT, FF), inclusive vários campos na mesma linha
+//  - comentários de '#' até o próximo CR ou LF em qualquer ponto antes do raster
+//  - exatamente um byte de espaço em branco entre o último campo e o raster
+const NETPBM_MAGICS = ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'];
+
+function isNetpbmWhitespace(c) {
+    return c === 0x20 || (c >= 0x09 && c <= 0x0d);
+}
+
+/**
+ * Avança sobre espaços em branco e comentários, retornando a nova posição
+ */
+function skipWhitespaceAndComments(data, pos) {
+    while (pos < data.length) {
+        const c = data[pos];
+        if (c === 0x23) { // '#' - comentário até o fim da linha (CR ou LF)
+            while (pos < data.length && data[pos] !== 0x0a && data[pos] !== 0x0d) pos++;
+        } else if (isNetpbmWhitespace(c)) {
+            pos++;
+        } else {
+            break;
+        }
+    }
+    return pos;
+}
+
+/**
+ * Lê um campo inteiro decimal do cabeçalho a partir de pos
+ * Retorna { value, start, end }: start é o byte do primeiro dígito e end o byte logo após o último
+ */
+function readHeaderInteger(data, pos, fieldName) {
+    const start = skipWhitespaceAndComments(data, pos);
+    
+    if (start >= data.length) {
+        throw new Error(`Cabeçalho incompleto: campo ${fieldName} ausente (fim dos dados no byte ${start})`);
+    }
+    
+    let end = start;
+    let value = 0;
+    while (end < data.length && data[end] >= 0x30 && data[end] <= 0x39) {
+        value = value * 10 + (data[end] - 0x30);
+        end++;
+        if (value > 0x7fffffff) {
+            throw new Error(`Campo ${fieldName} grande demais no byte ${start}`);
+        }
+    }
+    
+    if (end === start) {
+        throw new Error(`Campo ${fieldName} inválido no byte ${start}: caractere inesperado 0x${data[start].toString(16).padStart(2, '0')}`);
+    }
+    
+    // O número termina em espaço em branco, comentário ou fim dos dados
+    if (end < data.length && !isNetpbmWhitespace(data[end]) && data[end] !== 0x23) {
+        throw new Error(`Campo ${fieldName} inválido no byte ${end}: caractere inesperado 0x${data[end].toString(16).padStart(2, '0')}`);
+    }
+    
+    return { value, start, end };
+}
+
+/**
+ * Lê o cabeçalho de uma imagem Netpbm começando em offset
+ * Retorna { magic, width, height, maxValue, headerSize }, onde headerSize é o
+ * byte (absoluto) em que o raster começa
+ */
+function parseNetpbmHeader(data, offset = 0) {
+    if (data.length - offset < 2) {
+        throw new Error(`Cabeçalho incompleto: número mágico ausente no byte ${offset}`);
+    }
+    
+    const magic = data.toString('ascii', offset, offset + 2);
+    if (!NETPBM_MAGICS.includes(magic)) {
+        throw new Error(`Número mágico inválido no byte ${offset}: '${magic.replace(/[^\x20-\x7e]/g, '?')}' (esperado P1 a P6)`);
+    }
+    if (offset + 2 < data.length && !isNetpbmWhitespace(data[offset + 2]) && data[offset + 2] !== 0x23) {
+        throw new Error(`Esperado espaço em branco após o número mágico no byte ${offset + 2}`);
+    }
+    
+    const widthField = readHeaderInteger(data, offset + 2, 'largura');
+    const heightField = readHeaderInteger(data, widthField.end, 'altura');
+    const width = widthField.value;
+    const height = heightField.value;
+    
+    if (width < 1 || height < 1) {
+        const field = width < 1 ? widthField : heightField;
+        throw new Error(`Dimensões inválidas: ${width}x${height} (${width < 1 ? 'largura' : 'altura'} no byte ${field.start})`);
+    }
+    
+    // PBM (P1/P4) não tem valor máximo: cada pixel é um bit
+    let maxValue = 1;
+    let lastEnd = heightField.end;
+    if (magic !== 'P1' && magic !== 'P4') {
+        const maxField = readHeaderInteger(data, heightField.end, 'maxv');
+        maxValue = maxField.value;
+        lastEnd = maxField.end;
+        try {
+            validateMaxValue(maxValue);
+        } catch (error) {
+            throw new Error(`${error.message} (byte ${maxField.start})`);
+        }
+    }
+    
+    // Exatamente um espaço em branco separa o cabeçalho do raster. Um comentário
+    // logo após o último campo vai até o fim da linha, e a quebra de linha é o separador.
+    let pos = lastEnd;
+    if (pos < data.length && data[pos] === 0x23) {
+        while (pos < data.length && data[pos] !== 0x0a && data[pos] !== 0x0d) pos++;
+    }
+    if (pos >= data.length) {
+        throw new Error(`Cabeçalho incompleto: fim dos dados no byte ${pos}, esperado espaço em branco antes do raster`);
+    }
+    const headerSize = pos + 1;
+    
+    return { magic, width, height, maxValue, headerSize };
+}
+
+/**
+ * Decodifica uma imagem Netpbm em memória (PBM, PGM ou PPM) começando em offset
+ * Retorna { image, end }, onde end é o byte logo após o raster
+ */
+function decodeNetpbm(data, allowedMagics, offset = 0) {
+    const { magic, width, height, maxValue, headerSize } = parseNetpbmHeader(data, offset);
+    
+    if (!allowedMagics.includes(magic)) {
+        throw new Error(`Formato inválido no byte ${offset} - deve ser ${allowedMagics.join(' ou ')}, encontrado: ${magic}`);
+    }
+    
+    const channels = (magic === 'P3' || magic === 'P6') ? 3 : 1;
+    const sampleCount = width * height * channels;
+    
+    // Lê dados da imagem
+    let imageData;
+    let end;
+    if (magic === 'P1' || magic === 'P4') {
+        ({ samples: imageData, end } = decodePbmRaster(data, headerSize, width, height, magic === 'P1'));
+    } else if (magic === 'P2' || magic === 'P3') {
+        ({ samples: imageData, end } = parseAsciiSamples(data, headerSize, sampleCount, maxValue));
+    } else {
+        const byteSize = sampleCount * bytesPerSample(maxValue);
+        const rawData = data.slice(headerSize, headerSize + byteSize);
         
-        // Verifica P5
-        if (lines[0].trim() !== 'P5') {
-            throw new Error('Formato PGM inválido - deve ser P5');
+        if (rawData.length !== byteSize) {
+            throw new Error(`Dados da imagem incompletos a partir do byte ${headerSize}: esperado ${byteSize}, obtido ${rawData.length}`);
         }
-        headerSize += lines[0].length + 1; // +1 para o \n
-        lineIndex++;
+        imageData = samplesFromBuffer(rawData, sampleCount, maxValue);
+        end = headerSize + byteSize;
+    }
+    
+    const image = channels === 3
+        ? new PPM(width, height, maxValue, imageData)
+        : new PGM(width, height, maxValue, imageData);
+    image.magic = magic;
+    return { image, end };
+}
+
+/**
+ * Decodifica a primeira imagem e avisa sobre dados extras após o raster
+ */
+function decodeSingleNetpbm(data, allowedMagics, filePath) {
+    const { image, end } = decodeNetpbm(data, allowedMagics);
+    
+    const next = skipWhitespaceAndComments(data, end);
+    if (next < data.length) {
+        if (data[next] === 0x50) { // 'P'
+            console.warn(`Aviso: ${filePath} contém mais de uma imagem (byte ${next}); apenas a primeira foi lida. Use readNetpbmSequence para ler todas`);
+        } else {
+            console.warn(`Aviso: ${data.length - end} bytes extras ignorados após o raster de ${filePath} (byte ${end})`);
+        }
+    }
+    
+    return image;
+}
+
+/**
+ * Decodifica todas as imagens de um Buffer Netpbm com várias imagens concatenadas
+ */
+function decodeNetpbmSequence(data, allowedMagics = NETPBM_MAGICS) {
+    const images = [];
+    let offset = 0;
+    
+    while (offset < data.length) {
+        const { image, end } = decodeNetpbm(data, allowedMagics, offset);
+        images.push(image);
+        // Imagens em texto podem ter espaços em branco entre o fim do raster e a próxima
+        offset = skipWhitespaceAndComments(data, end);
+    }
+    
+    if (images.length === 0) {
+        throw new Error('Nenhuma imagem encontrada');
+    }
+    
+    return images;
+}
+
+/* ===== Bitmap PBM (P1/P4) ===== */
+// No PBM, bit 1 = preto e bit 0 = branco. Em memória a imagem vira um PGM com
+// maxv = 1, onde 0 = preto e 1 = branco (mesma convenção dos tons de cinza).
+// No P4 cada linha é empacotada em bytes (bit mais significativo primeiro),
+// com os bits que sobram no fim da linha preenchidos com zero.
+
+/**
+ * Decodifica o raster PBM em amostras 0 (preto) / 1 (branco)
+ * Retorna { samples, end }, onde end é o byte logo após o raster
+ */
+function decodePbmRaster(data, offset, width, height, ascii) {
+    const samples = Buffer.alloc(width * height);
+    
+    if (ascii) {
+        // P1: dígitos '0'/'1', separadores em branco opcionais
+        let pos = offset;
+        for (let i = 0; i < samples.length; i++) {
+            pos = skipWhitespaceAndComments(data, pos);
+            if (pos >= data.length) {
+                throw new Error(`Dados da imagem incompletos: esperado ${samples.length}, obtido ${i}`);
+            }
+            if (data[pos] !== 0x30 && data[pos] !== 0x31) {
+                throw new Error(`Bit PBM inválido no byte ${pos}`);
+            }
+            samples[i] = data[pos] === 0x31 ? 0 : 1;
+            pos++;
+        }
+        return { samples, end: pos };
+    }
+    
+    // P4: linhas empacotadas
+    const rowBytes = Math.ceil(width / 8);
+    const byteSize = rowBytes * height;
+    if (data.length - offset < byteSize) {
+        throw new Error(`Dados da imagem incompletos a partir do byte ${offset}: esperado ${byteSize}, obtido ${Math.max(0, data.length - offset)}`);
+    }
+    
+    for (let y = 0; y < height; y++) {
+        const rowOffset = offset + y * rowBytes;
+        for (let x = 0; x < width; x++) {
+            const bit = (data[rowOffset + (x >> 3)] >> (7 - (x & 7))) & 1;
+            samples[y * width + x] = bit ? 0 : 1;
+        }
+    }
+    return { samples, end: offset + byteSize };
+}
+
+/**
+ * Codifica uma imagem em tons de cinza como PBM
+ * Pixels acima da metade de maxv viram branco (bit 0), os demais preto (bit 1)
+ */
+function encodePBM(image, encoding) {
+    if (image.channels !== 1) {
+        throw new Error('PBM só suporta imagens em tons de cinza (1 canal)');
+    }
+    
+    const { w: width, h: height, maxv, data } = image;
+    const isBlack = (value) => value * 2 <= maxv;
+    
+    if (encoding === PGM_ENCODING_ASCII) {
+        const lines = [];
+        for (let y = 0; y < height; y++) {
+            let line = '';
+            for (let x = 0; x < width; x++) {
+                line += isBlack(data[y * width + x]) ? '1' : '0';
+                if (line.length === 70) { // limite de 70 caracteres por linha
+                    lines.push(line);
+                    line = '';
+                }
+            }
+            if (line.length > 0) {
+                lines.push(line);
+            }
+        }
+        const text = `P1\n${width} ${height}\n` + lines.join('\n') + '\n';
+        return { magic: 'P1', buffer: Buffer.from(text, 'ascii') };
+    }
+    
+    if (encoding === PGM_ENCODING_BINARY) {
+        const rowBytes = Math.ceil(width / 8);
+        const headerBuffer = Buffer.from(`P4\n${width} ${height}\n`, 'ascii');
+        const raster = Buffer.alloc(rowBytes * height);
         
-        // Pula comentários
-        while (lineIndex < lines.length && lines[lineIndex].startsWith('#')) {
-            headerSize += lines[lineIndex].length + 1;
-            lineIndex++;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (isBlack(data[y * width + x])) {
+                    raster[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+        return { magic: 'P4', buffer: Buffer.concat([headerBuffer, raster]) };
+    }
+    
+    throw new Error(`Codificação inválida: ${encoding}. Use '${PGM_ENCODING_BINARY}' ou '${PGM_ENCODING_ASCII}'`);
+}
+
+/**
+ * Verifica se a imagem é binária (apenas 0 e maxv), podendo ser gravada como PBM sem perdas
+ */
+function isBinaryImage(image) {
+    if (image.channels !== 1) {
+        return false;
+    }
+    for (let i = 0; i < image.data.length; i++) {
+        if (image.data[i] !== 0 && image.data[i] !== image.maxv) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Codifica uma imagem (PGM ou PPM) em um Buffer Netpbm
+ */
+function encodeNetpbm(image, encoding) {
+    const isColor = image.channels === 3;
+    
+    if (encoding === PGM_ENCODING_ASCII) {
+        const magic = isColor ? 'P3' : 'P2';
+        const text = `${magic}\n${image.w} ${image.h}\n${image.maxv}\n` + formatAsciiSamples(image.data, image.w * image.channels);
+        return { magic, buffer: Buffer.from(text, 'ascii') };
+    }
+    
+    if (encoding === PGM_ENCODING_BINARY) {
+        const magic = isColor ? 'P6' : 'P5';
+        const headerBuffer = Buffer.from(`${magic}\n${image.w} ${image.h}\n${image.maxv}\n`, 'ascii');
+        return { magic, buffer: Buffer.concat([headerBuffer, samplesToBuffer(image.data, image.maxv)]) };
+    }
+    
+    throw new Error(`Codificação inválida: ${encoding}. Use '${PGM_ENCODING_BINARY}' ou '${PGM_ENCODING_ASCII}'`);
+}
+
+/* ===== Bitmap do Windows (BMP) ===== */
+// Estrutura do arquivo BMP:
+//   BITMAPFILEHEADER (14 bytes): 'BM', tamanho do arquivo, reservado, offset dos pixels
+//   BITMAPINFOHEADER (40 bytes ou maior - V4/V5): largura, altura, planos, bits por pixel,
+//     compressão, ... (BITMAPCOREHEADER de 12 bytes em arquivos antigos)
+//   paleta (até 2^bpp entradas BGR0, ou BGR no core header)
+//   pixels: linhas alinhadas em 4 bytes, de baixo para cima se altura > 0 ou de cima
+//     para baixo se altura < 0; cores em ordem B, G, R
+const BMP_FILE_HEADER_SIZE = 14;
+const BMP_INFO_HEADER_SIZE = 40;
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+
+/**
+ * Extrai um canal de um pixel de 16/32 bits a partir da máscara de bits, escalado para 0..255
+ */
+function extractBitfield(pixel, mask) {
+    if (mask === 0) return 0;
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) shift++;
+    const max = mask >>> shift;
+    return Math.round(((pixel & mask) >>> shift) * 255 / max);
+}
+
+/**
+ * Decodifica um arquivo BMP em memória (1, 4, 8, 16, 24 ou 32 bits; BI_RGB ou BI_BITFIELDS)
+ * Retorna PGM se a paleta for toda em tons de cinza, senão PPM
+ */
+function decodeBMP(data) {
+    if (data.length < BMP_FILE_HEADER_SIZE + 12 || data[0] !== 0x42 || data[1] !== 0x4d) {
+        throw new Error('Assinatura BMP inválida - esperado \'BM\'');
+    }
+    
+    const pixelOffset = data.readUInt32LE(10);
+    const infoSize = data.readUInt32LE(14);
+    const isCore = infoSize === 12;
+    
+    if (!isCore && infoSize < BMP_INFO_HEADER_SIZE) {
+        throw new Error(`Cabeçalho BMP não suportado (${infoSize} bytes, byte 14)`);
+    }
+    
+    const width = isCore ? data.readUInt16LE(18) : data.readInt32LE(18);
+    const rawHeight = isCore ? data.readInt16LE(20) : data.readInt32LE(22);
+    const bitsPerPixel = isCore ? data.readUInt16LE(24) : data.readUInt16LE(28);
+    const compression = isCore ? BI_RGB : data.readUInt32LE(30);
+    const topDown = rawHeight < 0;
+    const height = Math.abs(rawHeight);
+    
+    if (width < 1 || height < 1) {
+        throw new Error(`Dimensões BMP inválidas: ${width}x${rawHeight}`);
+    }
+    if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) {
+        throw new Error(`Profundidade BMP não suportada: ${bitsPerPixel} bits por pixel`);
+    }
+    if (compression !== BI_RGB && !(compression === BI_BITFIELDS && (bitsPerPixel === 16 || bitsPerPixel === 32))) {
+        throw new Error(`Compressão BMP não suportada: ${compression} (apenas BI_RGB, ou BI_BITFIELDS em 16/32 bits)`);
+    }
+    
+    // Máscaras de cor para 16/32 bits: padrão 5-5-5 / 8-8-8 ou lidas logo após o
+    // BITMAPINFOHEADER (dentro do próprio cabeçalho V4/V5)
+    let masks = null;
+    if (bitsPerPixel === 16 || bitsPerPixel === 32) {
+        if (compression === BI_BITFIELDS) {
+            masks = [data.readUInt32LE(54), data.readUInt32LE(58), data.readUInt32LE(62)];
+        } else {
+            masks = bitsPerPixel === 16 ? [0x7c00, 0x03e0, 0x001f] : [0xff0000, 0x00ff00, 0x0000ff];
         }
+    }
+    
+    // Paleta (imagens de 1, 4 e 8 bits)
+    let palette = null;
+    let grayPalette = true;
+    if (bitsPerPixel <= 8) {
+        const entrySize = isCore ? 3 : 4;
+        const usedColors = isCore ? 0 : data.readUInt32LE(46);
+        const paletteSize = usedColors || (1 << bitsPerPixel);
+        const paletteStart = BMP_FILE_HEADER_SIZE + infoSize;
         
-        // Lê dimensões
-        const dimensions = lines[lineIndex].trim().split(/\s+/);
-        const width = parseInt(dimensions[0]);
-        const height = parseInt(dimensions[1]);
+        if (paletteStart + paletteSize * entrySize > data.length) {
+            throw new Error(`Paleta BMP incompleta (byte ${paletteStart})`);
+        }
         
-        if (isNaN(width) || isNaN(height)) {
-            throw new Error('Dimensões inválidas');
+        palette = [];
+        for (let i = 0; i < paletteSize; i++) {
+            const entry = paletteStart + i * entrySize;
+            const b = data[entry], g = data[entry + 1], r = data[entry + 2];
+            palette.push([r, g, b]);
+            if (r !== g || g !== b) {
+                grayPalette = false;
+            }
         }
+    }
+    
+    const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4; // alinhado em 4 bytes
+    if (pixelOffset + rowSize * height > data.length) {
+        throw new Error(`Dados BMP incompletos: esperado ${rowSize * height} bytes a partir do byte ${pixelOffset}`);
+    }
+    
+    const isGray = palette !== null && grayPalette;
+    const image = isGray ? new PGM(width, height, 255) : new PPM(width, height, 255);
+    
+    for (let y = 0; y < height; y++) {
+        const fileRow = topDown ? y : height - 1 - y;
+        const rowStart = pixelOffset + fileRow * rowSize;
         
-        headerSize += lines[lineIndex].length + 1;
-        lineIndex++;
+        for (let x = 0; x < width; x++) {
+            let r, g, b;
+            if (palette) {
+                const bitIndex = x * bitsPerPixel;
+                const byte = data[rowStart + (bitIndex >> 3)];
+                const index = (byte >> (8 - bitsPerPixel - (bitIndex & 7))) & ((1 << bitsPerPixel) - 1);
+                if (index >= palette.length) {
+                    throw new Error(`Índice de paleta ${index} fora da paleta BMP (${palette.length} cores)`);
+                }
+                [r, g, b] = palette[index];
+            } else if (masks) {
+                const pixel = bitsPerPixel === 16
+                    ? data.readUInt16LE(rowStart + x * 2)
+                    : data.readUInt32LE(rowStart + x * 4);
+                r = extractBitfield(pixel, masks[0]);
+                g = extractBitfield(pixel, masks[1]);
+                b = extractBitfield(pixel, masks[2]);
+            } else {
+                const pixel = rowStart + x * (bitsPerPixel >> 3);
+                b = data[pixel];
+                g = data[pixel + 1];
+                r = data[pixel + 2];
+            }
+            
+            if (isGray) {
+                image.data[y * width + x] = r;
+            } else {
+                const out = (y * width + x) * 3;
+                image.data[out] = r;
+                image.data[out + 1] = g;
+                image.data[out + 2] = b;
+            }
+        }
+    }
+    
+    image.magic = 'BM';
+    return image;
+}
+
+/**
+ * Codifica uma imagem PGM (8 bits com paleta cinza) ou PPM (24 bits) como BMP
+ * Amostras com maxv diferente de 255 são reescaladas para 8 bits
+ */
+function encodeBMP(image, options = {}) {
+    const { w: width, h: height, maxv, channels, data } = image;
+    const bitsPerPixel = channels === 3 ? 24 : 8;
+    const paletteSize = channels === 3 ? 0 : 256;
+    const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4;
+    const pixelOffset = BMP_FILE_HEADER_SIZE + BMP_INFO_HEADER_SIZE + paletteSize * 4;
+    const buffer = Buffer.alloc(pixelOffset + rowSize * height);
+    const to8 = (value) => maxv === 255 ? value : Math.round(value * 255 / maxv);
+    
+    // BITMAPFILEHEADER
+    buffer.write('BM', 0, 'ascii');
+    buffer.writeUInt32LE(buffer.length, 2);
+    buffer.writeUInt32LE(pixelOffset, 10);
+    
+    // BITMAPINFOHEADER (altura negativa = linhas de cima para baixo)
+    buffer.writeUInt32LE(BMP_INFO_HEADER_SIZE, 14);
+    buffer.writeInt32LE(width, 18);
+    buffer.writeInt32LE(options.topDown ? -height : height, 22);
+    buffer.writeUInt16LE(1, 26);               // planos
+    buffer.writeUInt16LE(bitsPerPixel, 28);
+    buffer.writeUInt32LE(BI_RGB, 30);
+    buffer.writeUInt32LE(rowSize * height, 34);
+    buffer.writeInt32LE(2835, 38);             // 72 DPI
+    buffer.writeInt32LE(2835, 42);
+    buffer.writeUInt32LE(paletteSize, 46);
+    
+    // Paleta em tons de cinza para imagens de 8 bits
+    for (let i = 0; i < paletteSize; i++) {
+        const entry = BMP_FILE_HEADER_SIZE + BMP_INFO_HEADER_SIZE + i * 4;
+        buffer[entry] = i;
+        buffer[entry + 1] = i;
+        buffer[entry + 2] = i;
+    }
+    
+    for (let y = 0; y < height; y++) {
+        const fileRow = options.topDown ? y : height - 1 - y;
+        const rowStart = pixelOffset + fileRow * rowSize;
         
-        // Lê valor máximo
-        const maxValue = parseInt(lines[lineIndex].trim());
-        if (isNaN(maxValue)) {
-            throw new Error('Valor máximo inválido');
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (channels === 3) {
+                const out = rowStart + x * 3;
+                buffer[out] = to8(data[p * 3 + 2]);     // B
+                buffer[out + 1] = to8(data[p * 3 + 1]); // G
+                buffer[out + 2] = to8(data[p * 3]);     // R
+            } else {
+                buffer[rowStart + x] = to8(data[p]);
+            }
         }
+    }
+    
+    return buffer;
+}
+
+/**
+ * Lê um arquivo BMP como PGM (paleta cinza) ou PPM (cor)
+ */
+function readBMP(filePath) {
+    try {
+        const image = decodeBMP(fs.readFileSync(filePath));
+        console.log(`BMP carregado: ${image.w}x${image.h}, canais=${image.channels}`);
         
-        headerSize += lines[lineIndex].length + 1;
+        return image;
+    } catch (error) {
+        console.error(`Erro ao ler arquivo BMP ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Grava uma imagem PGM/PPM como BMP
+ * options.topDown = true grava as linhas de cima para baixo (altura negativa)
+ */
+function writeBMP(filePath, image, options = {}) {
+    try {
+        const buffer = encodeBMP(image, options);
         
-        // Lê dados da imagem
-        const imageData = data.slice(headerSize, headerSize + width * height);
+        fs.writeFileSync(filePath, buffer);
+        console.log(`BMP salvo: ${filePath} (${image.w}x${image.h}, ${image.channels === 3 ? 24 : 8} bits)`);
         
-        if (imageData.length !== width * height) {
-            throw new Error(`Dados da imagem incompletos: esperado ${width * height}, obtido ${imageData.length}`);
-        }
+        return true;
+    } catch (error) {
+        console.error(`Erro ao escrever arquivo BMP ${filePath}:`, error.message);
+        throw error;
+    }
+}
 
-        const pgm = new PGM(width, height, maxValue, imageData);
-        console.log(`PGM carregado: ${width}x${height}, max=${maxValue}, dados=${imageData.length} bytes`);
+/* ===== Equivalente à função int read_pgm(const char* path, PGM* img) do código C ===== */
+// Detecta automaticamente P5 (binário) ou P2 (ASCII)
+function readPGM(filePath) {
+    try {
+        const data = fs.readFileSync(filePath);
+        const pgm = decodeSingleNetpbm(data, ['P5', 'P2'], filePath);
+        console.log(`PGM carregado (${pgm.magic}): ${pgm.w}x${pgm.h}, max=${pgm.maxv}, dados=${pgm.getByteSize()} bytes`);
         
         return pgm;
     } catch (error) {
@@ -145,15 +1116,93 @@ function readPGM(filePath) {
     }
 }
 
+/**
+ * Lê uma imagem PPM colorida (P6 binário ou P3 ASCII)
+ */
+function readPPM(filePath) {
+    try {
+        const data = fs.readFileSync(filePath);
+        const ppm = decodeSingleNetpbm(data, ['P6', 'P3'], filePath);
+        console.log(`PPM carregado (${ppm.magic}): ${ppm.w}x${ppm.h}, max=${ppm.maxv}, dados=${ppm.getByteSize()} bytes`);
+        
+        return ppm;
+    } catch (error) {
+        console.error(`Erro ao ler arquivo PPM ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Lê um bitmap PBM (P4 binário ou P1 ASCII) como PGM com maxv = 1
+ */
+function readPBM(filePath) {
+    try {
+        const data = fs.readFileSync(filePath);
+        const pbm = decodeSingleNetpbm(data, ['P4', 'P1'], filePath);
+        console.log(`PBM carregado (${pbm.magic}): ${pbm.w}x${pbm.h}`);
+        
+        return pbm;
+    } catch (error) {
+        console.error(`Erro ao ler arquivo PBM ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Lê uma imagem PBM, PGM, PPM ou BMP, escolhendo o formato pelo número mágico
+ */
+function readImage(filePath) {
+    try {
+        const data = fs.readFileSync(filePath);
+        if (data[0] === 0x42 && data[1] === 0x4d) { // 'BM'
+            const bmp = decodeBMP(data);
+            console.log(`BMP carregado: ${bmp.w}x${bmp.h}, canais=${bmp.channels}`);
+            return bmp;
+        }
+        
+        const image = decodeSingleNetpbm(data, NETPBM_MAGICS, filePath);
+        console.log(`${netpbmKind(image.magic)} carregado (${image.magic}): ${image.w}x${image.h}, max=${image.maxv}, dados=${image.getByteSize()} bytes`);
+        
+        return image;
+    } catch (error) {
+        console.error(`Erro ao ler imagem ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Lê todas as imagens de um arquivo Netpbm com várias imagens concatenadas
+ */
+function readNetpbmSequence(filePath) {
+    try {
+        const data = fs.readFileSync(filePath);
+        const images = decodeNetpbmSequence(data);
+        console.log(`${images.length} imagem(ns) carregada(s) de ${filePath}: ${images.map(img => `${img.magic} ${img.w}x${img.h}`).join(', ')}`);
+        
+        return images;
+    } catch (error) {
+        console.error(`Erro ao ler sequência Netpbm ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Nome do formato (PBM, PGM ou PPM) a partir do número mágico
+ */
+function netpbmKind(magic) {
+    if (magic === 'P1' || magic === 'P4') return 'PBM';
+    if (magic === 'P3' || magic === 'P6') return 'PPM';
+    return 'PGM';
+}
+
 /* ===== Equivalente à função int write_pgm(const char* path, const PGM* img) do código C ===== */
-function writePGM(filePath, pgm) {
+// options.encoding: 'binary' (P5, padrão) ou 'ascii' (P2)
+function writePGM(filePath, pgm, options = {}) {
     try {
-        const header = `P5\n${pgm.w} ${pgm.h}\n${pgm.maxv}\n`;
-        const headerBuffer = Buffer.from(header, 'ascii');
-        const fullBuffer = Buffer.concat([headerBuffer, pgm.data]);
+        const { magic, buffer } = encodeNetpbm(pgm, options.encoding || PGM_ENCODING_BINARY);
         
-        fs.writeFileSync(filePath, fullBuffer);
-        console.log(`PGM salvo: ${filePath} (${pgm.w}x${pgm.h})`);
+        fs.writeFileSync(filePath, buffer);
+        console.log(`PGM salvo: ${filePath} (${pgm.w}x${pgm.h}, ${magic})`);
         
         return true;
     } catch (error) {
@@ -162,12 +1211,144 @@ function writePGM(filePath, pgm) {
     }
 }
 
+/**
+ * Grava uma imagem PPM colorida
+ * options.encoding: 'binary' (P6, padrão) ou 'ascii' (P3)
+ */
+function writePPM(filePath, ppm, options = {}) {
+    try {
+        const { magic, buffer } = encodeNetpbm(ppm, options.encoding || PGM_ENCODING_BINARY);
+        
+        fs.writeFileSync(filePath, buffer);
+        console.log(`PPM salvo: ${filePath} (${ppm.w}x${ppm.h}, ${magic})`);
+        
+        return true;
+    } catch (error) {
+        console.error(`Erro ao escrever arquivo PPM ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Grava uma imagem binária como PBM de 1 bit por pixel
+ * options.encoding: 'binary' (P4, padrão) ou 'ascii' (P1)
+ */
+function writePBM(filePath, pgm, options = {}) {
+    try {
+        const { magic, buffer } = encodePBM(pgm, options.encoding || PGM_ENCODING_BINARY);
+        
+        fs.writeFileSync(filePath, buffer);
+        console.log(`PBM salvo: ${filePath} (${pgm.w}x${pgm.h}, ${magic})`);
+        
+        return true;
+    } catch (error) {
+        console.error(`Erro ao escrever arquivo PBM ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Grava uma imagem PGM ou PPM conforme o número de canais
+ * options.format = 'pbm' grava como bitmap de 1 bit, 'bmp' como bitmap do Windows
+ */
+function writeImage(filePath, image, options = {}) {
+    if (options.format === 'pbm') {
+        return writePBM(filePath, image, options);
+    }
+    if (options.format === 'bmp') {
+        return writeBMP(filePath, image, options);
+    }
+    return image.channels === 3 ? writePPM(filePath, image, options) : writePGM(filePath, image, options);
+}
+
 module.exports = {
     PGM,
+    PPM,
     Header,
+    HEADER_SIZE,
+    PROTOCOL_MAGIC,
+    PROTOCOL_VERSION,
+    PIXEL_FORMAT_GRAY8,
+    PIXEL_FORMAT_GRAY16,
+    PIXEL_FORMAT_RGB8,
+    PIXEL_FORMAT_RGB16,
+    FILTER_ID_NONE,
+    PROTOCOL_FILTERS,
+    getPixelFormat,
+    Frame,
+    FRAME_HEADER_SIZE,
+    FRAME_MAGIC,
+    FRAME_BEGIN_JOB,
+    FRAME_IMAGE,
+    FRAME_END_JOB,
+    FRAME_CLOSE,
+    FRAME_RESULT,
     Task,
     MODE_NEG,
     MODE_SLICE,
+    MODE_CONVOLVE,
+    MODE_EQUALIZE,
+    MODE_GAMMA,
+    MODE_LOG,
+    MODE_STRETCH,
+    MODE_BITPLANE,
+    MODE_RANK,
+    MODE_MORPHOLOGY,
+    MODE_GEOMETRY,
+    MODE_PLUGIN,
+    MODE_COMPONENTS,
+    MODE_ARITHMETIC,
+    MODE_CANNY,
+    MODE_DITHER,
+    MODE_ADAPTIVE,
+    TASK_PHASE_FILTER,
+    TASK_PHASE_HISTOGRAM,
+    TASK_PHASE_LABEL,
+    TASK_PHASE_REGION_STATS,
+    TASK_PHASE_RELABEL,
+    TASK_PHASE_SMOOTH,
+    TASK_PHASE_GRADIENT,
+    TASK_PHASE_SUPPRESS,
+    TASK_PHASE_HYSTERESIS,
+    TASK_PHASE_EDGES,
+    TASK_PHASE_DIFFUSE,
+    TASK_PHASE_INTEGRAL,
+    TASK_PHASE_INTEGRAL_FIXUP,
+    TASK_PHASE_ADAPTIVE,
+    SLICE_BINARY,
+    SLICE_PRESERVE,
+    BORDER_CLAMP,
+    BORDER_MIRROR,
+    BORDER_ZERO,
+    BORDER_WRAP,
+    COLOR_MODE_CHANNELS,
+    COLOR_MODE_LUMA,
+    COLOR_MODE_LUMA_COLOR,
+    PGM_ENCODING_BINARY,
+    PGM_ENCODING_ASCII,
+    MAX_VALUE_8BIT,
+    MAX_VALUE_16BIT,
+    bytesPerSample,
+    createSampleArray,
+    createSampleView,
+    samplesFromBuffer,
+    samplesToBuffer,
+    validateMaxValue,
     readPGM,
-    writePGM
+    readPPM,
+    readPBM,
+    readImage,
+    readNetpbmSequence,
+    parseNetpbmHeader,
+    decodeNetpbm,
+    decodeNetpbmSequence,
+    isBinaryImage,
+    writePGM,
+    writePPM,
+    writePBM,
+    decodeBMP,
+    encodeBMP,
+    readBMP,
+    writeBMP,
+    writeImage
 };
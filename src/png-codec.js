@@ -0,0 +1,350 @@
+const zlib = require('zlib');
+const { PGM, PPM } = require('./pgm-utils');
+
+/* ===== CODEC PNG EM JAVASCRIPT PURO ===== */
+// Estrutura do arquivo PNG:
+//   assinatura (8 bytes) + sequência de chunks [tamanho(4) tipo(4) dados(n) crc(4)]
+//   IHDR: largura, altura, profundidade de bits, tipo de cor, compressão, filtro, entrelaçamento
+//   PLTE: paleta RGB (tipo de cor 3)
+//   IDAT: dados comprimidos com zlib (podem estar divididos em vários chunks)
+//   IEND: fim da imagem
+// Cada linha descomprimida começa com um byte de filtro (0=None, 1=Sub, 2=Up, 3=Average, 4=Paeth).
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Tipos de cor do PNG
+const COLOR_GRAY = 0;
+const COLOR_RGB = 2;
+const COLOR_PALETTE = 3;
+const COLOR_GRAY_ALPHA = 4;
+const COLOR_RGBA = 6;
+
+// Amostras por pixel de cada tipo de cor
+const SAMPLES_PER_PIXEL = {
+    [COLOR_GRAY]: 1,
+    [COLOR_RGB]: 3,
+    [COLOR_PALETTE]: 1,
+    [COLOR_GRAY_ALPHA]: 2,
+    [COLOR_RGBA]: 4
+};
+
+// Passos do entrelaçamento Adam7: [x inicial, y inicial, passo x, passo y]
+const ADAM7_PASSES = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/* ===== CRC-32 (polinômio 0xEDB88320) usado nos chunks ===== */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Preditor Paeth (filtro 4)
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/**
+ * Desfaz os filtros de linha de uma imagem (ou passo Adam7) in-place
+ * Retorna as linhas sem o byte de filtro
+ */
+function unfilterScanlines(data, offset, width, height, bitsPerPixel) {
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const rowBytes = Math.ceil(width * bitsPerPixel / 8);
+    const rows = Buffer.alloc(rowBytes * height);
+
+    if (data.length < offset + (rowBytes + 1) * height) {
+        throw new Error('Dados PNG incompletos após descompressão');
+    }
+
+    for (let y = 0; y < height; y++) {
+        const filterType = data[offset + y * (rowBytes + 1)];
+        const src = offset + y * (rowBytes + 1) + 1;
+        const dst = y * rowBytes;
+        const prev = dst - rowBytes;
+
+        for (let x = 0; x < rowBytes; x++) {
+            const raw = data[src + x];
+            const left = x >= bytesPerPixel ? rows[dst + x - bytesPerPixel] : 0;
+            const up = y > 0 ? rows[prev + x] : 0;
+            const upLeft = (y > 0 && x >= bytesPerPixel) ? rows[prev + x - bytesPerPixel] : 0;
+
+            let value;
+            switch (filterType) {
+                case 0: value = raw; break;
+                case 1: value = raw + left; break;
+                case 2: value = raw + up; break;
+                case 3: value = raw + ((left + up) >> 1); break;
+                case 4: value = raw + paeth(left, up, upLeft); break;
+                default:
+                    throw new Error(`Filtro PNG inválido na linha ${y}: ${filterType}`);
+            }
+            rows[dst + x] = value & 0xff;
+        }
+    }
+
+    return { rows, consumed: (rowBytes + 1) * height };
+}
+
+/**
+ * Lê a amostra de índice i de uma linha com a profundidade de bits indicada
+ */
+function readSample(rows, rowOffset, i, bitDepth) {
+    if (bitDepth === 8) return rows[rowOffset + i];
+    if (bitDepth === 16) return rows.readUInt16BE(rowOffset + i * 2);
+
+    const bitIndex = i * bitDepth;
+    const byte = rows[rowOffset + (bitIndex >> 3)];
+    const shift = 8 - bitDepth - (bitIndex & 7);
+    return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * Decodifica um arquivo PNG em memória
+ * Retorna PGM (tons de cinza) ou PPM (cor); o canal alfa é descartado
+ */
+function decodePNG(buffer) {
+    if (buffer.length < 8 || !buffer.slice(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Assinatura PNG inválida');
+    }
+
+    let pos = 8;
+    let header = null;
+    let palette = null;
+    const idatChunks = [];
+
+    // Percorre os chunks até IEND
+    while (pos + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('ascii', pos + 4, pos + 8);
+        const dataStart = pos + 8;
+        const dataEnd = dataStart + length;
+
+        if (dataEnd + 4 > buffer.length) {
+            throw new Error(`Chunk PNG ${type} truncado no byte ${pos}`);
+        }
+
+        const expectedCrc = buffer.readUInt32BE(dataEnd);
+        if (crc32(buffer.slice(pos + 4, dataEnd)) !== expectedCrc) {
+            throw new Error(`CRC inválido no chunk PNG ${type} (byte ${pos})`);
+        }
+
+        const chunk = buffer.slice(dataStart, dataEnd);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'IDAT') {
+            idatChunks.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        pos = dataEnd + 4;
+    }
+
+    if (!header) {
+        throw new Error('PNG sem chunk IHDR');
+    }
+    if (idatChunks.length === 0) {
+        throw new Error('PNG sem chunk IDAT');
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const samplesPerPixel = SAMPLES_PER_PIXEL[colorType];
+    if (samplesPerPixel === undefined) {
+        throw new Error(`Tipo de cor PNG inválido: ${colorType}`);
+    }
+    if (![1, 2, 4, 8, 16].includes(bitDepth)) {
+        throw new Error(`Profundidade de bits PNG inválida: ${bitDepth}`);
+    }
+    if (colorType === COLOR_PALETTE && !palette) {
+        throw new Error('PNG com paleta sem chunk PLTE');
+    }
+
+    const inflated = zlib.inflateSync(Buffer.concat(idatChunks));
+
+    // Saída: tons de cinza (tipos 0 e 4) ou RGB (tipos 2, 3 e 6)
+    const isColor = colorType === COLOR_RGB || colorType === COLOR_PALETTE || colorType === COLOR_RGBA;
+    const outChannels = isColor ? 3 : 1;
+    const outMaxValue = (bitDepth === 16) ? 65535 : (colorType === COLOR_PALETTE ? 255 : (1 << bitDepth) - 1);
+    const image = isColor
+        ? new PPM(width, height, outMaxValue)
+        : new PGM(width, height, outMaxValue);
+    const bitsPerPixel = samplesPerPixel * bitDepth;
+
+    // Copia um passo (ou a imagem inteira, sem entrelaçamento) para a saída
+    const placePass = (rows, passWidth, passHeight, x0, y0, dx, dy) => {
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        for (let py = 0; py < passHeight; py++) {
+            const rowOffset = py * rowBytes;
+            const y = y0 + py * dy;
+            for (let px = 0; px < passWidth; px++) {
+                const x = x0 + px * dx;
+                const out = (y * width + x) * outChannels;
+                const sampleIndex = px * samplesPerPixel;
+
+                if (colorType === COLOR_PALETTE) {
+                    const entry = readSample(rows, rowOffset, sampleIndex, bitDepth) * 3;
+                    image.data[out] = palette[entry];
+                    image.data[out + 1] = palette[entry + 1];
+                    image.data[out + 2] = palette[entry + 2];
+                } else {
+                    // Copia os canais de cor, ignorando o alfa (último canal nos tipos 4 e 6)
+                    for (let c = 0; c < outChannels; c++) {
+                        image.data[out + c] = readSample(rows, rowOffset, sampleIndex + c, bitDepth);
+                    }
+                }
+            }
+        }
+    };
+
+    if (interlace === 0) {
+        const { rows } = unfilterScanlines(inflated, 0, width, height, bitsPerPixel);
+        placePass(rows, width, height, 0, 0, 1, 1);
+    } else if (interlace === 1) {
+        let offset = 0;
+        for (const [x0, y0, dx, dy] of ADAM7_PASSES) {
+            const passWidth = Math.ceil((width - x0) / dx);
+            const passHeight = Math.ceil((height - y0) / dy);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+
+            const { rows, consumed } = unfilterScanlines(inflated, offset, passWidth, passHeight, bitsPerPixel);
+            placePass(rows, passWidth, passHeight, x0, y0, dx, dy);
+            offset += consumed;
+        }
+    } else {
+        throw new Error(`Método de entrelaçamento PNG inválido: ${interlace}`);
+    }
+
+    return image;
+}
+
+/**
+ * Escolhe, para cada linha, o filtro com menor soma dos valores absolutos (heurística da especificação PNG)
+ */
+function filterScanlines(raw, rowBytes, height, bytesPerPixel) {
+    const out = Buffer.alloc((rowBytes + 1) * height);
+    const candidate = Buffer.alloc(rowBytes);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * rowBytes;
+        const prev = row - rowBytes;
+        let bestSum = Infinity;
+
+        for (let type = 0; type <= 4; type++) {
+            let sum = 0;
+            for (let x = 0; x < rowBytes; x++) {
+                const value = raw[row + x];
+                const left = x >= bytesPerPixel ? raw[row + x - bytesPerPixel] : 0;
+                const up = y > 0 ? raw[prev + x] : 0;
+                const upLeft = (y > 0 && x >= bytesPerPixel) ? raw[prev + x - bytesPerPixel] : 0;
+
+                let filtered;
+                switch (type) {
+                    case 0: filtered = value; break;
+                    case 1: filtered = value - left; break;
+                    case 2: filtered = value - up; break;
+                    case 3: filtered = value - ((left + up) >> 1); break;
+                    default: filtered = value - paeth(left, up, upLeft); break;
+                }
+                filtered &= 0xff;
+                candidate[x] = filtered;
+                sum += filtered < 128 ? filtered : 256 - filtered;
+            }
+
+            if (sum < bestSum) {
+                bestSum = sum;
+                out[y * (rowBytes + 1)] = type;
+                candidate.copy(out, y * (rowBytes + 1) + 1);
+            }
+        }
+    }
+
+    return out;
+}
+
+function buildChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.slice(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+/**
+ * Codifica uma imagem PGM (tons de cinza) ou PPM (RGB) como PNG
+ * Amostras são reescaladas para 8 bits (maxv <= 255) ou 16 bits (maxv > 255)
+ */
+function encodePNG(image) {
+    const { w: width, h: height, maxv, channels, data } = image;
+    const bitDepth = maxv > 255 ? 16 : 8;
+    const fullScale = bitDepth === 16 ? 65535 : 255;
+    const bytesPerSample = bitDepth / 8;
+    const bytesPerPixel = channels * bytesPerSample;
+    const rowBytes = width * bytesPerPixel;
+
+    // Linhas sem filtro, com amostras reescaladas para a escala cheia do PNG
+    const raw = Buffer.alloc(rowBytes * height);
+    for (let i = 0; i < width * height * channels; i++) {
+        const value = maxv === fullScale ? data[i] : Math.round(data[i] * fullScale / maxv);
+        if (bitDepth === 16) {
+            raw.writeUInt16BE(value, i * 2);
+        } else {
+            raw[i] = value;
+        }
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = bitDepth;
+    ihdr[9] = channels === 3 ? COLOR_RGB : COLOR_GRAY;
+    ihdr[10] = 0; // compressão deflate
+    ihdr[11] = 0; // filtragem adaptativa
+    ihdr[12] = 0; // sem entrelaçamento
+
+    const idat = zlib.deflateSync(filterScanlines(raw, rowBytes, height, bytesPerPixel), { level: 9 });
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        buildChunk('IHDR', ihdr),
+        buildChunk('IDAT', idat),
+        buildChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    decodePNG,
+    encodePNG
+};
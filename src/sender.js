@@ -2,19 +2,35 @@
 
 const fs = require('fs');
 const path = require('path');
-const { readPGM, Header } = require('./pgm-utils');
+const {
+    PGM, PPM, readImage, writeImage, Header, PROTOCOL_FILTERS, PROTOCOL_MAGIC, PGM_ENCODING_BINARY, samplesFromBuffer, samplesToBuffer,
+    Frame, FRAME_BEGIN_JOB, FRAME_IMAGE, FRAME_END_JOB, FRAME_CLOSE, FRAME_RESULT
+} = require('./pgm-utils');
+const { createNetpbmBandReader, ImageBandReader, NetpbmBandWriter, FifoWriter } = require('./band-stream');
+
+// Prazo para o worker abrir o canal de resposta depois de receber a sessão inteira (ele o
+// abre ao ler o primeiro inicio-trabalho); sem o prazo, um worker que falha antes disso
+// deixaria o sender bloqueado para sempre na abertura do FIFO de resposta
+const REPLY_OPEN_TIMEOUT_MS = 10000;
 
 /* ===== PROCESSO EMISSOR - Equivalente ao main_sender do código C ===== */
 // int main_sender(int argc, char** argv) {
-//  // argv: img_sender <fifo_path> <entrada.pgm>
-//  // Emissor só envia a imagem; quem decide o filtro é o worker pelo CLI dele.
+//  // argv: img_sender <fifo_path> <entrada.pgm> [segunda.pgm] [--filtro modo:p1:p2] [--opcao nome=valor]
+//  // Sem --filtro, quem decide o filtro é o worker pelo CLI dele; com --filtro, o id do
+//  // filtro e os parâmetros seguem no cabeçalho (protocolo versão 2) e um worker iniciado
+//  // sem modo os aplica.
+//  // Operações entre imagens (diferença, máscara, ...): a segunda imagem segue a primeira,
+//  // com o seu próprio cabeçalho, na mesma sessão do FIFO.
+//  // Com --lote arquivo.json, várias imagens seguem na mesma conexão, em quadros
+//  // (inicio-trabalho, imagem, fim-trabalho, encerrar), cada uma com o nome da sua saída.
+//  // Com --resposta <fifo>, o worker devolve cada imagem processada (ou o erro) por esse
+//  // segundo FIFO e o sender grava a saída: um cliente síncrono "processe esta imagem".
 //  parse_args_or_exit();
 //  const char* fifo = argv[1];
 //  const char* inpath = argv[2];
 //  // 1) Garante a existência do FIFO (mkfifo se necessário)
 //  // 2) Lê a imagem PGM (P5) do disco
-//  // 3) Prepara cabeçalho (mode/t1/t2 serão ignorados pelo worker;
-//  // aqui enviamos apenas metadados da imagem)
+//  // 3) Prepara cabeçalho (metadados da imagem + filtro escolhido, se houver)
 //  // 4) Abre FIFO para escrita (bloqueia até worker abrir para leitura)
 //  // 5) Envia cabeçalho + pixels
 //  // 6) Fecha FIFO e libera memória
@@ -22,22 +38,175 @@ const { readPGM, Header } = require('./pgm-utils');
 //  return 0;
 // }
 
+/**
+ * Filtro a enviar no cabeçalho: nome do protocolo, parâmetros posicionais e opções
+ * Retorna { name, parametros, opcoes }; lança Error se o filtro não tiver id no protocolo
+ */
+function createFilter(name, parametros = [], opcoes = {}) {
+    if (!PROTOCOL_FILTERS.includes(name)) {
+        throw new Error(`Filtro inválido para o protocolo: ${name}. Use um de ${PROTOCOL_FILTERS.join(', ')} (cadeias só no worker)`);
+    }
+    return { name, parametros: parametros.map(String), opcoes };
+}
+
 // ===== Equivalente ao parse_args_or_exit() do código C =====
 function parseArgs() {
-    const args = process.argv.slice(2); // argc, argv equivalente
+    const args = []; // argc, argv equivalente
+    let bandRows = 0;
+    let filterSpec = null;
+    const filterOptions = {};
+    const batchPaths = [];
+    let replyPath = null;
+    let outputPath = null;
+    
+    const argv = process.argv.slice(2);
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--banda' && i + 1 < argv.length) {
+            bandRows = Number(argv[++i]);
+        } else if (argv[i] === '--filtro' && i + 1 < argv.length) {
+            filterSpec = argv[++i];
+        } else if (argv[i] === '--opcao' && i + 1 < argv.length) {
+            // Opção do filtro repassada ao worker (ex.: --opcao slice=preservar)
+            const [name, ...value] = argv[++i].split('=');
+            if (!name || value.length === 0) {
+                console.error(`Opção inválida: ${argv[i]}. Use --opcao nome=valor`);
+                process.exit(1);
+            }
+            filterOptions[name] = value.join('=');
+        } else if (argv[i] === '--lote' && i + 1 < argv.length) {
+            batchPaths.push(argv[++i]);
+        } else if (argv[i] === '--resposta' && i + 1 < argv.length) {
+            replyPath = argv[++i];
+        } else if (argv[i] === '--saida' && i + 1 < argv.length) {
+            outputPath = argv[++i];
+        } else {
+            args.push(argv[i]);
+        }
+    }
     
-    if (args.length < 2) {
-        console.error('Uso: node sender.js <fifo_path> <entrada.pgm>');
+    // Com --lote, as entradas vêm dos arquivos de lote
+    const expectedArgs = batchPaths.length > 0 ? [1, 1] : [2, 3];
+    if (args.length < expectedArgs[0] || args.length > expectedArgs[1]) {
+        console.error('Uso: node sender.js <fifo_path> <entrada.pgm|ppm|pbm|bmp> [segunda_entrada] [--banda <linhas>] [--filtro <modo>[:p1:p2...]] [--opcao nome=valor]...');
+        console.error('     node sender.js <fifo_path> --lote <lote.json> [--lote <outro.json>]... [--banda <linhas>] [--filtro ...] [--opcao ...]');
+        console.error('     node sender.js <fifo_path> <entrada> [segunda_entrada] --resposta <fifo_resposta> --saida <arquivo> [...]');
         console.error('Exemplo: node sender.js /tmp/imgpipe input.pgm');
+        console.error('Exemplo: node sender.js /tmp/imgpipe antes.pgm depois.pgm   (operações entre imagens)');
+        console.error('Exemplo: node sender.js /tmp/imgpipe grande.pgm --banda 256   (P5/P6 lido em faixas)');
+        console.error('Exemplo: node sender.js /tmp/imgpipe input.pgm --filtro slice:50:200 --opcao slice=preservar   (worker sem modo)');
+        console.error('Exemplo: node sender.js /tmp/imgpipe --lote lote.json   (várias imagens na mesma conexão, um trabalho por arquivo)');
+        console.error('Exemplo: node sender.js /tmp/imgpipe input.pgm --resposta /tmp/imgresp --saida out.pgm   (o worker devolve a saída)');
+        console.error('Lote: [{"entrada": "a.pgm", "saida": "a_neg.pgm", "segunda": "b.pgm", "filtro": "slice", "parametros": [50, 200], "opcoes": {...}}]');
+        console.error(`Filtros do protocolo: ${PROTOCOL_FILTERS.join(', ')}`);
+        process.exit(1);
+    }
+    
+    if (!Number.isInteger(bandRows) || bandRows < 0) {
+        console.error('Tamanho de faixa inválido. Use um inteiro >= 1');
+        process.exit(1);
+    }
+    
+    // Canal de resposta: a saída é gravada pelo sender (--saida, ou "saida" em cada entrada do lote)
+    if (outputPath !== null && replyPath === null) {
+        console.error('Opção --saida requer --resposta (sem canal de resposta, quem grava a saída é o worker)');
+        process.exit(1);
+    }
+    if (replyPath !== null && batchPaths.length === 0 && outputPath === null) {
+        console.error('Opção --resposta requer --saida <arquivo> (onde gravar a imagem devolvida pelo worker)');
+        process.exit(1);
+    }
+    if (outputPath !== null && batchPaths.length > 0) {
+        console.error('Opção --saida não se aplica a --lote: use "saida" em cada entrada do lote');
+        process.exit(1);
+    }
+    if (replyPath !== null && path.resolve(replyPath) === path.resolve(args[0])) {
+        console.error('O FIFO de resposta deve ser diferente do FIFO de envio');
+        process.exit(1);
+    }
+    
+    // Filtro escolhido pelo sender: modo e parâmetros separados por ':' (como uma etapa de cadeia)
+    let filter = null;
+    if (filterSpec !== null) {
+        const [name, ...parametros] = filterSpec.split(':');
+        try {
+            filter = createFilter(name, parametros, filterOptions);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+    } else if (Object.keys(filterOptions).length > 0) {
+        console.error('Opção --opcao requer --filtro');
         process.exit(1);
     }
 
     return {
-        fifoPath: args[0],  // const char* fifo = argv[1];
-        inputPath: args[1]  // const char* inpath = argv[2];
+        fifoPath: args[0],        // const char* fifo = argv[1];
+        inputPaths: args.slice(1), // const char* inpath = argv[2]; (e a segunda imagem, se houver)
+        bandRows,                 // 0 = carrega a imagem inteira
+        filter,                   // { name, parametros, opcoes } ou null (o worker decide)
+        batchPaths,               // arquivos de lote (sessão com várias imagens)
+        replyPath,                // FIFO de resposta ou null (o worker grava a saída)
+        outputPath                // saída gravada pelo sender (só com --resposta, sem lote)
     };
 }
 
+/**
+ * Lê um arquivo de lote (um trabalho da sessão):
+ *   [{ "entrada": "a.pgm", "saida": "a_neg.pgm", "segunda": "b.pgm",
+ *      "filtro": "slice", "parametros": [50, 200], "opcoes": { "slice": "preservar" } }]
+ * "saida" é relativo ao diretório da saída do worker (com --resposta, é gravado pelo sender
+ * e obrigatório); "segunda" é a segunda imagem das operações entre imagens; sem "filtro",
+ * vale o --filtro da linha de comando (ou o do worker)
+ * Retorna { name, entries: [{ inputPaths, output, filter }] }
+ */
+function loadBatch(batchPath, defaultFilter, requireOutput = false) {
+    if (!fs.existsSync(batchPath)) {
+        throw new Error(`Arquivo de lote não encontrado: ${batchPath}`);
+    }
+    let list;
+    try {
+        list = JSON.parse(fs.readFileSync(batchPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Lote ${batchPath} com JSON inválido: ${error.message}`);
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Lote ${batchPath} deve ser uma lista não vazia de imagens`);
+    }
+    
+    const entries = list.map((entry, i) => {
+        const prefix = `Lote ${batchPath}, imagem ${i + 1}`;
+        if (!entry || typeof entry.entrada !== 'string') {
+            throw new Error(`${prefix}: campo "entrada" ausente`);
+        }
+        const inputPaths = entry.segunda !== undefined ? [entry.entrada, entry.segunda] : [entry.entrada];
+        for (const inputPath of inputPaths) {
+            if (typeof inputPath !== 'string' || !fs.existsSync(inputPath)) {
+                throw new Error(`${prefix}: arquivo de entrada não encontrado: ${inputPath}`);
+            }
+        }
+        if (entry.saida !== undefined && (typeof entry.saida !== 'string' || entry.saida === '')) {
+            throw new Error(`${prefix}: campo "saida" deve ser um nome de arquivo`);
+        }
+        if (requireOutput && entry.saida === undefined) {
+            throw new Error(`${prefix}: campo "saida" obrigatório com --resposta (o sender grava a imagem devolvida)`);
+        }
+        
+        let filter = defaultFilter;
+        if (entry.filtro !== undefined) {
+            try {
+                filter = createFilter(entry.filtro, entry.parametros || [], entry.opcoes || {});
+            } catch (error) {
+                throw new Error(`${prefix}: ${error.message}`);
+            }
+        } else if (entry.parametros !== undefined || entry.opcoes !== undefined) {
+            throw new Error(`${prefix}: "parametros" e "opcoes" requerem "filtro"`);
+        }
+        return { inputPaths, output: entry.saida, filter };
+    });
+    
+    return { name: path.basename(batchPath, path.extname(batchPath)), entries };
+}
+
 // ===== Passo 1) Garante a existência do FIFO (mkfifo se necessário) =====
 function ensureFifo(fifoPath) {
     // No Windows, usamos named pipes ou arquivos temporários
@@ -74,8 +243,21 @@ function ensureFifo(fifoPath) {
     }
 }
 
+// ===== Passo 3) Prepara cabeçalho =====
+// O filtro vai só no cabeçalho da primeira imagem; a segunda imagem (operações entre imagens) vai sem filtro
+function createHeader(image, filter, index) {
+    const header = new Header();
+    header.setImage(image); // w, h, maxv e formato dos pixels (1 = PGM, 3 = PPM)
+    if (filter && index === 0) {
+        header.setFilter(filter.name, filter.parametros, filter.opcoes);
+    }
+    return header;
+}
+
 // ===== Passos 4) e 5) Abre FIFO para escrita e envia cabeçalho + pixels =====
-async function sendImageData(fifoPath, pgm) {
+// images: uma imagem, ou duas nas operações entre imagens (enviadas em sequência)
+// filter: filtro escolhido pelo sender ({ name, parametros, opcoes }) ou null
+async function sendImageData(fifoPath, images, filter = null) {
     return new Promise((resolve, reject) => {
         console.log(`Abrindo FIFO para escrita: ${fifoPath}`);
         console.log('Aguardando worker abrir FIFO para leitura...');
@@ -86,26 +268,22 @@ async function sendImageData(fifoPath, pgm) {
         writeStream.on('open', () => {
             console.log('FIFO aberto para escrita, enviando dados...');
             
-            // 3) Prepara cabeçalho (mode/t1/t2 serão ignorados pelo worker;
-            // aqui enviamos apenas metadados da imagem)
-            const header = new Header();
-            header.w = pgm.w;
-            header.h = pgm.h;
-            header.maxv = pgm.maxv;
-            header.mode = 0; // Será ignorado pelo worker
-            header.t1 = 0;   // Será ignorado pelo worker
-            header.t2 = 0;   // Será ignorado pelo worker
-            
-            // 5) Envia cabeçalho + pixels
-            const headerBuffer = header.toBuffer();
-            writeStream.write(headerBuffer);
-            
-            console.log(`Cabeçalho enviado: ${pgm.w}x${pgm.h}, maxv=${pgm.maxv}`);
-            
-            // Envia dados dos pixels
-            writeStream.write(pgm.data);
-            
-            console.log(`Dados da imagem enviados: ${pgm.data.length} bytes`);
+            images.forEach((pgm, index) => {
+                // 3) Prepara cabeçalho
+                const header = createHeader(pgm, filter, index);
+                
+                // 5) Envia cabeçalho + parâmetros + pixels
+                const headerBuffer = header.toBuffer();
+                writeStream.write(headerBuffer);
+                
+                console.log(`Cabeçalho enviado: ${pgm.w}x${pgm.h}, maxv=${pgm.maxv}, canais=${pgm.channels}`);
+                
+                // Envia dados dos pixels (big-endian se 16 bits)
+                const pixelBuffer = samplesToBuffer(pgm.data, pgm.maxv);
+                writeStream.write(pixelBuffer);
+                
+                console.log(`Dados da imagem enviados: ${pixelBuffer.length} bytes`);
+            });
             
             // 6) Fecha FIFO
             writeStream.end();
@@ -123,26 +301,364 @@ async function sendImageData(fifoPath, pgm) {
     });
 }
 
+/**
+ * Abre o FIFO para escrita (bloqueia até o worker abrir para leitura)
+ * Retorna um FifoWriter (write e close respeitam o backpressure do FIFO)
+ */
+function openFifoWriter(fifoPath) {
+    console.log(`Abrindo FIFO para escrita: ${fifoPath}`);
+    console.log('Aguardando worker abrir FIFO para leitura...');
+    return new FifoWriter(fifoPath);
+}
+
+/**
+ * Envia cabeçalho + pixels de imagens abertas em faixas (readers com o cabeçalho já lido)
+ */
+async function sendBands(fifo, readers, infos, filter) {
+    for (let i = 0; i < readers.length; i++) {
+        const info = infos[i];
+        await fifo.write(createHeader(info, filter, i).toBuffer());
+        
+        let sentBytes = 0;
+        for await (const band of readers[i].bands()) {
+            const pixelBuffer = samplesToBuffer(band.data, info.maxv);
+            await fifo.write(pixelBuffer);
+            sentBytes += pixelBuffer.length;
+        }
+        console.log(`Dados da imagem enviados em faixas: ${sentBytes} bytes`);
+    }
+}
+
+/**
+ * Abre as imagens P5/P6 para leitura em faixas e lê os seus cabeçalhos
+ * Retorna { readers, infos }; os readers devem ser fechados por quem chamou
+ */
+async function openBandReaders(inputPaths, bandRows) {
+    const readers = inputPaths.map((inputPath) => createNetpbmBandReader(inputPath, bandRows));
+    const infos = [];
+    try {
+        for (const reader of readers) {
+            const info = await reader.readHeader();
+            console.log(`Imagem aberta em faixas de ${bandRows} linhas: ${info.w}x${info.h}, maxv=${info.maxv}, canais=${info.channels}`);
+            infos.push(info);
+        }
+    } catch (error) {
+        readers.forEach((reader) => reader.close());
+        throw error;
+    }
+    return { readers, infos };
+}
+
+// ===== Envio em faixas (streaming) - opção --banda =====
+// Lê o P5/P6 do disco em faixas de N linhas e repassa cada faixa ao FIFO,
+// sem carregar a imagem inteira na memória (as imagens de inputPaths seguem em sequência)
+async function sendImageStreaming(fifoPath, inputPaths, bandRows, filter = null) {
+    // Valida os cabeçalhos antes de bloquear no FIFO
+    const { readers, infos } = await openBandReaders(inputPaths, bandRows);
+    
+    try {
+        const fifo = openFifoWriter(fifoPath);
+        await sendBands(fifo, readers, infos, filter);
+        
+        // 6) Fecha FIFO
+        await fifo.close();
+        
+        console.log('Transmissão concluída com sucesso');
+    } finally {
+        readers.forEach((reader) => reader.close());
+    }
+}
+
+// ===== Sessão com várias imagens - opção --lote =====
+// Uma única conexão do FIFO: um trabalho por arquivo de lote (inicio-trabalho, um quadro
+// imagem por entrada, fim-trabalho) e o quadro encerrar no fim. Cada imagem só é lida do
+// disco na hora de ser enviada (inteira ou, com --banda, em faixas).
+// replyPath: FIFO de resposta anunciado em cada trabalho (ou null); sentTimes recebe o
+// instante em que cada imagem começou a ser enviada (tempo de ida e volta)
+async function sendSession(fifoPath, jobs, bandRows, replyPath = null, sentTimes = []) {
+    const fifo = openFifoWriter(fifoPath);
+    let sentImages = 0;
+    
+    for (const job of jobs) {
+        const jobMeta = { trabalho: job.name, imagens: job.entries.length };
+        if (replyPath !== null) {
+            // Caminho absoluto: o worker pode ter outro diretório de trabalho
+            jobMeta.resposta = path.resolve(replyPath);
+        }
+        await fifo.write(new Frame(FRAME_BEGIN_JOB, jobMeta).toBuffer());
+        console.log(`=== Trabalho ${job.name}: ${job.entries.length} imagem(ns) ===`);
+        
+        for (let i = 0; i < job.entries.length; i++) {
+            const { inputPaths, output, filter } = job.entries[i];
+            const meta = { imagens: inputPaths.length };
+            if (output !== undefined) {
+                // Com canal de resposta, a saída é gravada aqui: o worker só usa a extensão
+                // (formato) e o nome (relatórios), então vai só o nome do arquivo
+                meta.saida = replyPath !== null ? path.basename(output) : output;
+            }
+            sentTimes.push(Date.now());
+            
+            if (bandRows > 0) {
+                const { readers, infos } = await openBandReaders(inputPaths, bandRows);
+                try {
+                    await fifo.write(new Frame(FRAME_IMAGE, meta).toBuffer());
+                    await sendBands(fifo, readers, infos, filter);
+                } finally {
+                    readers.forEach((reader) => reader.close());
+                }
+            } else {
+                const images = inputPaths.map((inputPath) => readImage(inputPath));
+                await fifo.write(new Frame(FRAME_IMAGE, meta).toBuffer());
+                for (let j = 0; j < images.length; j++) {
+                    await fifo.write(createHeader(images[j], filter, j).toBuffer());
+                    await fifo.write(samplesToBuffer(images[j].data, images[j].maxv));
+                }
+            }
+            
+            sentImages++;
+            console.log(`Imagem ${i + 1}/${job.entries.length} enviada: ${inputPaths.join(' + ')}` +
+                `${output !== undefined ? ` -> ${output}` : ''}${filter ? ` (filtro ${filter.name})` : ''}`);
+        }
+        
+        await fifo.write(new Frame(FRAME_END_JOB, { trabalho: job.name }).toBuffer());
+    }
+    
+    // 6) Fecha a sessão e o FIFO
+    await fifo.write(new Frame(FRAME_CLOSE, {}).toBuffer());
+    await fifo.close();
+    console.log(`Sessão concluída: ${sentImages} imagem(ns) em ${jobs.length} trabalho(s)`);
+}
+
+// ===== Canal de resposta - opção --resposta =====
+// O worker devolve, na ordem de envio, cada imagem processada (cabeçalho + pixels) seguida
+// do quadro resultado com o status e os tempos; o sender grava a saída no seu disco ou
+// mostra o erro. O quadro encerrar fecha o canal (com "erro" se o worker interrompeu a sessão).
+
+/**
+ * Recebe a imagem devolvida pelo worker: inteira na memória ou, com --banda, gravada
+ * em faixas direto em outputPath (P5/P6)
+ * Retorna { image } ou { writtenPath }
+ */
+async function receiveOutput(reader, outputPath, bandRows) {
+    const { w, h, maxv, channels } = await reader.readHeader();
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    
+    if (bandRows > 0) {
+        const writer = new NetpbmBandWriter(outputPath, { w, h, maxv, channels });
+        for await (const band of reader.bands()) {
+            await writer.writeBand(band.data);
+        }
+        await writer.close();
+        return { writtenPath: outputPath };
+    }
+    
+    const band = await reader.nextBand(h);
+    const samples = band ? band.data : samplesFromBuffer(Buffer.alloc(0), 0, maxv);
+    return { image: channels === 3 ? new PPM(w, h, maxv, samples) : new PGM(w, h, maxv, samples) };
+}
+
+/**
+ * Grava a saída no formato e na codificação escolhidos pelo worker
+ * (recebida em faixas, ela já está no disco como P5/P6 binário e só é convertida se preciso)
+ * e o relatório dos componentes, se veio no quadro resultado, ao lado dela (<saída>.json)
+ */
+function saveOutput(outputPath, received, status) {
+    const options = { format: status.formato, encoding: status.codificacao };
+    if (received.image) {
+        writeImage(outputPath, received.image, options);
+    } else if (options.format !== 'pgm' || options.encoding !== PGM_ENCODING_BINARY) {
+        writeImage(outputPath, readImage(outputPath), options);
+    }
+    
+    if (status.relatorio) {
+        const reportPath = path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.json`);
+        fs.writeFileSync(reportPath, JSON.stringify(status.relatorio, null, 2));
+        console.log(`Relatório de ${status.relatorio.regioes_encontradas} regiões salvo em ${reportPath}`);
+    }
+}
+
+/**
+ * Espera a abertura do canal de resposta pelo worker
+ * Lança Error se ele não o abrir em REPLY_OPEN_TIMEOUT_MS
+ */
+function waitReplyChannel(stream, replyPath) {
+    if (!stream.pending) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            stream.off('open', onOpen);
+            // A abertura pendente prende uma thread do Node (e o processo não termina):
+            // abrir e fechar a outra ponta do FIFO a libera
+            try {
+                fs.closeSync(fs.openSync(replyPath, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK));
+            } catch (error) {
+                // ninguém esperando na abertura
+            }
+            reject(new Error(`O worker não abriu o canal de resposta ${replyPath} em ${REPLY_OPEN_TIMEOUT_MS / 1000}s ` +
+                'após receber a sessão (ele terminou com erro? veja a saída do worker)'));
+        }, REPLY_OPEN_TIMEOUT_MS);
+        const onOpen = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        stream.once('open', onOpen);
+    });
+}
+
+/**
+ * Lê o canal de resposta até o quadro encerrar
+ * entries: imagens enviadas, na ordem da sessão; retorna o status de cada uma
+ */
+async function receiveResults(reader, entries, bandRows, sentTimes) {
+    const results = [];
+    let received = null; // imagem que precede o quadro resultado
+    
+    try {
+        for (;;) {
+            const entry = entries[results.length];
+            if (await reader.peekMagic() === PROTOCOL_MAGIC) {
+                if (!entry || received) {
+                    throw new Error('Canal de resposta: imagem sem o quadro resultado correspondente');
+                }
+                received = await receiveOutput(reader, entry.output, bandRows);
+                continue;
+            }
+            
+            let frame;
+            try {
+                frame = await reader.readFrame();
+            } catch (error) {
+                throw new Error(`Canal de resposta: ${error.message} (o worker terminou antes de enviar todos os resultados?)`);
+            }
+            
+            if (frame.type === FRAME_CLOSE) {
+                if (frame.meta.erro !== undefined) {
+                    throw new Error(`Worker interrompeu a sessão: ${frame.meta.erro}`);
+                }
+                if (results.length !== entries.length) {
+                    throw new Error(`Canal de resposta encerrado com ${results.length} de ${entries.length} resultado(s)`);
+                }
+                return results;
+            }
+            if (frame.type !== FRAME_RESULT) {
+                throw new Error(`Quadro ${frame.getTypeName()} inesperado no canal de resposta`);
+            }
+            
+            const status = frame.meta;
+            if (!entry || status.indice !== results.length + 1) {
+                throw new Error(`Resultado fora de ordem no canal de resposta: imagem ${status.indice}, esperada ${results.length + 1}`);
+            }
+            const position = `${results.length + 1}/${entries.length}`;
+            const roundTrip = Date.now() - sentTimes[results.length];
+            
+            if (status.status === 'ok') {
+                if (!received) {
+                    throw new Error(`Resultado ${position} sem a imagem processada no canal de resposta`);
+                }
+                saveOutput(entry.output, received, status);
+                console.log(`Resultado ${position}: ok -> ${entry.output} (worker ${status.tempo_ms}ms` +
+                    `${status.processamento_ms !== undefined ? `, processamento ${status.processamento_ms}ms` : ''}, ida e volta ${roundTrip}ms)`);
+            } else {
+                console.error(`Resultado ${position}: ERRO - ${status.erro} (${entry.inputPaths.join(' + ')})`);
+            }
+            received = null;
+            results.push(status);
+        }
+    } finally {
+        reader.close();
+    }
+}
+
+/**
+ * Envia a sessão e recebe os resultados ao mesmo tempo (o worker devolve cada imagem
+ * enquanto o sender ainda envia as próximas); lança Error se alguma imagem falhou
+ */
+async function processRemotely(fifoPath, replyPath, jobs, bandRows) {
+    const entries = jobs.flatMap((job) => job.entries);
+    const sentTimes = [];
+    
+    console.log(`Aguardando resultados no canal de resposta: ${replyPath}`);
+    const replyStream = fs.createReadStream(replyPath);
+    const reader = new ImageBandReader(replyStream, bandRows > 0 ? bandRows : 1, 'fifo');
+    const [, results] = await Promise.all([
+        sendSession(fifoPath, jobs, bandRows, replyPath, sentTimes).then(() => waitReplyChannel(replyStream, replyPath)),
+        receiveResults(reader, entries, bandRows, sentTimes)
+    ]);
+    
+    const failed = results.filter((result) => result.status !== 'ok').length;
+    console.log(`Resultados recebidos: ${results.length - failed} ok, ${failed} com erro`);
+    if (failed > 0) {
+        throw new Error(`${failed} de ${results.length} imagem(ns) com erro no worker`);
+    }
+}
+
 // ===== Função main equivalente ao main_sender do código C =====
 async function main() {
     try {
         console.log('=== PROCESSO EMISSOR ===');
         
         // parse_args_or_exit();
-        const { fifoPath, inputPath } = parseArgs();
+        const { fifoPath, inputPaths, bandRows, filter, batchPaths, replyPath, outputPath } = parseArgs();
         
         console.log(`FIFO: ${fifoPath}`);
-        console.log(`Entrada: ${inputPath}`);
+        if (batchPaths.length > 0) {
+            console.log(`Lote(s): ${batchPaths.join(', ')}`);
+        } else {
+            console.log(`Entrada: ${inputPaths[0]}`);
+        }
+        if (inputPaths.length > 1) {
+            console.log(`Segunda entrada: ${inputPaths[1]}`);
+        }
+        if (replyPath !== null) {
+            console.log(`Canal de resposta: ${replyPath}${outputPath !== null ? ` (saída: ${outputPath})` : ''}`);
+        }
+        if (filter) {
+            console.log(`Filtro enviado no cabeçalho: ${[filter.name, ...filter.parametros].join(':')}` +
+                Object.entries(filter.opcoes).map(([name, value]) => ` --${name} ${value}`).join(''));
+        }
+        
+        // Lotes validados antes de bloquear no FIFO
+        const jobs = batchPaths.map((batchPath) => loadBatch(batchPath, filter, replyPath !== null));
+        
+        // Com canal de resposta, uma imagem avulsa vira uma sessão de um trabalho
+        if (replyPath !== null && jobs.length === 0) {
+            jobs.push({
+                name: path.basename(inputPaths[0], path.extname(inputPaths[0])),
+                entries: [{ inputPaths, output: outputPath, filter }]
+            });
+        }
         
         // 1) Garante a existência do FIFO (mkfifo se necessário)
         ensureFifo(fifoPath);
+        if (replyPath !== null) {
+            ensureFifo(replyPath);
+        }
+        
+        if (replyPath !== null) {
+            await processRemotely(fifoPath, replyPath, jobs, bandRows);
+            console.log('Processo emissor finalizado');
+            return;
+        }
+        
+        if (jobs.length > 0) {
+            await sendSession(fifoPath, jobs, bandRows);
+            console.log('Processo emissor finalizado');
+            return;
+        }
+        
+        if (bandRows > 0) {
+            await sendImageStreaming(fifoPath, inputPaths, bandRows, filter);
+            console.log('Processo emissor finalizado');
+            return;
+        }
         
-        // 2) Lê a imagem PGM (P5) do disco
-        console.log('Carregando imagem PGM...');
-        const pgm = readPGM(inputPath);
+        // 2) Lê a imagem PGM (P5/P2), PPM (P6/P3), PBM (P4/P1) ou BMP do disco
+        console.log('Carregando imagem...');
+        const images = inputPaths.map((inputPath) => readImage(inputPath));
         
         // 3), 4), 5), 6) Transmite via FIFO
-        await sendImageData(fifoPath, pgm);
+        await sendImageData(fifoPath, images, filter);
         
         // 7) Fim
         console.log('Processo emissor finalizado');
@@ -0,0 +1,194 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { CompletionCoordinator } = require('./sync-utils');
+const { TASK_PHASE_FILTER } = require('./pgm-utils');
+
+/* ===== POOL DE THREADS PERSISTENTE ===== */
+// Equivalente ao conjunto de pthreads criado uma única vez no main_worker do código C:
+//  for (i = 0; i < nthreads; i++) pthread_create(&th[i], NULL, worker_thread, NULL);
+//  ... várias rodadas de enqueue(task) + sem_wait(sem_done) ...
+//  for (i = 0; i < nthreads; i++) pthread_join(th[i], NULL);
+//
+// As threads recebem a configuração do filtro via workerData na criação; configure()
+// a substitui entre rodadas, o que permite aplicar uma cadeia de filtros com as mesmas threads.
+// Os buffers (SharedArrayBuffer) de cada rodada viajam junto com as tarefas, o que
+// permite reaproveitar as mesmas threads para várias faixas de linhas da imagem e
+// para filtros de várias fases (ex.: histograma parcial e depois aplicação da LUT).
+class ThreadPool {
+    constructor(nthreads, config) {
+        this.nthreads = nthreads;
+        this.workers = [];
+        this.currentRun = null; // rodada de tarefas em andamento
+        this.terminating = false;
+        this.pendingError = null; // falha ocorrida fora de uma rodada
+
+        console.log(`Iniciando ${nthreads} worker threads...`);
+
+        for (let i = 0; i < nthreads; i++) {
+            // Cria worker thread (equivalente a pthread_create)
+            const worker = new Worker(path.join(__dirname, 'worker-thread.js'), {
+                workerData: { ...config, threadId: i }
+            });
+
+            worker.on('message', (message) => this._onMessage(message));
+
+            worker.on('error', (error) => {
+                this._fail(error);
+            });
+
+            worker.on('exit', (code) => {
+                if (!this.terminating) {
+                    this._fail(new Error(`Worker ${i} saiu com código ${code} antes de completar tarefa`));
+                }
+            });
+
+            this.workers.push(worker);
+        }
+    }
+
+    _onMessage(message) {
+        const run = this.currentRun;
+        if (!run) {
+            return;
+        }
+
+        if (message.type === 'TASK_COMPLETED') {
+            if (run.totals) {
+                const total = run.totals.get(message.threadId) || { tasks: 0, pixels: 0 };
+                total.tasks++;
+                total.pixels += message.processedPixels;
+                run.totals.set(message.threadId, total);
+            } else {
+                console.log(`Thread ${message.threadId} concluiu tarefa (${message.processedPixels} pixels)`);
+            }
+            run.results[message.taskIndex] = message.result;
+            // Equivalente a decrementar remaining_tasks e sinalizar sem_done
+            run.coordinator.taskCompleted();
+        } else if (message.type === 'TASK_ERROR') {
+            console.error(`Thread ${message.threadId} erro: ${message.error}`);
+            this._fail(new Error(message.error));
+        }
+    }
+
+    _fail(error) {
+        if (this.currentRun) {
+            this.currentRun.reject(error);
+        } else {
+            this.pendingError = error;
+        }
+    }
+
+    /**
+     * Troca a configuração do filtro em todas as threads (ex.: próxima etapa de uma cadeia)
+     * Cada worker processa suas mensagens em ordem, então a nova configuração vale para
+     * todas as tarefas enviadas depois; não deve ser chamado durante uma rodada
+     */
+    configure(config) {
+        if (this.currentRun) {
+            throw new Error('Configuração do pool alterada durante uma rodada de tarefas');
+        }
+        for (let i = 0; i < this.nthreads; i++) {
+            this.workers[i].postMessage({ type: 'CONFIGURE', config: { ...config, threadId: i } });
+        }
+    }
+
+    /**
+     * Executa um conjunto de tarefas e aguarda a conclusão de todas (uma rodada)
+     * buffers: { sharedInputBuffer, sharedOutputBuffer, ... } usados por todas as tarefas da rodada
+     * phase: fase executada pelas threads (TASK_PHASE_*)
+     * params: parâmetros do filtro calculados durante o job (ex.: { t1, t2 } automáticos)
+     * Retorna o resultado de cada tarefa, na ordem das tarefas
+     */
+    async runTasks(tasks, buffers, phase = TASK_PHASE_FILTER, params = {}) {
+        if (this.pendingError) {
+            throw this.pendingError;
+        }
+        if (tasks.length === 0) {
+            return [];
+        }
+
+        // Coordenador de conclusão (equivalente a remaining_tasks e sem_done)
+        const coordinator = new CompletionCoordinator(tasks.length);
+        const results = new Array(tasks.length);
+
+        // Muitas tarefas por thread (ex.: uma por linha no pontilhado): em vez de uma linha
+        // de log por tarefa, um resumo por thread no fim da rodada
+        const totals = tasks.length > this.nthreads ? new Map() : null;
+
+        const failure = new Promise((resolve, reject) => {
+            this.currentRun = { coordinator, reject, results, totals };
+        });
+
+        // Distribui tarefas para os workers (equivalente a enqueue na fila de tarefas)
+        for (let i = 0; i < tasks.length; i++) {
+            this.workers[i % this.nthreads].postMessage({
+                type: 'PROCESS_TASK',
+                task: tasks[i],
+                taskIndex: i,
+                phase,
+                params,
+                buffers
+            });
+        }
+
+        try {
+            // Aguarda término de todas as tarefas (sem_wait(sem_done)) ou a primeira falha
+            await Promise.race([coordinator.waitForCompletion(), failure]);
+        } finally {
+            this.currentRun = null;
+        }
+
+        if (totals) {
+            for (const [threadId, { tasks: count, pixels }] of [...totals].sort((a, b) => a[0] - b[0])) {
+                console.log(`Thread ${threadId} concluiu ${count} tarefas (${pixels} pixels)`);
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Executa passadas dependentes com uma barreira entre elas: a passada seguinte só
+     * começa depois que todas as tarefas da anterior terminaram, sobre as mesmas threads
+     * passes: [{ tasks, buffers, phase, params }]
+     * Retorna os resultados de cada passada
+     */
+    async runPasses(passes) {
+        const results = [];
+        
+        for (let i = 0; i < passes.length; i++) {
+            const { tasks, buffers, phase = TASK_PHASE_FILTER, params = {} } = passes[i];
+            results.push(await this.runTasks(tasks, buffers, phase, params));
+            
+            if (i < passes.length - 1) {
+                console.log(`Barreira: passada ${i + 1}/${passes.length} concluída por todas as threads`);
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Termina todas as threads (equivalente a pthread_join)
+     */
+    async terminate() {
+        console.log('Terminando worker threads...');
+        this.terminating = true;
+
+        for (const worker of this.workers) {
+            worker.postMessage({ type: 'TERMINATE' });
+        }
+
+        // Aguarda um pouco para que os workers processem a mensagem TERMINATE
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        // Força o término se necessário
+        for (const worker of this.workers) {
+            await worker.terminate();
+        }
+    }
+}
+
+module.exports = {
+    ThreadPool
+};
@@ -1,5 +1,16 @@
 const { parentPort, workerData } = require('worker_threads');
-const { applyFilter } = require('./filters');
+const { applyFilter, computeHistogramBlock } = require('./filters');
+const { loadFilterModule } = require('./filter-registry');
+const { labelComponentsBlock, computeRegionStatsBlock, relabelBlock } = require('./components');
+const { smoothBlock, gradientBlock, suppressBlock, hysteresisBlock, edgesToImageBlock } = require('./canny');
+const { diffuseRow } = require('./dither');
+const { integralBlock, integralFixupBlock, adaptiveThresholdBlock } = require('./adaptive');
+const {
+    createSampleView, bytesPerSample, TASK_PHASE_FILTER, TASK_PHASE_HISTOGRAM,
+    TASK_PHASE_LABEL, TASK_PHASE_REGION_STATS, TASK_PHASE_RELABEL,
+    TASK_PHASE_SMOOTH, TASK_PHASE_GRADIENT, TASK_PHASE_SUPPRESS, TASK_PHASE_HYSTERESIS, TASK_PHASE_EDGES, TASK_PHASE_DIFFUSE,
+    TASK_PHASE_INTEGRAL, TASK_PHASE_INTEGRAL_FIXUP, TASK_PHASE_ADAPTIVE
+} = require('./pgm-utils');
 
 /* ===== Equivalente à função void* worker_thread(void* arg) do código C ===== */
 // void* worker_thread(void* arg) {
@@ -15,50 +26,263 @@ const { applyFilter } = require('./filters');
 // PGM g_in, g_out;
 // int g_mode; // MODE_NEG ou MODE_SLICE
 // int g_t1, g_t2;
-const {
-    inputBuffer,        // equivalente a g_in.data
-    sharedOutputBuffer, // SharedArrayBuffer compartilhado
-    width,              // g_in.w
+// A configuração do filtro chega via workerData e pode ser trocada entre rodadas
+// (mensagem CONFIGURE, ex.: próxima etapa de uma cadeia de filtros); os buffers
+// g_in.data e g_out.data chegam com cada tarefa, pois o pool pode processar várias faixas da imagem.
+let width,              // g_in.w
     height,             // g_in.h
     mode,               // g_mode
     t1,                 // g_t1
     t2,                 // g_t2
     maxValue,           // g_in.maxv
-    threadId            // identificador da thread
-} = workerData;
+    channels,           // 1 = cinza, 3 = RGB
+    colorMode,          // filtragem por canal ou pela luminância
+    kernel,             // kernel da convolução (MODE_CONVOLVE)
+    border,             // modo de borda dos filtros de vizinhança
+    slice,              // variante, faixa invertida, destaque e fundo do slice
+    neighborhood,       // elemento estruturante e passadas dos filtros de ordem/morfologia
+    geometry,           // dimensões da saída e mapeamento inverso das transformações geométricas
+    plugin,             // filtro externo: { name, module, params, radius }
+    components,         // componentes conexos: { connectivity, range, minArea }
+    arithmetic,         // operação entre imagens: { operation, alpha, secondMaxValue, secondChannels }
+    canny,              // detector de Canny: { low, high, sigma, weights, radius }
+    dither,             // pontilhado: { method, bayerSize } ou { method, sources, divisor, lag, rowsAbove }
+    adaptive;           // limiar adaptativo: { method, window, radius, k }
+const { threadId } = workerData; // identificador da thread
+
+/**
+ * Atualiza as variáveis globais do filtro (equivalente a reatribuir g_mode, g_t1, ... entre rodadas)
+ */
+function configure(config) {
+    ({ width, height, mode, t1, t2, maxValue, channels, colorMode, kernel, border, slice, neighborhood, geometry, plugin, components, arithmetic, canny, dither, adaptive } = config);
+    
+    // Filtros externos: carrega o módulo do plugin no registro desta thread
+    if (plugin) {
+        loadFilterModule(plugin.module);
+    }
+}
 
-// Cria view do SharedArrayBuffer para esta thread
-const outputBuffer = new Uint8Array(sharedOutputBuffer);
+configure(workerData);
 
 console.log(`Worker ${threadId} iniciado`);
 
+/**
+ * Fase TASK_PHASE_FILTER: aplica o filtro no bloco de linhas
+ * Retorna o número de pixels processados
+ */
+function runFilterPhase(task, buffers, params, inputBuffer, inputRowOffset, outputRowOffset) {
+    const { row_start, row_end } = task;
+    
+    // Parâmetros definidos só durante o job (ex.: limiares automáticos do slice) substituem os do workerData
+    const roundT1 = params.t1 !== undefined ? params.t1 : t1;
+    const roundT2 = params.t2 !== undefined ? params.t2 : t2;
+    const operation = params.operation; // operação da passada (filtros de várias passadas)
+    const outputBuffer = createSampleView(buffers.sharedOutputBuffer, maxValue); // g_out.data
+    
+    // Tabela de consulta compartilhada (montada pela thread principal entre as fases)
+    const lut = buffers.sharedLutBuffer ? createSampleView(buffers.sharedLutBuffer, maxValue) : null;
+    
+    // Segunda imagem das operações entre imagens (inteira, com a sua própria profundidade)
+    const second = buffers.sharedSecondBuffer ? createSampleView(buffers.sharedSecondBuffer, arithmetic.secondMaxValue) : null;
+    
+    // ===== Aplica o filtro no bloco de linhas =====
+    // Equivalente a chamar apply_negative_block() ou apply_slice_block()
+    // baseado no g_mode
+    const processedPixels = applyFilter(
+        inputBuffer,    // g_in.data
+        outputBuffer,   // g_out.data
+        width,          // g_in.w
+        row_start,      // rs
+        row_end,        // re
+        mode,           // g_mode
+        roundT1,        // g_t1
+        roundT2,        // g_t2
+        maxValue,       // g_in.maxv
+        channels,       // canais da imagem
+        colorMode,      // modo de cor
+        { kernel, border, height, lut, slice, neighborhood, operation, geometry, plugin, arithmetic, second, dither, inputRowOffset, outputRowOffset }
+    );
+    
+    console.log(`Worker ${threadId} processou ${processedPixels} pixels`);
+    return { processedPixels };
+}
+
+/**
+ * Fase TASK_PHASE_HISTOGRAM: calcula o histograma parcial do bloco de linhas
+ */
+function runHistogramPhase(task, inputBuffer, inputRowOffset) {
+    const { row_start, row_end } = task;
+    const histogram = computeHistogramBlock(
+        inputBuffer, width, row_start - inputRowOffset, row_end - inputRowOffset, maxValue, channels, colorMode
+    );
+    
+    console.log(`Worker ${threadId} calculou histograma parcial das linhas ${row_start}-${row_end}`);
+    return { processedPixels: (row_end - row_start) * width, histogram };
+}
+
+/**
+ * Fases dos componentes conexos: rótulos provisórios, estatísticas parciais e rótulos finais
+ * Os rótulos ficam em buffers.sharedLabelBuffer (Int32Array da imagem inteira)
+ */
+function runComponentsPhase(phase, task, buffers, params, inputBuffer, inputRowOffset, outputRowOffset) {
+    const { row_start, row_end } = task;
+    const labels = new Int32Array(buffers.sharedLabelBuffer);
+    
+    switch (phase) {
+        case TASK_PHASE_LABEL: {
+            const regions = labelComponentsBlock(
+                inputBuffer, labels, width, row_start, row_end, components.connectivity, components.range, inputRowOffset
+            );
+            console.log(`Worker ${threadId} rotulou ${regions} regiões nas linhas ${row_start}-${row_end}`);
+            return { processedPixels: (row_end - row_start) * width, regions };
+        }
+        case TASK_PHASE_REGION_STATS: {
+            const stats = computeRegionStatsBlock(inputBuffer, labels, width, row_start, row_end, params.merge, inputRowOffset);
+            return { processedPixels: (row_end - row_start) * width, stats };
+        }
+        default: {
+            // Rótulos finais: a saída usa 8 ou 16 bits conforme o número de regiões
+            const outputBuffer = createSampleView(buffers.sharedOutputBuffer, params.outputMaxValue);
+            const processedPixels = relabelBlock(
+                labels, outputBuffer, width, row_start, row_end, params.merge, params.finalLabels, outputRowOffset
+            );
+            return { processedPixels };
+        }
+    }
+}
+
+/**
+ * Estágios do Canny: cada um lê o buffer compartilhado do estágio anterior (imagem inteira)
+ * smooth e magnitude: Float32Array; direction e edges: Uint8Array
+ */
+function runCannyPhase(phase, task, buffers, params, inputBuffer, outputRowOffset) {
+    const { row_start, row_end } = task;
+    const smooth = new Float32Array(buffers.sharedSmoothBuffer);
+    const magnitude = new Float32Array(buffers.sharedMagnitudeBuffer);
+    const direction = new Uint8Array(buffers.sharedDirectionBuffer);
+    const edges = new Uint8Array(buffers.sharedEdgeBuffer);
+    const pixels = (row_end - row_start) * width;
+    
+    switch (phase) {
+        case TASK_PHASE_SMOOTH:
+            return { processedPixels: smoothBlock(inputBuffer, smooth, width, height, row_start, row_end, canny.weights, border) };
+        case TASK_PHASE_GRADIENT:
+            return { processedPixels: gradientBlock(smooth, magnitude, direction, width, height, row_start, row_end, border) };
+        case TASK_PHASE_SUPPRESS: {
+            const { strong, weak } = suppressBlock(magnitude, direction, edges, width, height, row_start, row_end, canny.low, canny.high);
+            console.log(`Worker ${threadId}: ${strong} bordas fortes e ${weak} fracas nas linhas ${row_start}-${row_end}`);
+            return { processedPixels: pixels, strong, weak };
+        }
+        case TASK_PHASE_HYSTERESIS: {
+            const promoted = hysteresisBlock(edges, width, height, row_start, row_end, params.fromSeams);
+            return { processedPixels: pixels, promoted };
+        }
+        default: {
+            const outputBuffer = createSampleView(buffers.sharedOutputBuffer, maxValue);
+            return { processedPixels: edgesToImageBlock(edges, outputBuffer, width, row_start, row_end, maxValue, outputRowOffset) };
+        }
+    }
+}
+
+/**
+ * Fase TASK_PHASE_DIFFUSE: difusão de erro de uma linha (task.row_start)
+ * Bloqueia (Atomics.wait) até as linhas de cima, de outras threads, avançarem o suficiente
+ * errors: Float64Array do erro de cada amostra; progress: Int32Array de colunas concluídas por linha
+ */
+function runDiffusePhase(task, buffers, inputBuffer) {
+    const outputBuffer = createSampleView(buffers.sharedOutputBuffer, maxValue);
+    const errors = new Float64Array(buffers.sharedErrorBuffer);
+    const progress = new Int32Array(buffers.sharedProgressBuffer);
+    
+    const processedPixels = diffuseRow(inputBuffer, outputBuffer, errors, progress, width, task.row_start, dither, maxValue, channels);
+    return { processedPixels };
+}
+
+/**
+ * Fases do limiar adaptativo: somas acumuladas (r e r²) da imagem inteira em
+ * buffers.sharedSumBuffer e buffers.sharedSquareBuffer (Float64Array)
+ */
+function runAdaptivePhase(phase, task, buffers, params, inputBuffer, outputRowOffset) {
+    const { row_start, row_end } = task;
+    const sums = new Float64Array(buffers.sharedSumBuffer);
+    const squares = new Float64Array(buffers.sharedSquareBuffer);
+    
+    switch (phase) {
+        case TASK_PHASE_INTEGRAL:
+            return { processedPixels: integralBlock(inputBuffer, sums, squares, width, row_start, row_end) };
+        case TASK_PHASE_INTEGRAL_FIXUP: {
+            // Transporte desta faixa (montado pela thread principal)
+            const carry = params.carries.find((entry) => entry.rowStart === row_start);
+            return { processedPixels: integralFixupBlock(sums, squares, width, row_start, row_end, carry) };
+        }
+        default: {
+            const outputBuffer = createSampleView(buffers.sharedOutputBuffer, maxValue);
+            const processedPixels = adaptiveThresholdBlock(
+                inputBuffer, sums, squares, outputBuffer, width, height, row_start, row_end, adaptive, maxValue, outputRowOffset
+            );
+            console.log(`Worker ${threadId} limiarizou ${processedPixels} pixels (janela ${adaptive.window}x${adaptive.window})`);
+            return { processedPixels };
+        }
+    }
+}
+
 // ===== Loop principal da thread - equivalente ao while(1) do código C =====
 // Escuta por tarefas do thread principal (substitui a fila de tarefas)
 parentPort.on('message', async (message) => {
-    const { type, task } = message;
+    const { type, task, taskIndex, buffers, phase = TASK_PHASE_FILTER, params = {} } = message;
     
     if (type === 'PROCESS_TASK') {
         try {
-            const { row_start, row_end } = task; // Task com row_start e row_end
+            // Cria view do SharedArrayBuffer de entrada da rodada (8 ou 16 bits conforme maxv)
+            const inputBuffer = createSampleView(buffers.sharedInputBuffer, maxValue); // g_in.data
             
-            console.log(`Worker ${threadId} processando linhas ${row_start}-${row_end}`);
+            const { row_start, row_end, halo_start, halo_end } = task; // Task com row_start e row_end
             
-            // ===== Aplica o filtro no bloco de linhas =====
-            // Equivalente a chamar apply_negative_block() ou apply_slice_block()
-            // baseado no g_mode
-            const processedPixels = applyFilter(
-                inputBuffer,    // g_in.data
-                outputBuffer,   // g_out.data
-                width,          // g_in.w
-                row_start,      // rs
-                row_end,        // re
-                mode,           // g_mode
-                t1,             // g_t1
-                t2,             // g_t2
-                maxValue        // g_in.maxv
-            );
+            // Linha da imagem no início de cada buffer (diferente de 0 no processamento em faixas)
+            const { inputRowOffset = 0, outputRowOffset = 0 } = buffers;
+            
+            // O buffer de entrada precisa conter todo o halo da tarefa (linhas vizinhas)
+            const inputRows = buffers.sharedInputBuffer.byteLength / (width * channels * bytesPerSample(maxValue));
+            if (halo_start < inputRowOffset || halo_end > inputRowOffset + inputRows) {
+                throw new Error(`Buffer de entrada (linhas ${inputRowOffset}-${inputRowOffset + inputRows}) não cobre o halo ${halo_start}-${halo_end}`);
+            }
+            
+            // A difusão tem uma tarefa por linha: o resumo por thread sai do pool ao fim da rodada
+            if (phase !== TASK_PHASE_DIFFUSE) {
+                console.log(`Worker ${threadId} processando linhas ${row_start}-${row_end} (fase ${phase})`);
+            }
             
-            console.log(`Worker ${threadId} processou ${processedPixels} pixels`);
+            let result;
+            switch (phase) {
+                case TASK_PHASE_FILTER:
+                    result = runFilterPhase(task, buffers, params, inputBuffer, inputRowOffset, outputRowOffset);
+                    break;
+                case TASK_PHASE_HISTOGRAM:
+                    result = runHistogramPhase(task, inputBuffer, inputRowOffset);
+                    break;
+                case TASK_PHASE_LABEL:
+                case TASK_PHASE_REGION_STATS:
+                case TASK_PHASE_RELABEL:
+                    result = runComponentsPhase(phase, task, buffers, params, inputBuffer, inputRowOffset, outputRowOffset);
+                    break;
+                case TASK_PHASE_SMOOTH:
+                case TASK_PHASE_GRADIENT:
+                case TASK_PHASE_SUPPRESS:
+                case TASK_PHASE_HYSTERESIS:
+                case TASK_PHASE_EDGES:
+                    result = runCannyPhase(phase, task, buffers, params, inputBuffer, outputRowOffset);
+                    break;
+                case TASK_PHASE_DIFFUSE:
+                    result = runDiffusePhase(task, buffers, inputBuffer);
+                    break;
+                case TASK_PHASE_INTEGRAL:
+                case TASK_PHASE_INTEGRAL_FIXUP:
+                case TASK_PHASE_ADAPTIVE:
+                    result = runAdaptivePhase(phase, task, buffers, params, inputBuffer, outputRowOffset);
+                    break;
+                default:
+                    throw new Error(`Fase de tarefa inválida: ${phase}`);
+            }
             
             // ===== Notifica conclusão da tarefa =====
             // Equivalente a decrementar remaining_tasks e sinalizar sem_done
@@ -66,7 +290,10 @@ parentPort.on('message', async (message) => {
                 type: 'TASK_COMPLETED',
                 threadId,
                 task,
-                processedPixels
+                taskIndex,
+                phase,
+                processedPixels: result.processedPixels,
+                result
             });
             
         } catch (error) {
@@ -75,9 +302,14 @@ parentPort.on('message', async (message) => {
                 type: 'TASK_ERROR',
                 threadId,
                 task,
+                taskIndex,
+                phase,
                 error: error.message
             });
         }
+    } else if (type === 'CONFIGURE') {
+        configure(message.config);
+        console.log(`Worker ${threadId} reconfigurado (modo ${mode})`);
     } else if (type === 'TERMINATE') {
         console.log(`Worker ${threadId} terminando`);
         process.exit(0); // return NULL; equivalente
@@ -2,10 +2,31 @@
 
 const fs = require('fs');
 const path = require('path');
-const { Worker } = require('worker_threads');
-const { PGM, Header, Task, MODE_NEG, MODE_SLICE, writePGM } = require('./pgm-utils');
-const { TaskQueue, CompletionCoordinator } = require('./sync-utils');
-const { validateSliceParams } = require('./filters');
+const {
+    PGM, PPM, Task, MODE_NEG, MODE_SLICE, MODE_CONVOLVE, MODE_EQUALIZE,
+    MODE_GAMMA, MODE_LOG, MODE_STRETCH, MODE_BITPLANE, MODE_RANK, MODE_MORPHOLOGY, MODE_GEOMETRY, MODE_PLUGIN, MODE_COMPONENTS, MODE_ARITHMETIC, MODE_CANNY, MODE_DITHER, MODE_ADAPTIVE, BORDER_WRAP,
+    TASK_PHASE_FILTER, TASK_PHASE_HISTOGRAM, TASK_PHASE_LABEL, TASK_PHASE_REGION_STATS, TASK_PHASE_RELABEL,
+    TASK_PHASE_SMOOTH, TASK_PHASE_GRADIENT, TASK_PHASE_SUPPRESS, TASK_PHASE_HYSTERESIS, TASK_PHASE_EDGES, TASK_PHASE_DIFFUSE,
+    TASK_PHASE_INTEGRAL, TASK_PHASE_INTEGRAL_FIXUP, TASK_PHASE_ADAPTIVE, SLICE_BINARY, SLICE_PRESERVE,
+    COLOR_MODE_CHANNELS, COLOR_MODE_LUMA, COLOR_MODE_LUMA_COLOR,
+    PGM_ENCODING_BINARY, PGM_ENCODING_ASCII, Header, Frame, FRAME_BEGIN_JOB, FRAME_IMAGE, FRAME_END_JOB, FRAME_CLOSE, FRAME_RESULT,
+    MAX_VALUE_16BIT, bytesPerSample, createSampleView, samplesFromBuffer, samplesToBuffer, isBinaryImage, writeImage
+} = require('./pgm-utils');
+const {
+    validateSliceParams, getOutputChannels, parseKernel, getFilterRadius, KERNELS, BORDER_MODES,
+    mergeHistograms, buildEqualizationLut, parseThresholdSpec, resolveSliceThresholds,
+    isLutMode, validateLutParams, buildIntensityLut, resolveSliceOptions,
+    createNeighborhoodFilter, MORPHOLOGY_OPERATIONS, STRUCTURING_ELEMENTS
+} = require('./filters');
+const { GEOMETRY_OPERATIONS, INTERPOLATIONS, parseGeometrySpec, createGeometryTransform } = require('./geometry');
+const { CONNECTIVITY_VALUES, mergeSeams, mergeRegionStats } = require('./components');
+const { ARITHMETIC_OPERATIONS, parseArithmeticSpec, validateSecondImage } = require('./arithmetic');
+const { parseCannySpec } = require('./canny');
+const { DITHER_METHODS, parseDitherSpec, getErrorRingRows } = require('./dither');
+const { ADAPTIVE_METHODS, parseAdaptiveSpec, computeIntegralCarries } = require('./adaptive');
+const { loadPlugins, getFilter, listFilters, parseFilterParams, resolveFilterRadius } = require('./filter-registry');
+const { ThreadPool } = require('./thread-pool');
+const { createFifoBandReader, NetpbmBandWriter, FifoWriter, FifoImageBandWriter } = require('./band-stream');
 
 /* ===== PROCESSO TRABALHADOR - Equivalente ao main_worker do código C ===== */
 // int main_worker(int argc, char** argv) {
@@ -20,16 +41,569 @@ const { validateSliceParams } = require('./filters');
 //  // 9) Fim
 //  return 0;
 // }
+// Numa sessão com quadros (várias imagens na mesma conexão), os passos 2) a 7) se
+// repetem para cada quadro imagem, até o quadro encerrar. Com canal de resposta
+// (sender --resposta), o passo 7) vira o envio da imagem e do status de volta ao sender.
+
+// Nome de cada modo de filtro (índice = MODE_*)
+const MODE_NAMES = ['negativo', 'slice', 'convolucao', 'equalizar', 'gama', 'log', 'contraste', 'plano-bits', 'ordem', 'morfologia', 'geometria', 'plugin', 'componentes', 'aritmetica', 'canny', 'pontilhado', 'adaptativo'];
+
+// Filtros de ordem aceitos como modo (MODE_RANK); 'ordem' recebe também o k
+const RANK_FILTERS = ['mediana', 'minimo', 'maximo', 'ordem'];
+
+// Nomes dos filtros embutidos (não podem ser usados por plugins)
+const BUILTIN_FILTERS = ['negativo', 'slice', 'convolucao', 'equalizar', 'gama', 'log', 'contraste', 'plano-bits',
+    ...RANK_FILTERS, ...Object.keys(MORPHOLOGY_OPERATIONS), ...Object.keys(GEOMETRY_OPERATIONS), 'componentes',
+    ...Object.keys(ARITHMETIC_OPERATIONS), 'canny', 'pontilhado', 'adaptativo'];
+
+// Diretório de plugins carregado automaticamente (além dos informados em --plugins)
+const DEFAULT_PLUGIN_DIR = path.join(__dirname, '..', 'plugins');
+
+// Nomes aceitos na opção --cor (imagens coloridas PPM)
+const COLOR_MODES = {
+    'canal': COLOR_MODE_CHANNELS,
+    'luma': COLOR_MODE_LUMA,
+    'luma-cor': COLOR_MODE_LUMA_COLOR
+};
+
+// Formatos de saída aceitos na opção --formato
+// pgm  -> PGM/PPM conforme o número de canais
+// pbm  -> bitmap de 1 bit (exige resultado binário)
+// bmp  -> bitmap do Windows (8 bits cinza ou 24 bits)
+// auto -> PBM quando o resultado for binário, senão PGM/PPM
+const OUTPUT_FORMATS = ['pgm', 'pbm', 'bmp', 'auto'];
+
+// Variantes aceitas na opção --slice
+const SLICE_VARIANTS = {
+    'binario': SLICE_BINARY,
+    'preservar': SLICE_PRESERVE
+};
+
+// Codificações aceitas na opção --codificacao
+const OUTPUT_ENCODINGS = {
+    'binario': PGM_ENCODING_BINARY,
+    'ascii': PGM_ENCODING_ASCII
+};
+
+// Modos aceitos na opção --sessao (sessões com várias imagens)
+// sequencial -> recebe uma imagem, processa, grava e só então lê a próxima
+// pipeline   -> recebe a próxima imagem do FIFO enquanto a atual é processada
+const SESSION_MODES = ['sequencial', 'pipeline'];
+
+/**
+ * Separa opções no formato --nome valor dos argumentos posicionais
+ */
+function extractOptions(args) {
+    const positional = [];
+    const options = {};
+    
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            if (i + 1 >= args.length) {
+                console.error(`Opção --${name} requer um valor`);
+                process.exit(1);
+            }
+            options[name] = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    
+    return { positional, options };
+}
+
+/**
+ * Interpreta um filtro: nome do modo, parâmetros posicionais e opções (--cor, --borda, --slice, ...)
+ * Retorna { filter, used }, em que used é o número de parâmetros consumidos
+ * Lança Error com parâmetros inválidos (usado pela linha de comando e pelas etapas de uma cadeia)
+ */
+function parseFilter(modeStr, values, options = {}) {
+    let mode, t1 = 0, t2 = 255, kernel = null, used = 0;
+    let sliceAuto = null; // limiares calculados a partir do histograma da imagem
+    let lutParams = null; // parâmetros das transformações de intensidade via LUT
+    let neighborhood = null; // filtros de ordem e morfologia
+    let geometrySpec = null; // transformações geométricas (resolvidas ao receber a imagem)
+    let plugin = null; // filtro externo do registro de plugins
+    let components = null; // componentes conexos
+    let arithmetic = null; // operação com a segunda imagem
+    let canny = null; // detector de bordas de Canny
+    let dither = null; // pontilhado (Bayer ou difusão de erro)
+    let adaptive = null; // limiar adaptativo pela janela de cada pixel
+    
+    // ===== Parse dos argumentos conforme código C =====
+    if (modeStr === 'negativo') {
+        mode = MODE_NEG;  // g_mode = MODE_NEG;
+    } else if (modeStr === 'slice') {
+        mode = MODE_SLICE; // g_mode = MODE_SLICE;
+        if (['auto', 'otsu', 'otsu2'].includes(values[0])) {
+            // Limiares de Otsu (auto = otsu com 1 limiar)
+            sliceAuto = { method: values[0] === 'otsu2' ? 'otsu2' : 'otsu' };
+            used = 1;
+        } else {
+            if (values.length < 2) {
+                throw new Error('Modo slice requer parâmetros t1 e t2 (ou auto, otsu, otsu2)');
+            }
+            // Cada limiar é um inteiro ou um percentil pN
+            const spec1 = parseThresholdSpec(values[0]); // g_t1 = atoi(argv[4]);
+            const spec2 = parseThresholdSpec(values[1]); // g_t2 = atoi(argv[5]);
+            if (typeof spec1 === 'number' && typeof spec2 === 'number') {
+                t1 = spec1;
+                t2 = spec2;
+                // Valida parâmetros do slice (o limite real depende do maxv da imagem recebida)
+                validateSliceParams(t1, t2, MAX_VALUE_16BIT);
+            } else {
+                sliceAuto = { method: 'percentil', t1: spec1, t2: spec2 };
+            }
+            used = 2;
+        }
+    } else if (modeStr === 'convolucao') {
+        mode = MODE_CONVOLVE;
+        if (values.length < 1) {
+            throw new Error('Modo convolucao requer um kernel');
+        }
+        kernel = parseKernel(
+            values[0],
+            options.divisor !== undefined ? Number(options.divisor) : undefined,
+            options.bias !== undefined ? Number(options.bias) : 0
+        );
+        used = 1;
+    } else if (modeStr === 'equalizar') {
+        mode = MODE_EQUALIZE;
+    } else if (modeStr === 'gama') {
+        mode = MODE_GAMMA;
+        if (values.length < 1) {
+            throw new Error('Modo gama requer o expoente γ');
+        }
+        lutParams = { gamma: Number(values[0]) };
+        used = 1;
+    } else if (modeStr === 'log') {
+        mode = MODE_LOG;
+        lutParams = {};
+    } else if (modeStr === 'contraste') {
+        mode = MODE_STRETCH;
+        if (values.length < 4) {
+            throw new Error('Modo contraste requer os pontos r1 s1 r2 s2');
+        }
+        lutParams = { r1: Number(values[0]), s1: Number(values[1]), r2: Number(values[2]), s2: Number(values[3]) };
+        used = 4;
+    } else if (modeStr === 'plano-bits') {
+        mode = MODE_BITPLANE;
+        if (values.length < 1) {
+            throw new Error('Modo plano-bits requer o índice do bit (0 = menos significativo)');
+        }
+        lutParams = { bit: Number(values[0]) };
+        used = 1;
+    } else if (RANK_FILTERS.includes(modeStr) || MORPHOLOGY_OPERATIONS[modeStr]) {
+        mode = RANK_FILTERS.includes(modeStr) ? MODE_RANK : MODE_MORPHOLOGY;
+        used = modeStr === 'ordem' ? 2 : 1; // 'ordem' recebe o k depois do tamanho
+        if (values.length < used) {
+            throw new Error(`Modo ${modeStr} requer o tamanho da janela${used > 1 ? ' e a ordem k' : ''}`);
+        }
+        neighborhood = createNeighborhoodFilter(
+            mode, modeStr, Number(values[0]), options.elemento || 'quadrado',
+            used > 1 ? Number(values[1]) : undefined
+        );
+    } else if (GEOMETRY_OPERATIONS[modeStr] !== undefined) {
+        mode = MODE_GEOMETRY;
+        used = GEOMETRY_OPERATIONS[modeStr];
+        const interpolationStr = options.interpolacao || 'bilinear';
+        if (INTERPOLATIONS[interpolationStr] === undefined) {
+            throw new Error(`Interpolação inválida: ${interpolationStr}. Use ${Object.keys(INTERPOLATIONS).join(', ')}`);
+        }
+        geometrySpec = parseGeometrySpec(modeStr, values.slice(0, used), INTERPOLATIONS[interpolationStr]);
+    } else if (modeStr === 'componentes') {
+        mode = MODE_COMPONENTS;
+        // Com dois limiares inteiros, o primeiro plano é a faixa do slice; sem eles, os pixels != 0
+        if (values.length >= 2 && /^\d+$/.test(values[0]) && /^\d+$/.test(values[1])) {
+            t1 = Number(values[0]);
+            t2 = Number(values[1]);
+            validateSliceParams(t1, t2, MAX_VALUE_16BIT);
+            used = 2;
+        }
+        const connectivity = Number(options.conectividade || 8);
+        if (!CONNECTIVITY_VALUES.includes(connectivity)) {
+            throw new Error(`Conectividade inválida: ${options.conectividade}. Use ${CONNECTIVITY_VALUES.join(' ou ')}`);
+        }
+        const minArea = options['area-minima'] !== undefined ? Number(options['area-minima']) : 1;
+        if (!Number.isInteger(minArea) || minArea < 1) {
+            throw new Error(`Área mínima inválida: ${options['area-minima']}. Use um inteiro >= 1`);
+        }
+        components = { connectivity, minArea, range: null, reportPath: options.relatorio || null };
+    } else if (ARITHMETIC_OPERATIONS[modeStr] !== undefined) {
+        mode = MODE_ARITHMETIC;
+        used = ARITHMETIC_OPERATIONS[modeStr];
+        arithmetic = parseArithmeticSpec(modeStr, values.slice(0, used));
+    } else if (modeStr === 'canny') {
+        mode = MODE_CANNY;
+        used = 2;
+        canny = parseCannySpec(values[0], values[1], options.sigma);
+    } else if (modeStr === 'pontilhado') {
+        mode = MODE_DITHER;
+        if (values.length < 1) {
+            throw new Error(`Modo pontilhado requer o método: ${DITHER_METHODS.join(', ')}`);
+        }
+        dither = parseDitherSpec(values[0]);
+        used = 1;
+    } else if (modeStr === 'adaptativo') {
+        mode = MODE_ADAPTIVE;
+        if (values.length < 1) {
+            throw new Error(`Modo adaptativo requer o método: ${Object.keys(ADAPTIVE_METHODS).join(', ')}`);
+        }
+        adaptive = parseAdaptiveSpec(values[0], options.janela, options.k);
+        used = 1;
+    } else if (getFilter(modeStr)) {
+        // Filtro externo: parâmetros e raio declarados pelo próprio plugin
+        mode = MODE_PLUGIN;
+        const definition = getFilter(modeStr);
+        const parsed = parseFilterParams(definition, values);
+        used = parsed.used;
+        plugin = {
+            name: modeStr,
+            module: definition.module,
+            params: parsed.params,
+            radius: resolveFilterRadius(definition, parsed.params)
+        };
+    } else {
+        const names = [...BUILTIN_FILTERS, ...listFilters().map((definition) => definition.name)];
+        throw new Error(`Modo inválido: ${modeStr}. Use ${names.join(', ')}`); // exit_error("Modo inválido");
+    }
+    
+    // Valida os parâmetros da LUT (o limite real depende do maxv da imagem recebida)
+    if (lutParams) {
+        validateLutParams(mode, lutParams, MAX_VALUE_16BIT);
+    }
+    
+    // Modo de cor (só tem efeito em imagens PPM)
+    const colorModeStr = options.cor || 'canal';
+    const colorMode = COLOR_MODES[colorModeStr];
+    if (colorMode === undefined) {
+        throw new Error(`Modo de cor inválido: ${colorModeStr}. Use ${Object.keys(COLOR_MODES).join(', ')}`);
+    }
+    
+    // Comportamento do slice
+    const sliceVariantStr = options.slice || 'binario';
+    const sliceVariant = SLICE_VARIANTS[sliceVariantStr];
+    if (sliceVariant === undefined) {
+        throw new Error(`Variante do slice inválida: ${sliceVariantStr}. Use ${Object.keys(SLICE_VARIANTS).join(', ')}`);
+    }
+    const bandStr = options.faixa || 'dentro';
+    if (bandStr !== 'dentro' && bandStr !== 'fora') {
+        throw new Error(`Faixa inválida: ${bandStr}. Use dentro ou fora`);
+    }
+    const sliceOptions = {
+        variant: sliceVariant,
+        inverted: bandStr === 'fora',
+        highlight: options.destaque !== undefined ? Number(options.destaque) : undefined,
+        background: options.fundo !== undefined ? Number(options.fundo) : undefined
+    };
+    // O limite real dos valores depende do maxv da imagem recebida
+    resolveSliceOptions(sliceOptions, MAX_VALUE_16BIT);
+    
+    // Componentes com limiares: primeiro plano = faixa do slice (respeita --faixa)
+    if (components && used === 2) {
+        components.range = { t1, t2, inverted: sliceOptions.inverted };
+    }
+    
+    // Modo de borda dos filtros de vizinhança
+    const borderStr = options.borda || 'replicar';
+    const border = BORDER_MODES[borderStr];
+    if (border === undefined) {
+        throw new Error(`Modo de borda inválido: ${borderStr}. Use ${Object.keys(BORDER_MODES).join(', ')}`);
+    }
+    
+    if ((mode === MODE_CONVOLVE || neighborhood || geometrySpec || plugin || components || arithmetic || canny || dither || adaptive) && colorMode !== COLOR_MODE_CHANNELS) {
+        throw new Error('Convolução, filtros de ordem, morfologia, transformações geométricas, filtros externos, componentes conexos, operações entre imagens, canny, pontilhado e adaptativo suportam apenas --cor canal');
+    }
+    
+    // Parâmetros do filtro, repassados ao pool e às threads (g_mode, g_t1, g_t2, ...)
+    const filter = {
+        name: modeStr, mode, t1, t2, colorMode, kernel, border, sliceAuto, lutParams, sliceOptions, neighborhood, geometrySpec, plugin, components, arithmetic, canny, dither, adaptive,
+        colorModeStr, borderStr, sliceVariantStr, bandStr // nomes das opções, para o log
+    };
+    
+    return { filter, used };
+}
+
+/**
+ * Verifica se o modo da linha de comando descreve uma cadeia de filtros
+ */
+function isPipelineSpec(modeStr) {
+    return /[,:]/.test(modeStr) || modeStr.endsWith('.json') || modeStr.trimStart().startsWith('[');
+}
+
+/**
+ * Interpreta uma cadeia de filtros aplicados em sequência:
+ *   texto: 'equalizar,convolucao:gaussiano5,slice:50:200' (parâmetros separados por ':')
+ *   JSON (arquivo .json ou texto começando com '['):
+ *     [{ "filtro": "slice", "parametros": [50, 200], "opcoes": { "slice": "preservar" }, "salvar": "etapa.pgm" }]
+ * As opções da linha de comando valem para todas as etapas; as "opcoes" de uma etapa JSON as substituem
+ * Retorna a lista de filtros; "salvar" (opcional) grava o resultado da etapa
+ */
+function parsePipeline(spec, options) {
+    let entries;
+    
+    if (spec.endsWith('.json') || spec.trimStart().startsWith('[')) {
+        const inline = spec.trimStart().startsWith('[');
+        if (!inline && !fs.existsSync(spec)) {
+            throw new Error(`Arquivo de pipeline não encontrado: ${spec}`);
+        }
+        const text = inline ? spec : fs.readFileSync(spec, 'utf8');
+        let steps;
+        try {
+            steps = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Pipeline JSON inválido: ${error.message}`);
+        }
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pipeline JSON deve ser uma lista não vazia de etapas');
+        }
+        entries = steps.map((step, i) => {
+            if (!step || typeof step.filtro !== 'string') {
+                throw new Error(`Etapa ${i + 1} do pipeline sem o campo "filtro"`);
+            }
+            return {
+                name: step.filtro,
+                values: (step.parametros || []).map(String),
+                options: { ...options, ...(step.opcoes || {}) },
+                save: step.salvar || null
+            };
+        });
+    } else {
+        entries = spec.split(',').map((text) => {
+            const [name, ...values] = text.trim().split(':');
+            return { name, values, options, save: null };
+        });
+    }
+    
+    return entries.map((entry, i) => {
+        const prefix = `Etapa ${i + 1} (${entry.name})`;
+        let parsed;
+        try {
+            parsed = parseFilter(entry.name, entry.values, entry.options);
+        } catch (error) {
+            throw new Error(`${prefix}: ${error.message}`);
+        }
+        if (parsed.used !== entry.values.length) {
+            throw new Error(`${prefix}: esperado(s) ${parsed.used} parâmetro(s), recebido(s) ${entry.values.length}`);
+        }
+        return { ...parsed.filter, save: entry.save };
+    });
+}
+
+/**
+ * Verifica se os filtros podem ser processados em faixas (--banda)
+ * Retorna a mensagem de erro, ou null se for possível
+ */
+function getBandSupportError(steps, intermediateDir) {
+    // Cada etapa de uma cadeia precisaria do halo acumulado das etapas seguintes
+    if (steps.length > 1 || intermediateDir || steps[0].save) {
+        return 'Opção --banda não suporta cadeias de filtros nem --intermediarios';
+    }
+    const { mode, sliceAuto, neighborhood, geometrySpec, plugin, border, kernel, dither } = steps[0];
+    // O histograma global só é conhecido depois de ler a imagem inteira
+    if (mode === MODE_EQUALIZE || sliceAuto) {
+        return 'Opção --banda não suporta equalizar nem limiares automáticos (o histograma é global)';
+    }
+    // Uma região pode atravessar a imagem inteira: os rótulos só são conhecidos no fim
+    if (mode === MODE_COMPONENTS) {
+        return 'Opção --banda não suporta componentes conexos (exigem a imagem inteira)';
+    }
+    if (mode === MODE_ARITHMETIC) {
+        return 'Opção --banda não suporta operações entre imagens (a segunda imagem chega depois da primeira)';
+    }
+    if (mode === MODE_CANNY) {
+        return 'Opção --banda não suporta canny (a histerese pode atravessar a imagem inteira)';
+    }
+    if (mode === MODE_ADAPTIVE) {
+        return 'Opção --banda não suporta adaptativo (a imagem integral é montada sobre a imagem inteira)';
+    }
+    // O erro de cada linha é levado para as linhas de baixo até o fim da imagem (Bayer funciona)
+    if (mode === MODE_DITHER && !dither.bayerSize) {
+        return 'Opção --banda não suporta pontilhado por difusão de erro (use bayer2, bayer4 ou bayer8)';
+    }
+    // A saída de uma transformação geométrica pode depender de qualquer linha da entrada
+    if (geometrySpec) {
+        return 'Opção --banda não suporta transformações geométricas (exigem a imagem inteira)';
+    }
+    // A borda circular lê linhas do lado oposto da imagem, que ainda não chegaram pelo FIFO
+    if (getFilterRadius(mode, kernel, neighborhood, plugin) > 0 && border === BORDER_WRAP) {
+        return 'Opção --banda não suporta --borda circular (exige a imagem inteira)';
+    }
+    return null;
+}
+
+/**
+ * Relatório dos componentes conexos: padrão <saída>.json
+ */
+function resolveReportPaths(steps, outputPath) {
+    for (const step of steps) {
+        if (step.components && !step.components.reportPath) {
+            step.components.reportPath = path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.json`);
+        }
+    }
+}
+
+/**
+ * Cópia das etapas sem o caminho do relatório dos componentes (a ser resolvido por imagem
+ * ou, com o canal de resposta, devolvido ao sender em vez de gravado)
+ */
+function clearReportPaths(steps) {
+    return steps.map((step) => (step.components ? { ...step, components: { ...step.components, reportPath: null } } : step));
+}
+
+/**
+ * Filtro escolhido pelo sender no cabeçalho (protocolo versão 2)
+ * As opções da linha de comando do worker valem como padrão; as do cabeçalho as substituem
+ * outputPath null: o relatório dos componentes não é gravado (volta pelo canal de resposta)
+ * Retorna a lista de etapas (um único filtro)
+ */
+function stepsFromHeader(header, options, outputPath) {
+    const name = header.getFilterName();
+    if (name === null) {
+        throw new Error('Nenhum filtro definido: informe o modo na linha de comando do worker ou use --filtro no sender');
+    }
+    const { parametros, opcoes } = header.params;
+    const prefix = `Filtro do sender (${name})`;
+    let parsed;
+    try {
+        parsed = parseFilter(name, parametros, { ...options, ...opcoes });
+    } catch (error) {
+        throw new Error(`${prefix}: ${error.message}`);
+    }
+    if (parsed.used !== parametros.length) {
+        throw new Error(`${prefix}: esperado(s) ${parsed.used} parâmetro(s), recebido(s) ${parametros.length}`);
+    }
+    
+    let steps = [parsed.filter];
+    if (outputPath) {
+        resolveReportPaths(steps, outputPath);
+    } else {
+        steps = clearReportPaths(steps);
+    }
+    console.log(`Filtro recebido no cabeçalho: ${[name, ...parametros].join(':')}` +
+        Object.entries(opcoes).map(([option, value]) => ` --${option} ${value}`).join(''));
+    describeFilter(parsed.filter);
+    return steps;
+}
+
+/**
+ * Formato de saída: o da opção --formato ou, sem ela, o da extensão (.pbm, .bmp; demais: pgm)
+ */
+function resolveOutputFormat(outputPath, formatOption) {
+    const extension = path.extname(outputPath).toLowerCase();
+    const outputFormat = formatOption || (extension === '.pbm' ? 'pbm' : extension === '.bmp' ? 'bmp' : 'pgm');
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`Formato de saída inválido: ${outputFormat}. Use ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return outputFormat;
+}
+
+/**
+ * Filtro de uma imagem a partir do seu cabeçalho: o modo da linha de comando do worker
+ * (cliSteps) tem precedência sobre o filtro escolhido pelo sender
+ */
+function resolveSteps(header, cliSteps, options, outputPath) {
+    if (!cliSteps) {
+        return stepsFromHeader(header, options, outputPath);
+    }
+    if (header.getFilterName() !== null) {
+        console.log(`Filtro do sender (${header.getFilterName()}) ignorado: o worker foi iniciado com ${cliSteps.map((step) => step.name).join(' -> ')}`);
+    }
+    return cliSteps;
+}
 
 // ===== Equivalente ao parse_args_or_exit() do código C =====
 function parseArgs() {
-    const args = process.argv.slice(2); // argc, argv equivalente
+    const { positional: args, options } = extractOptions(process.argv.slice(2)); // argc, argv equivalente
     
-    if (args.length < 3) {
-        console.error('Uso: node worker.js <fifo_path> <saida.pgm> <negativo|slice> [t1 t2] [nthreads]');
+    // Registro de filtros externos: diretório plugins/ do projeto e origens de --plugins
+    const pluginSources = options.plugins ? options.plugins.split(',') : [];
+    if (fs.existsSync(DEFAULT_PLUGIN_DIR)) {
+        pluginSources.unshift(DEFAULT_PLUGIN_DIR);
+    }
+    try {
+        loadPlugins(pluginSources, BUILTIN_FILTERS);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    if (args.length < 2) {
+        console.error('Uso: node worker.js <fifo_path> <saida.pgm|ppm|pbm> [modo] [parâmetros] [nthreads] [opções]');
+        console.error('Sem modo (ou só com nthreads), o filtro vem no cabeçalho enviado pelo sender (--filtro)');
+        console.error('Numa sessão com várias imagens (sender --lote), as saídas ficam no diretório de <saida>, com o nome enviado por imagem');
+        console.error('Com o canal de resposta (sender --resposta), as saídas voltam ao sender e não são gravadas pelo worker');
+        console.error('Modos:');
+        console.error('  negativo | slice t1 t2 | convolucao <kernel> | equalizar');
+        console.error('  gama <γ> | log | contraste r1 s1 r2 s2 | plano-bits <k>');
+        console.error('  mediana|minimo|maximo <tamanho> | ordem <tamanho> <k>');
+        console.error(`  ${Object.keys(MORPHOLOGY_OPERATIONS).join('|')} <tamanho>`);
+        console.error('  redimensionar <L>x<A>|<L>x|x<A>|<N>% | rotacionar <graus> | espelhar horizontal|vertical');
+        console.error('  recortar <x> <y> <L> <A>');
+        console.error('  componentes [t1 t2]   (rótulos das regiões conexas + relatório JSON)');
+        console.error('  canny <baixo> <alto>  (bordas de Canny; limiares da magnitude do gradiente)');
+        console.error(`  pontilhado ${DITHER_METHODS.join('|')}  (saída em dois níveis)`);
+        console.error(`  adaptativo ${Object.keys(ADAPTIVE_METHODS).join('|')}  (limiar local pela janela de cada pixel)`);
+        console.error(`  ${Object.keys(ARITHMETIC_OPERATIONS).filter((op) => op !== 'mistura').join('|')} | mistura <α>   (com a segunda imagem do sender)`);
+        for (const definition of listFilters()) {
+            const params = definition.params.map((param) => `<${param.name}>`).join(' ');
+            console.error(`  ${definition.name}${params ? ` ${params}` : ''}   (plugin${definition.description ? `: ${definition.description}` : ''})`);
+        }
+        console.error('Cadeias de filtros (uma única execução, saída só da última etapa):');
+        console.error('  <modo>:<p1>:<p2>,<modo>... [nthreads]   ex.: equalizar,convolucao:gaussiano5,slice:50:200');
+        console.error('  <pipeline.json> [nthreads]               [{"filtro": "slice", "parametros": [50, 200], "opcoes": {...}, "salvar": "x.pgm"}]');
+        console.error('Opções:');
+        console.error('  --cor canal|luma|luma-cor     filtragem de imagens coloridas (padrão: canal)');
+        console.error('  --formato pgm|pbm|bmp|auto    formato de saída (padrão: pela extensão .pbm/.bmp, senão pgm)');
+        console.error('  --codificacao binario|ascii   P5/P6/P4 ou P2/P3/P1 (padrão: binario)');
+        console.error('  --banda <linhas>              processa em faixas de N linhas sem carregar a imagem inteira');
+        console.error('  --borda replicar|espelho|zero|circular  bordas da convolução (padrão: replicar)');
+        console.error('  --divisor <n> --bias <n>      normalização do kernel da convolução');
+        console.error('  --slice binario|preservar     fora da faixa: fundo ou valor original (padrão: binario)');
+        console.error('  --faixa dentro|fora           destaca a < z < b ou o complemento (padrão: dentro)');
+        console.error('  --destaque <v> --fundo <v>    valores de destaque e de fundo do slice (padrão: maxv e 0)');
+        console.error(`  --elemento ${STRUCTURING_ELEMENTS.join('|')}   janela dos filtros de ordem e morfologia (padrão: quadrado)`);
+        console.error('  --plugins <dir|arquivo|módulo>[,...]  carrega filtros externos (além do diretório plugins/)');
+        console.error('  --intermediarios <dir>        grava o resultado de cada etapa intermediária de uma cadeia');
+        console.error('  --sigma <σ>                   suavização gaussiana do canny (padrão: 1.4; 0 desliga)');
+        console.error(`  --interpolacao ${Object.keys(INTERPOLATIONS).join('|')}  redimensionar e rotacionar (padrão: bilinear)`);
+        console.error('  --janela <n>                  janela do limiar adaptativo (ímpar, padrão: 15)');
+        console.error(`  --k <k>                       sensibilidade do limiar adaptativo (padrão: ${Object.entries(ADAPTIVE_METHODS).map(([m, k]) => `${m} ${k}`).join(', ')})`);
+        console.error('  --conectividade 4|8           vizinhança dos componentes conexos (padrão: 8)');
+        console.error('  --area-minima <n>             descarta componentes com menos de n pixels (padrão: 1)');
+        console.error('  --relatorio <arquivo.json>    relatório das regiões (padrão: <saída>.json)');
+        console.error(`  --sessao ${SESSION_MODES.join('|')}   sessões com várias imagens: uma por vez ou recebendo a próxima durante o processamento (padrão: sequencial)`);
+        console.error(`Kernels: ${Object.keys(KERNELS).join(', ')}, LxA:w1,w2,... ou w1,...,wn (quadrado)`);
         console.error('Exemplos:');
         console.error('  node worker.js /tmp/imgpipe output_neg.pgm negativo [4]');
         console.error('  node worker.js /tmp/imgpipe output_slice.pgm slice 50 200 [4]');
+        console.error('  node worker.js /tmp/imgpipe output_slice.pgm slice auto|otsu|otsu2 [4]');
+        console.error('  node worker.js /tmp/imgpipe output_slice.pgm slice p10 p90 [4]');
+        console.error('  node worker.js /tmp/imgpipe output_neg.ppm negativo 4 --cor luma-cor');
+        console.error('  node worker.js /tmp/imgpipe mascara.pbm slice 50 200 4');
+        console.error('  node worker.js /tmp/imgpipe realce.pgm slice 50 200 4 --slice preservar --faixa fora --destaque 255');
+        console.error('  node worker.js /tmp/imgpipe grande_neg.pgm negativo 4 --banda 256');
+        console.error('  node worker.js /tmp/imgpipe bordas.pgm convolucao sobel 4 --borda espelho');
+        console.error('  node worker.js /tmp/imgpipe custom.pgm convolucao 3x3:0,-1,0,-1,5,-1,0,-1,0 4');
+        console.error('  node worker.js /tmp/imgpipe equalizada.pgm equalizar 4');
+        console.error('  node worker.js /tmp/imgpipe clara.pgm gama 0.5 4');
+        console.error('  node worker.js /tmp/imgpipe esticada.pgm contraste 70 20 180 235 4');
+        console.error('  node worker.js /tmp/imgpipe msb.pbm plano-bits 7 4');
+        console.error('  node worker.js /tmp/imgpipe limpa.pgm mediana 3 4');
+        console.error('  node worker.js /tmp/imgpipe mascara_limpa.pbm abertura 5 4 --elemento disco');
+        console.error('  node worker.js /tmp/imgpipe miniatura.pgm redimensionar 320x 4 --interpolacao bicubica');
+        console.error('  node worker.js /tmp/imgpipe girada.pgm rotacionar 90 4');
+        console.error('  node worker.js /tmp/imgpipe recorte.pgm recortar 10 20 200 100 4');
+        console.error('  node worker.js /tmp/imgpipe mascara.pbm equalizar,convolucao:gaussiano5,slice:50:200 4 --intermediarios etapas');
+        console.error('  node worker.js /tmp/imgpipe rotulos.pgm componentes 50 200 4 --conectividade 4 --area-minima 20');
+        console.error('  node worker.js /tmp/imgpipe mudancas.pgm diferenca 4   (sender: antes.pgm depois.pgm)');
+        console.error('  node worker.js /tmp/imgpipe bordas.pbm canny 40 100 4 --sigma 2');
+        console.error('  node worker.js /tmp/imgpipe impressao.pbm pontilhado floyd-steinberg 4');
+        console.error('  node worker.js /tmp/imgpipe texto.pbm adaptativo sauvola 4 --janela 31 --k 0.3');
+        console.error('  node worker.js /tmp/imgpipe resultado.pgm pipeline.json 4');
+        console.error('  node worker.js /tmp/imgpipe resultado.pgm 4   (sender: --filtro slice:50:200)');
+        console.error('  node worker.js /tmp/imgpipe saidas/lote.pgm negativo 4 --sessao pipeline   (sender: --lote lote.json)');
         process.exit(1);
     }
 
@@ -37,251 +611,1206 @@ function parseArgs() {
     const outputPath = args[1]; // argv[2] 
     const modeStr = args[2];    // argv[3]
     
-    let mode, t1 = 0, t2 = 255, nthreads = 4;
+    // Um filtro (modo + parâmetros), uma cadeia de filtros (etapas) ou, sem modo,
+    // o filtro que o sender enviar no cabeçalho (steps = null)
+    let steps, nthreadsArg;
+    try {
+        if (modeStr === undefined || /^\d+$/.test(modeStr)) {
+            steps = null;
+            nthreadsArg = modeStr;
+        } else if (isPipelineSpec(modeStr)) {
+            steps = parsePipeline(modeStr, options);
+            nthreadsArg = args[3];
+        } else {
+            const { filter, used } = parseFilter(modeStr, args.slice(3), options);
+            steps = [filter];
+            nthreadsArg = args[3 + used];
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
     
-    // ===== Parse dos argumentos conforme código C =====
-    if (modeStr === 'negativo') {
-        mode = MODE_NEG;  // g_mode = MODE_NEG;
-        nthreads = args.length >= 4 ? parseInt(args[3]) : 4; // g_nthreads = (argc >= 5) ? atoi(argv[4]) : 4;
-    } else if (modeStr === 'slice') {
-        mode = MODE_SLICE; // g_mode = MODE_SLICE;
-        if (args.length < 5) {
-            console.error('Modo slice requer parâmetros t1 e t2');
+    const nthreads = nthreadsArg !== undefined ? parseInt(nthreadsArg) : 4; // g_nthreads = (argc >= 5) ? atoi(argv[4]) : 4;
+    if (!(nthreads >= 1 && nthreads <= 32)) {
+        console.error('Número de threads deve estar entre 1 e 32');
+        process.exit(1);
+    }
+    
+    // Formato de saída (extensões .pbm e .bmp escolhem o formato por padrão)
+    let outputFormat;
+    try {
+        outputFormat = resolveOutputFormat(outputPath, options.formato);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    const outputEncodingStr = options.codificacao || 'binario';
+    const outputEncoding = OUTPUT_ENCODINGS[outputEncodingStr];
+    if (outputEncoding === undefined) {
+        console.error(`Codificação inválida: ${outputEncodingStr}. Use ${Object.keys(OUTPUT_ENCODINGS).join(', ')}`);
+        process.exit(1);
+    }
+    
+    // Diretório onde gravar o resultado de cada etapa intermediária da cadeia
+    const intermediateDir = options.intermediarios || null;
+    
+    // Modo streaming: faixas de N linhas (0 = imagem inteira na memória)
+    let bandRows = 0;
+    if (options.banda !== undefined) {
+        bandRows = Number(options.banda);
+        if (!Number.isInteger(bandRows) || bandRows < 1) {
+            console.error(`Tamanho de faixa inválido: ${options.banda}. Use um inteiro >= 1`);
+            process.exit(1);
+        }
+        // Filtros definidos pelo sender são conferidos quando o cabeçalho chega
+        const bandError = steps ? getBandSupportError(steps, intermediateDir) : null;
+        if (bandError) {
+            console.error(bandError);
+            process.exit(1);
+        }
+        // A saída em faixas é gravada direto no disco como P5/P6 binário
+        if (outputFormat !== 'pgm' || outputEncoding !== PGM_ENCODING_BINARY) {
+            console.error('Opção --banda suporta apenas saída PGM/PPM binária (--formato pgm --codificacao binario)');
             process.exit(1);
         }
-        t1 = parseInt(args[3]);      // g_t1 = atoi(argv[4]);
-        t2 = parseInt(args[4]);      // g_t2 = atoi(argv[5]);
-        nthreads = args.length >= 6 ? parseInt(args[5]) : 4; // g_nthreads = (argc >= 7) ? atoi(argv[6]) : 4;
-        
-        // Valida parâmetros do slice
-        validateSliceParams(t1, t2);
-    } else {
-        console.error(`Modo inválido: ${modeStr}. Use 'negativo' ou 'slice'`);
-        process.exit(1); // exit_error("Modo inválido");
     }
     
-    if (nthreads < 1 || nthreads > 32) {
-        console.error('Número de threads deve estar entre 1 e 32');
+    // Sessões com várias imagens: sequencial ou em pipeline (recepção da próxima imagem
+    // sobreposta ao processamento da atual)
+    const sessionMode = options.sessao || 'sequencial';
+    if (!SESSION_MODES.includes(sessionMode)) {
+        console.error(`Modo de sessão inválido: ${sessionMode}. Use ${SESSION_MODES.join(', ')}`);
+        process.exit(1);
+    }
+    if (sessionMode === 'pipeline' && bandRows > 0) {
+        console.error('Opção --sessao pipeline não se aplica a --banda (a leitura das faixas já se sobrepõe ao processamento)');
         process.exit(1);
     }
     
-    return { fifoPath, outputPath, mode, t1, t2, nthreads };
+    return { fifoPath, outputPath, nthreads, steps, outputFormat, outputEncoding, bandRows, intermediateDir, sessionMode, options };
 }
 
-// ===== Passo 1) e 2) Garante FIFO e lê cabeçalho + pixels do FIFO =====
-async function receiveImageData(fifoPath) {
-    return new Promise((resolve, reject) => {
-        console.log(`Abrindo FIFO para leitura: ${fifoPath}`);
-        console.log('Aguardando sender abrir FIFO para escrita...');
-        
-        // 1) Abre FIFO para leitura (bloqueia até sender abrir em escrita)
-        const readStream = fs.createReadStream(fifoPath);
-        const chunks = [];
-        
-        readStream.on('data', (chunk) => {
-            chunks.push(chunk);
-        });
+// ===== Passo 1) Garante FIFO e abre para leitura =====
+// bandRows > 0: leitura em faixas de N linhas (--banda); 0: imagens inteiras
+function openFifo(fifoPath, bandRows) {
+    console.log(`Abrindo FIFO para leitura${bandRows > 0 ? ` em faixas de ${bandRows} linhas` : ''}: ${fifoPath}`);
+    console.log('Aguardando sender abrir FIFO para escrita...');
+    
+    // A abertura bloqueia até o sender abrir em escrita (na primeira leitura)
+    return createFifoBandReader(fifoPath, bandRows > 0 ? bandRows : 1);
+}
+
+// ===== Passo 2) Lê cabeçalho + pixels do FIFO =====
+// countImages(header): imagens esperadas, decidido pelo cabeçalho da primeira
+// (2 nas operações entre imagens: cabeçalho + pixels de cada uma, em sequência)
+async function receiveImageData(reader, countImages = () => 1) {
+    const images = [];
+    let imageCount = 1;
+    
+    for (let i = 0; i < imageCount; i++) {
+        let info;
+        try {
+            info = await reader.readHeader();
+        } catch (error) {
+            throw i > 0
+                ? new Error(`Segunda imagem não recebida (${error.message}); envie as duas com: node sender.js <fifo> <imagem> <segunda_imagem>`)
+                : error;
+        }
+        const { w, h, maxv, channels } = info;
+        console.log(`Cabeçalho ${i > 0 ? 'da segunda imagem ' : ''}recebido: ${w}x${h}, maxv=${maxv}, canais=${channels}`);
+        if (i === 0) {
+            imageCount = countImages(info.header);
+        }
         
-        readStream.on('end', () => {
-            try {
-                const fullBuffer = Buffer.concat(chunks);
-                console.log(`Dados recebidos: ${fullBuffer.length} bytes`);
-                
-                // 2) Lê cabeçalho + pixels do FIFO
-                // Lê cabeçalho (24 bytes)
-                if (fullBuffer.length < 24) {
-                    throw new Error('Dados insuficientes para cabeçalho');
-                }
-                
-                const header = new Header();
-                header.fromBuffer(fullBuffer.slice(0, 24));
-                
-                console.log(`Cabeçalho recebido: ${header.w}x${header.h}, maxv=${header.maxv}`);
-                
-                // Lê dados da imagem
-                const expectedDataSize = header.w * header.h;
-                const imageData = fullBuffer.slice(24, 24 + expectedDataSize);
-                
-                if (imageData.length !== expectedDataSize) {
-                    throw new Error(`Dados da imagem incompletos: esperado ${expectedDataSize}, recebido ${imageData.length}`);
-                }
-                
-                const pgm = new PGM(header.w, header.h, header.maxv, imageData);
-                resolve(pgm);
-                
-            } catch (error) {
-                reject(error);
-            }
-        });
+        // Lê a imagem inteira como uma única faixa (2 bytes big-endian por amostra se maxv > 255)
+        const band = await reader.nextBand(h);
+        const samples = band ? band.data : samplesFromBuffer(Buffer.alloc(0), 0, maxv);
+        console.log(`Dados recebidos: ${samples.length * bytesPerSample(maxv)} bytes`);
         
-        readStream.on('error', (error) => {
-            reject(error);
-        });
-    });
+        images.push(channels === 3 ? new PPM(w, h, maxv, samples) : new PGM(w, h, maxv, samples));
+    }
+    return images;
 }
 
-function createTasks(height, nthreads) {
+/**
+ * Divide as linhas [firstRow, lastRow) da imagem em tarefas
+ * radius > 0 (filtros de vizinhança): cada tarefa recebe o halo de radius linhas
+ * acima e abaixo, limitado a [0, height) - as bordas da imagem ficam por conta do modo de borda
+ */
+function createTasks(height, nthreads, radius = 0, firstRow = 0, lastRow = height) {
     const tasks = [];
-    const linesPerThread = Math.ceil(height / nthreads);
+    const rows = lastRow - firstRow;
+    const linesPerThread = Math.ceil(rows / nthreads);
     
     for (let i = 0; i < nthreads; i++) {
-        const rowStart = i * linesPerThread;
-        const rowEnd = Math.min((i + 1) * linesPerThread, height);
+        const rowStart = firstRow + i * linesPerThread;
+        const rowEnd = Math.min(rowStart + linesPerThread, lastRow);
         
-        if (rowStart < height) {
-            tasks.push(new Task(rowStart, rowEnd));
+        if (rowStart < lastRow) {
+            const haloStart = Math.max(0, rowStart - radius);
+            const haloEnd = Math.min(height, rowEnd + radius);
+            tasks.push(new Task(rowStart, rowEnd, haloStart, haloEnd));
         }
     }
     
-    console.log(`Criadas ${tasks.length} tarefas (${linesPerThread} linhas por tarefa)`);
+    console.log(`Criadas ${tasks.length} tarefas (${linesPerThread} linhas por tarefa${radius > 0 ? `, halo de ${radius} linhas` : ''})`);
     return tasks;
 }
 
-// ===== Passo 3) Cria pool de threads e fila de tarefas =====
-async function processWithThreadPool(inputPgm, mode, t1, t2, nthreads) {
-    const outputPgm = new PGM(inputPgm.w, inputPgm.h, inputPgm.maxv); // g_out equivalente
+/**
+ * Configuração fixa do filtro enviada às threads do pool (workerData)
+ */
+function createFilterConfig(image, filter) {
+    return {
+        width: image.w,              // g_in.w
+        height: image.h,             // g_in.h
+        mode: filter.mode,           // g_mode
+        t1: filter.t1,               // g_t1
+        t2: filter.t2,               // g_t2
+        maxValue: image.maxv,        // g_in.maxv
+        channels: image.channels,    // 1 = cinza, 3 = RGB
+        colorMode: filter.colorMode, // filtragem por canal ou pela luminância
+        kernel: filter.kernel,       // kernel da convolução
+        border: filter.border,       // modo de borda dos filtros de vizinhança
+        slice: filter.sliceOptions,  // variante, faixa invertida, destaque e fundo do slice
+        neighborhood: filter.neighborhood, // elemento estruturante e passadas dos filtros de ordem/morfologia
+        geometry: filter.geometry,   // dimensões da saída e mapeamento inverso das transformações geométricas
+        plugin: filter.plugin,       // filtro externo: { name, module, params, radius }
+        components: filter.components, // componentes conexos: { connectivity, range, minArea }
+        arithmetic: filter.arithmetic, // operação entre imagens: { operation, alpha, secondMaxValue, secondChannels }
+        canny: filter.canny,           // detector de Canny: { low, high, sigma, weights, radius }
+        dither: filter.dither,         // pontilhado: { method, bayerSize } ou { method, sources, divisor, lag, rowsAbove }
+        adaptive: filter.adaptive      // limiar adaptativo: { method, window, radius, k }
+    };
+}
+
+/**
+ * Executa o filtro nas linhas [rowStart, rowEnd) da imagem em uma ou mais passadas
+ * Filtros de várias passadas (abertura, fechamento) gravam resultados intermediários em
+ * buffers compartilhados próprios; cada passada intermediária calcula também as linhas
+ * de halo exigidas pelas passadas seguintes. O pool põe uma barreira entre as passadas.
+ * Nas transformações geométricas, [rowStart, rowEnd) são linhas da imagem de saída.
+ */
+async function runFilterPasses(pool, filter, image, nthreads, buffers, rowStart, rowEnd, params = {}) {
+    // Transformações geométricas: tarefas sobre as linhas da saída; cada tarefa pode ler
+    // qualquer linha da entrada, então o halo é a imagem de entrada inteira
+    if (filter.geometry) {
+        const tasks = createTasks(filter.geometry.height, nthreads, 0, rowStart, rowEnd)
+            .map((task) => new Task(task.row_start, task.row_end, 0, image.h));
+        return pool.runPasses([{ tasks, buffers, phase: TASK_PHASE_FILTER, params }]);
+    }
     
-    // Compartilha dados entre threads (equivalente a g_in, g_out globais)
-    // Array tipado que armazena números inteiros de 0 a 255 (8 bits sem sinal)
-    const inputBuffer = new Uint8Array(inputPgm.data);   // g_in.data
+    const passes = filter.neighborhood ? filter.neighborhood.passes : [undefined];
+    const stepRadius = filter.neighborhood ? filter.neighborhood.element.radius : getFilterRadius(filter.mode, filter.kernel, null, filter.plugin);
+    const rowBytes = image.w * image.channels * bytesPerSample(image.maxv);
     
-    // Cria SharedArrayBuffer para permitir compartilhamento entre threads -- - Cria um bloco de memória compartilhada entre threads ou seja, passa o valor por referencia (lembrando que javascript é por valor)
-    const sharedOutputBuffer = new SharedArrayBuffer(inputPgm.data.length);
-    const outputBuffer = new Uint8Array(sharedOutputBuffer); // g_out.data
+    let sharedInputBuffer = buffers.sharedInputBuffer;
+    let inputRowOffset = buffers.inputRowOffset;
+    const passList = [];
+    
+    for (let i = 0; i < passes.length; i++) {
+        const last = i === passes.length - 1;
+        const extra = stepRadius * (passes.length - 1 - i); // halo das passadas seguintes
+        const start = Math.max(0, rowStart - extra);
+        const end = Math.min(image.h, rowEnd + extra);
+        
+        const sharedOutputBuffer = last ? buffers.sharedOutputBuffer : new SharedArrayBuffer((end - start) * rowBytes);
+        const outputRowOffset = last ? buffers.outputRowOffset : start;
+        
+        passList.push({
+            tasks: createTasks(image.h, nthreads, stepRadius, start, end),
+            buffers: { ...buffers, sharedInputBuffer, sharedOutputBuffer, inputRowOffset, outputRowOffset },
+            phase: TASK_PHASE_FILTER,
+            params: passes[i] !== undefined ? { ...params, operation: passes[i] } : params
+        });
+        
+        sharedInputBuffer = sharedOutputBuffer;
+        inputRowOffset = outputRowOffset;
+    }
+    
+    return pool.runPasses(passList);
+}
+
+/**
+ * Rodada de histogramas parciais nas threads + soma na thread principal
+ * Base dos filtros globais (equalização, limiares automáticos do slice)
+ */
+async function computeGlobalHistogram(pool, tasks, buffers, maxValue) {
+    console.log('Fase 1: histogramas parciais...');
+    const results = await pool.runTasks(tasks, buffers, TASK_PHASE_HISTOGRAM);
+    
+    const histogram = mergeHistograms(results.map(result => result.histogram), maxValue);
+    
+    let levels = 0;
+    for (let v = 0; v <= maxValue; v++) {
+        if (histogram[v] > 0) levels++;
+    }
+    console.log(`Histograma global: ${levels} níveis ocupados de ${maxValue + 1}`);
+    
+    return histogram;
+}
+
+/**
+ * Copia uma LUT para um SharedArrayBuffer, lido por todas as threads (8 ou 16 bits conforme maxv)
+ */
+function createSharedLut(lut, maxValue) {
+    const sharedLutBuffer = new SharedArrayBuffer((maxValue + 1) * bytesPerSample(maxValue));
+    createSampleView(sharedLutBuffer, maxValue).set(lut);
+    return sharedLutBuffer;
+}
+
+/**
+ * Equalização em duas fases sobre o mesmo pool:
+ * histogramas parciais nas threads -> soma + CDF + LUT na thread principal
+ * Retorna o SharedArrayBuffer da LUT, lido pelas threads na fase de aplicação
+ */
+async function computeEqualizationLut(pool, tasks, buffers, maxValue) {
+    const histogram = await computeGlobalHistogram(pool, tasks, buffers, maxValue);
+    return createSharedLut(buildEqualizationLut(histogram, maxValue), maxValue);
+}
+
+/**
+ * Limiares automáticos do slice (Otsu ou percentis) a partir do histograma global
+ * Os valores escolhidos são impressos para que a execução possa ser reproduzida
+ */
+async function computeSliceThresholds(pool, tasks, buffers, sliceAuto, maxValue) {
+    const histogram = await computeGlobalHistogram(pool, tasks, buffers, maxValue);
+    const { t1, t2 } = resolveSliceThresholds(sliceAuto, histogram, maxValue);
+    
+    console.log(`Limiares automáticos (${sliceAuto.method}): t1=${t1}, t2=${t2}`);
+    console.log(`Para reproduzir: slice ${t1} ${t2}`);
+    return { t1, t2 };
+}
+
+/**
+ * Completa um filtro com o que depende da imagem recebida: valida os limites do slice
+ * contra o maxv, resolve as dimensões das transformações geométricas e confere a segunda
+ * imagem das operações entre imagens (second: { w, h, maxv, channels } ou null)
+ */
+function prepareFilter(filter, image, second = null) {
+    if (filter.arithmetic) {
+        validateSecondImage(filter.name, image, second);
+        return { ...filter, arithmetic: { ...filter.arithmetic, secondMaxValue: second.maxv, secondChannels: second.channels } };
+    }
+    if (filter.mode === MODE_COMPONENTS && image.channels !== 1) {
+        throw new Error('Componentes conexos requerem imagem em tons de cinza (converta antes com uma etapa --cor luma)');
+    }
+    if (filter.mode === MODE_CANNY && image.channels !== 1) {
+        throw new Error('Canny requer imagem em tons de cinza (converta antes com uma etapa --cor luma)');
+    }
+    if (filter.mode === MODE_ADAPTIVE && image.channels !== 1) {
+        throw new Error('Limiar adaptativo requer imagem em tons de cinza (converta antes com uma etapa --cor luma)');
+    }
+    if (filter.mode === MODE_COMPONENTS && filter.components.range) {
+        validateSliceParams(filter.t1, filter.t2, image.maxv);
+    }
+    if (filter.mode === MODE_SLICE && !filter.sliceAuto) {
+        validateSliceParams(filter.t1, filter.t2, image.maxv);
+    }
+    if (filter.mode === MODE_SLICE) {
+        resolveSliceOptions(filter.sliceOptions, image.maxv);
+    }
+    
+    // Transformações geométricas: as dimensões da saída dependem da imagem recebida
+    if (filter.geometrySpec) {
+        const geometry = createGeometryTransform(filter.geometrySpec, image.w, image.h);
+        console.log(`Transformação ${geometry.operation}: ${geometry.description} -> saída ${geometry.width}x${geometry.height}`);
+        return { ...filter, geometry };
+    }
+    return filter;
+}
+
+/**
+ * Copia a imagem de um buffer compartilhado (que pode ser maior que a imagem) para um PGM/PPM
+ */
+function imageFromShared(sharedBuffer, { w, h, maxv, channels }) {
+    const image = channels === 3 ? new PPM(w, h, maxv) : new PGM(w, h, maxv);
+    image.data.set(createSampleView(sharedBuffer, maxv).subarray(0, image.getDataSize()));
+    return image;
+}
+
+/**
+ * Componentes conexos em três rodadas sobre o pool: rótulos provisórios por faixa,
+ * estatísticas parciais (após unir as costuras) e gravação dos rótulos finais
+ * Retorna as dimensões da saída (maxv = número de regiões) e o relatório das regiões
+ */
+async function runComponents(pool, filter, image, nthreads, buffers) {
+    const { connectivity, minArea } = filter.components;
+    const tasks = createTasks(image.h, nthreads);
+    buffers.sharedLabelBuffer = new SharedArrayBuffer(image.w * image.h * Int32Array.BYTES_PER_ELEMENT);
+    
+    // Rodada 1: cada thread rotula sua faixa de forma independente
+    console.log('Fase 1: rótulos provisórios por faixa...');
+    const labelResults = await pool.runTasks(tasks, buffers, TASK_PHASE_LABEL);
+    const provisional = labelResults.reduce((sum, result) => sum + result.regions, 0);
+    
+    // Costuras: a primeira linha de cada faixa toca a última linha da faixa anterior
+    const seamRows = tasks.slice(1).map((task) => task.row_start);
+    const merge = mergeSeams(new Int32Array(buffers.sharedLabelBuffer), image.w, seamRows, connectivity);
+    console.log(`Costuras: ${seamRows.length}, ${merge.length / 2} rótulos unidos (${provisional} regiões provisórias)`);
+    
+    // Rodada 2: estatísticas parciais por faixa, somadas pela thread principal
+    console.log('Fase 2: estatísticas das regiões...');
+    const statResults = await pool.runTasks(tasks, buffers, TASK_PHASE_REGION_STATS, { merge });
+    const { regions, finalLabels, discarded } = mergeRegionStats(statResults.map((result) => result.stats), minArea);
+    if (regions.length > MAX_VALUE_16BIT) {
+        throw new Error(`${regions.length} regiões excedem o número de rótulos de uma imagem de 16 bits (${MAX_VALUE_16BIT}); aumente --area-minima`);
+    }
+    console.log(`Regiões: ${regions.length} (${discarded} descartadas por área < ${minArea})`);
+    
+    // Rodada 3: imagem de rótulos 1..N (fundo e regiões descartadas = 0)
+    console.log('Fase 3: gravação dos rótulos finais...');
+    const outputMaxValue = Math.max(1, regions.length);
+    await pool.runTasks(tasks, buffers, TASK_PHASE_RELABEL, { merge, finalLabels, outputMaxValue });
+    
+    const report = {
+        imagem: { largura: image.w, altura: image.h },
+        conectividade: connectivity,
+        area_minima: minArea,
+        regioes_encontradas: regions.length,
+        regioes_descartadas: discarded,
+        regioes: regions
+    };
+    return { w: image.w, h: image.h, maxv: outputMaxValue, channels: 1, report };
+}
+
+/**
+ * Canny em estágios sobre o pool: suavização, gradiente e supressão (com barreiras),
+ * rodadas de histerese até convergir nas costuras entre faixas e a imagem de bordas
+ */
+async function runCanny(pool, filter, image, nthreads, buffers) {
+    const pixels = image.w * image.h;
+    const tasks = createTasks(image.h, nthreads, filter.canny.radius);
+    Object.assign(buffers, {
+        sharedSmoothBuffer: new SharedArrayBuffer(pixels * Float32Array.BYTES_PER_ELEMENT),
+        sharedMagnitudeBuffer: new SharedArrayBuffer(pixels * Float32Array.BYTES_PER_ELEMENT),
+        sharedDirectionBuffer: new SharedArrayBuffer(pixels),
+        sharedEdgeBuffer: new SharedArrayBuffer(pixels)
+    });
+    
+    // Estágios 1 a 3: cada um lê linhas vizinhas do anterior, então há uma barreira entre eles
+    console.log('Estágios 1-3: suavização, gradiente e supressão de não-máximos...');
+    const [, , suppressResults] = await pool.runPasses([
+        { tasks, buffers, phase: TASK_PHASE_SMOOTH },
+        { tasks, buffers, phase: TASK_PHASE_GRADIENT },
+        { tasks, buffers, phase: TASK_PHASE_SUPPRESS }
+    ]);
+    const strong = suppressResults.reduce((sum, result) => sum + result.strong, 0);
+    const weak = suppressResults.reduce((sum, result) => sum + result.weak, 0);
+    console.log(`Limiar duplo: ${strong} bordas fortes, ${weak} fracas`);
+    
+    // Estágio 4: histerese dentro de cada faixa e, depois, a partir das costuras até convergir
+    const sum = (results) => results.reduce((total, result) => total + result.promoted, 0);
+    let promoted = sum(await pool.runTasks(tasks, buffers, TASK_PHASE_HYSTERESIS, { fromSeams: false }));
+    console.log(`Histerese: ${promoted} bordas fracas promovidas dentro das faixas`);
+    let rounds = 0;
+    if (tasks.length > 1) {
+        let crossed;
+        do {
+            crossed = sum(await pool.runTasks(tasks, buffers, TASK_PHASE_HYSTERESIS, { fromSeams: true }));
+            promoted += crossed;
+            rounds++;
+            console.log(`Histerese, rodada ${rounds} nas costuras: ${crossed} promovidas`);
+        } while (crossed > 0);
+    }
+    console.log(`Histerese convergiu: ${strong + promoted} pixels de borda (${rounds} rodada(s) nas costuras)`);
+    
+    // Estágio 5: imagem binária de bordas
+    await pool.runTasks(tasks, buffers, TASK_PHASE_EDGES);
+    return { w: image.w, h: image.h, maxv: image.maxv, channels: 1 };
+}
+
+/**
+ * Pontilhado por difusão de erro em frente de onda: uma tarefa por linha, distribuídas em
+ * ordem (linha y na thread y mod nthreads, que processa as suas linhas em sequência).
+ * Cada linha espera a de cima avançar pelo vetor de progresso compartilhado; como a linha
+ * de cima foi distribuída antes, a espera sempre termina.
+ */
+async function runDither(pool, filter, image, nthreads, buffers) {
+    const { rowsAbove, lag } = filter.dither;
+    const tasks = [];
+    for (let y = 0; y < image.h; y++) {
+        tasks.push(new Task(y, y + 1, y, y + 1));
+    }
+    // Erros só das linhas que ainda podem ser lidas (anel), não da imagem inteira
+    const ringRows = getErrorRingRows(filter.dither, nthreads, image.h);
+    Object.assign(buffers, {
+        sharedErrorBuffer: new SharedArrayBuffer(ringRows * image.w * image.channels * Float64Array.BYTES_PER_ELEMENT),
+        sharedProgressBuffer: new SharedArrayBuffer(image.h * Int32Array.BYTES_PER_ELEMENT)
+    });
+    
+    console.log(`Frente de onda: ${tasks.length} linhas em ${nthreads} thread(s), cada linha espera ${rowsAbove} linha(s) acima ${lag} coluna(s) à frente, erros em um anel de ${ringRows} linha(s)`);
+    await pool.runTasks(tasks, buffers, TASK_PHASE_DIFFUSE);
+    return { w: image.w, h: image.h, maxv: image.maxv, channels: image.channels };
+}
+
+/**
+ * Limiar adaptativo sobre o pool: imagem integral de r e r² por faixa, transporte entre as
+ * faixas (thread principal), correção das faixas e, após a barreira, o limiar de cada pixel
+ */
+async function runAdaptive(pool, filter, image, nthreads, buffers) {
+    const pixels = image.w * image.h;
+    const tasks = createTasks(image.h, nthreads);
+    Object.assign(buffers, {
+        sharedSumBuffer: new SharedArrayBuffer(pixels * Float64Array.BYTES_PER_ELEMENT),
+        sharedSquareBuffer: new SharedArrayBuffer(pixels * Float64Array.BYTES_PER_ELEMENT)
+    });
+    
+    // Passo 1: somas locais de cada faixa
+    console.log('Fase 1: imagem integral local de cada faixa...');
+    await pool.runTasks(tasks, buffers, TASK_PHASE_INTEGRAL);
+    
+    // Passo 2: transporte de cada faixa = soma das últimas linhas das faixas anteriores
+    const carries = computeIntegralCarries(
+        new Float64Array(buffers.sharedSumBuffer), new Float64Array(buffers.sharedSquareBuffer), image.w,
+        tasks.map((task) => ({ rowStart: task.row_start, rowEnd: task.row_end }))
+    );
+    console.log(`Transporte entre faixas: ${tasks.length - 1} costura(s) corrigidas pela thread principal`);
+    
+    // Passo 3 e 4: correção das faixas e, depois da barreira, o limiar (janelas cruzam as faixas)
+    console.log('Fase 2: correção das faixas e limiar local...');
+    await pool.runPasses([
+        { tasks, buffers, phase: TASK_PHASE_INTEGRAL_FIXUP, params: { carries } },
+        { tasks, buffers, phase: TASK_PHASE_ADAPTIVE }
+    ]);
+    return { w: image.w, h: image.h, maxv: image.maxv, channels: 1 };
+}
+
+/**
+ * Aplica um filtro com o pool: lê a imagem de sharedInputBuffer e grava o resultado
+ * em sharedOutputBuffer (que deve comportar a saída)
+ * Retorna as dimensões da saída { w, h, maxv, channels } (e o relatório, nos componentes conexos)
+ */
+async function runFilter(pool, filter, image, nthreads, sharedInputBuffer, sharedOutputBuffer, sharedSecondBuffer) {
+    const { mode, sliceAuto, lutParams } = filter;
+    
+    if (mode === MODE_COMPONENTS) {
+        return runComponents(pool, filter, image, nthreads, { sharedInputBuffer, sharedOutputBuffer, inputRowOffset: 0, outputRowOffset: 0 });
+    }
+    if (mode === MODE_CANNY) {
+        return runCanny(pool, filter, image, nthreads, { sharedInputBuffer, sharedOutputBuffer, inputRowOffset: 0, outputRowOffset: 0 });
+    }
+    if (mode === MODE_ADAPTIVE) {
+        return runAdaptive(pool, filter, image, nthreads, { sharedInputBuffer, sharedOutputBuffer, inputRowOffset: 0, outputRowOffset: 0 });
+    }
+    if (mode === MODE_DITHER && !filter.dither.bayerSize) {
+        return runDither(pool, filter, image, nthreads, { sharedInputBuffer, sharedOutputBuffer, inputRowOffset: 0, outputRowOffset: 0 });
+    }
     
     // Cria tarefas (divide o trabalho em blocos de linhas)
-    const tasks = createTasks(inputPgm.h, nthreads);
+    // Filtros de vizinhança leem linhas além do bloco (halo); a imagem inteira está no buffer
+    const tasks = createTasks(image.h, nthreads, getFilterRadius(mode, filter.kernel, filter.neighborhood, filter.plugin));
+    const buffers = { sharedInputBuffer, sharedOutputBuffer, inputRowOffset: 0, outputRowOffset: 0 };
+    if (filter.arithmetic) {
+        buffers.sharedSecondBuffer = sharedSecondBuffer; // segunda imagem, inteira
+    }
     
-    // Coordenador de conclusão (equivalente a remaining_tasks e sem_done)
-    const coordinator = new CompletionCoordinator(tasks.length);
+    // Filtros globais: rodada extra para montar a LUT antes de aplicar
+    if (mode === MODE_EQUALIZE) {
+        buffers.sharedLutBuffer = await computeEqualizationLut(pool, tasks, buffers, image.maxv);
+        console.log('Fase 2: aplicação da LUT...');
+    } else if (isLutMode(mode)) {
+        buffers.sharedLutBuffer = createSharedLut(buildIntensityLut(mode, lutParams, image.maxv), image.maxv);
+        console.log(`LUT de ${image.maxv + 1} entradas montada pela thread principal`);
+    }
     
-    console.log(`Iniciando ${nthreads} worker threads...`);
+    // Limiares do slice definidos pelo histograma: enviados às threads na rodada do filtro
+    const params = sliceAuto ? await computeSliceThresholds(pool, tasks, buffers, sliceAuto, image.maxv) : {};
     
-    // 3) Cria pool de threads
-    const workers = [];
-    const workerPromises = [];
+    // Saída: PPM colorida, exceto quando a luminância gera saída em cinza; geometria muda as dimensões
+    const output = {
+        w: filter.geometry ? filter.geometry.width : image.w,
+        h: filter.geometry ? filter.geometry.height : image.h,
+        maxv: image.maxv,
+        channels: getOutputChannels(image.channels, filter.colorMode)
+    };
     
-    for (let i = 0; i < nthreads; i++) {
-        // Cria worker thread (equivalente a pthread_create)
-        const worker = new Worker(path.join(__dirname, 'worker-thread.js'), {
-            workerData: {
-                inputBuffer,              // g_in.data
-                sharedOutputBuffer,       // SharedArrayBuffer para g_out.data
-                width: inputPgm.w,        // g_in.w
-                height: inputPgm.h,       // g_in.h
-                mode,                     // g_mode
-                t1,                       // g_t1
-                t2,                       // g_t2
-                maxValue: inputPgm.maxv,  // g_in.maxv
-                threadId: i               // identificador da thread
+    // Distribui tarefas e 5) aguarda término de todas as tarefas
+    console.log('Distribuindo tarefas...');
+    await runFilterPasses(pool, filter, image, nthreads, buffers, 0, output.h, params);
+    return output;
+}
+
+// ===== Passo 3) Cria pool de threads e fila de tarefas =====
+// steps: filtros aplicados em sequência (um único filtro ou uma cadeia)
+// intermediateDir: diretório onde gravar o resultado das etapas intermediárias (opcional)
+// secondPgm: segunda imagem das operações entre imagens (opcional)
+// Retorna { outputPgm, report } (report: relatório dos componentes não gravado, sem reportPath)
+async function processWithThreadPool(inputPgm, steps, nthreads, intermediateDir = null, secondPgm = null) {
+    let image = { w: inputPgm.w, h: inputPgm.h, maxv: inputPgm.maxv, channels: inputPgm.channels };
+    
+    // Cria SharedArrayBuffer para permitir compartilhamento entre threads -- - Cria um bloco de memória compartilhada entre threads ou seja, passa o valor por referencia (lembrando que javascript é por valor)
+    // Array tipado de 8 bits (Uint8Array) ou 16 bits (Uint16Array) conforme maxv
+    let sharedInputBuffer = new SharedArrayBuffer(inputPgm.getByteSize());
+    createSampleView(sharedInputBuffer, inputPgm.maxv).set(inputPgm.data); // g_in.data
+    
+    // Cadeias alternam dois buffers compartilhados (ping-pong): a saída de uma etapa é a entrada
+    // da seguinte, sem cópias; o buffer livre é reaproveitado sempre que comporta a próxima saída
+    let spareBuffer = null;
+    let pool = null;
+    let pendingReport = null; // relatório dos componentes que volta pelo canal de resposta
+    
+    // Segunda imagem: copiada uma única vez, serve a todas as etapas que a usam
+    let sharedSecondBuffer = null;
+    let second = null;
+    if (secondPgm) {
+        sharedSecondBuffer = new SharedArrayBuffer(secondPgm.getByteSize());
+        createSampleView(sharedSecondBuffer, secondPgm.maxv).set(secondPgm.data);
+        second = { w: secondPgm.w, h: secondPgm.h, maxv: secondPgm.maxv, channels: secondPgm.channels };
+    }
+    
+    if (intermediateDir) {
+        fs.mkdirSync(intermediateDir, { recursive: true });
+    }
+    
+    try {
+        for (let i = 0; i < steps.length; i++) {
+            const filter = prepareFilter(steps[i], image, second);
+            if (steps.length > 1) {
+                console.log(`=== Etapa ${i + 1}/${steps.length}: ${filter.name} ===`);
             }
-        });
+            
+            // 3) Cria pool de threads na primeira etapa; as seguintes só trocam a configuração
+            const config = createFilterConfig(image, filter);
+            if (pool) {
+                pool.configure(config);
+            } else {
+                pool = new ThreadPool(nthreads, config);
+            }
+            
+            const outputChannels = getOutputChannels(image.channels, filter.colorMode);
+            const outputWidth = filter.geometry ? filter.geometry.width : image.w;
+            const outputHeight = filter.geometry ? filter.geometry.height : image.h;
+            // Componentes conexos: o número de rótulos (e o maxv da saída) só é conhecido no fim
+            const sampleBytes = filter.mode === MODE_COMPONENTS ? bytesPerSample(MAX_VALUE_16BIT) : bytesPerSample(image.maxv);
+            const outputBytes = outputWidth * outputHeight * outputChannels * sampleBytes;
+            if (!spareBuffer || spareBuffer.byteLength < outputBytes) {
+                spareBuffer = new SharedArrayBuffer(outputBytes); // g_out.data
+            }
+            
+            const { report, ...output } = await runFilter(pool, filter, image, nthreads, sharedInputBuffer, spareBuffer, sharedSecondBuffer);
+            if (report && filter.components.reportPath) {
+                fs.writeFileSync(filter.components.reportPath, JSON.stringify(report, null, 2));
+                console.log(`Relatório de ${report.regioes_encontradas} regiões salvo em ${filter.components.reportPath}`);
+            } else if (report) {
+                pendingReport = report;
+                console.log(`Relatório de ${report.regioes_encontradas} regiões enviado pelo canal de resposta`);
+            }
+            
+            // Troca os papéis dos buffers: a saída desta etapa é a entrada da próxima
+            [sharedInputBuffer, spareBuffer] = [spareBuffer, sharedInputBuffer];
+            image = output;
+            
+            // Resultados intermediários (a última etapa é gravada pelo main)
+            const last = i === steps.length - 1;
+            const stepPath = filter.save ||
+                (intermediateDir && !last ? path.join(intermediateDir, `etapa${i + 1}-${filter.name}.${image.channels === 3 ? 'ppm' : 'pgm'}`) : null);
+            if (stepPath) {
+                writeImage(stepPath, imageFromShared(sharedInputBuffer, image));
+                console.log(`Resultado da etapa ${i + 1} (${filter.name}) salvo em ${stepPath}`);
+            }
+        }
+    } finally {
+        // 8) Libera recursos - termina todos os workers
+        if (pool) {
+            await pool.terminate();
+        }
+    }
+    
+    // Copia dados processados de volta para o PGM
+    const outputPgm = imageFromShared(sharedInputBuffer, image);
+    
+    console.log('Processamento concluído');
+    return { outputPgm, report: pendingReport };
+}
+
+// ===== Processamento em faixas (streaming) - opção --banda =====
+// A imagem nunca fica inteira na memória: cada faixa de N linhas é lida do FIFO,
+// processada pelo pool (criado uma única vez) e gravada no disco antes da próxima.
+// A leitura da faixa seguinte é disparada antes do processamento da atual, de modo
+// que E/S e processamento se sobrepõem. Filtros de vizinhança recebem cada faixa
+// com o halo (linhas vizinhas das faixas adjacentes).
+// resolveFilter(header): filtro a aplicar (o do worker ou o enviado pelo sender no cabeçalho)
+async function processStreaming(reader, outputPath, nthreads, bandRows, resolveFilter) {
+    const info = await reader.readHeader();
+    console.log(`Cabeçalho recebido: ${info.w}x${info.h}, maxv=${info.maxv}, canais=${info.channels}`);
+    
+    await streamImage(reader, info, resolveFilter(info.header), (imageInfo) => new NetpbmBandWriter(outputPath, imageInfo), nthreads, bandRows);
+}
+
+/**
+ * Processa em faixas a imagem cujo cabeçalho (info) acabou de ser lido e grava a saída
+ * createWriter({ w, h, maxv, channels }): gravador das faixas (NetpbmBandWriter ou FifoImageBandWriter)
+ */
+async function streamImage(reader, info, filter, createWriter, nthreads, bandRows) {
+    let pool = null;
+    
+    try {
+        const { mode, t1, t2, colorMode, lutParams, sliceOptions } = filter;
+        const radius = getFilterRadius(mode, filter.kernel, filter.neighborhood, filter.plugin);
+        
+        if (mode === MODE_SLICE) {
+            validateSliceParams(t1, t2, info.maxv);
+            resolveSliceOptions(sliceOptions, info.maxv);
+        }
+        
+        const outputChannels = getOutputChannels(info.channels, colorMode);
+        const writer = createWriter({ w: info.w, h: info.h, maxv: info.maxv, channels: outputChannels });
+        
+        // Buffers compartilhados do tamanho de uma faixa (mais o halo), reaproveitados a cada rodada
+        const sampleBytes = bytesPerSample(info.maxv);
+        const sharedInputBuffer = new SharedArrayBuffer((bandRows + 2 * radius) * info.w * info.channels * sampleBytes);
+        const sharedOutputBuffer = new SharedArrayBuffer(bandRows * info.w * outputChannels * sampleBytes);
+        const inputBuffer = createSampleView(sharedInputBuffer, info.maxv);
+        const outputBuffer = createSampleView(sharedOutputBuffer, info.maxv);
+        
+        // Transformações via LUT: a tabela é montada uma vez e vale para todas as faixas
+        const sharedLutBuffer = isLutMode(mode)
+            ? createSharedLut(buildIntensityLut(mode, lutParams, info.maxv), info.maxv)
+            : undefined;
         
-        workers.push(worker);
+        pool = new ThreadPool(nthreads, createFilterConfig(info, filter));
         
-        // Promise para lidar com mensagens do worker
-        const workerPromise = new Promise((resolve, reject) => {
-            let taskCompleted = false;
+        for await (const band of reader.bandsWithHalo(radius)) {
+            inputBuffer.set(band.data);
             
-            worker.on('message', async (message) => {
-                if (message.type === 'TASK_COMPLETED') {
-                    console.log(`Thread ${message.threadId} concluiu tarefa (${message.processedPixels} pixels)`);
-                    // Equivalente a decrementar remaining_tasks e sinalizar sem_done
-                    await coordinator.taskCompleted();
-                    taskCompleted = true;
-                } else if (message.type === 'TASK_ERROR') {
-                    console.error(`Thread ${message.threadId} erro: ${message.error}`);
-                    reject(new Error(message.error));
-                }
-            });
+            const rows = band.rowEnd - band.rowStart;
+            console.log(`Processando faixa: linhas ${band.rowStart}-${band.rowEnd} (entrada ${band.inputRowStart}-${band.inputRowEnd})`);
+            await runFilterPasses(pool, filter, info, nthreads, {
+                sharedInputBuffer,
+                sharedOutputBuffer,
+                sharedLutBuffer,
+                inputRowOffset: band.inputRowStart,
+                outputRowOffset: band.rowStart
+            }, band.rowStart, band.rowEnd);
             
-            worker.on('error', (error) => {
-                if (!taskCompleted) {
-                    reject(error);
-                }
-            });
-            
-            worker.on('exit', (code) => {
-                if (code !== 0 && !taskCompleted) {
-                    reject(new Error(`Worker ${i} saiu com código ${code} antes de completar tarefa`));
-                } else {
-                    resolve();
-                }
-            });
-        });
+            await writer.writeBand(outputBuffer.subarray(0, rows * info.w * outputChannels));
+        }
         
-        workerPromises.push(workerPromise);
+        await writer.close();
+    } finally {
+        if (pool) {
+            await pool.terminate();
+        }
     }
+}
+
+/**
+ * Mostra o modo e os parâmetros de um filtro no log
+ */
+function describeFilter(filter, prefix = '') {
+    const { mode, t1, t2, kernel, sliceAuto, lutParams, sliceOptions, neighborhood } = filter;
     
-    // Distribui tarefas para os workers (equivalente a enqueue na fila de tarefas)
-    console.log('Distribuindo tarefas...');
-    for (let i = 0; i < tasks.length; i++) {
-        const worker = workers[i % nthreads];
-        worker.postMessage({
-            type: 'PROCESS_TASK',
-            task: tasks[i]
-        });
+    console.log(`${prefix}Modo: ${filter.name}`);
+    if (mode === MODE_SLICE && sliceAuto) {
+        console.log(`${prefix}Parâmetros slice: automáticos (${sliceAuto.method})`);
+    } else if (mode === MODE_SLICE) {
+        console.log(`${prefix}Parâmetros slice: t1=${t1}, t2=${t2}`);
+    }
+    if (mode === MODE_SLICE) {
+        const { highlight, background } = sliceOptions;
+        console.log(`${prefix}Variante slice: ${filter.sliceVariantStr}, faixa ${filter.bandStr}, destaque=${highlight !== undefined ? highlight : 'maxv'}` +
+            (sliceOptions.variant === SLICE_BINARY ? `, fundo=${background !== undefined ? background : 0}` : ''));
+    } else if (mode === MODE_CONVOLVE) {
+        console.log(`${prefix}Kernel: ${kernel.name} ${kernel.width}x${kernel.height}, divisor=${kernel.divisor}, bias=${kernel.bias}, borda=${filter.borderStr}`);
+    } else if (neighborhood) {
+        const { element, rank } = neighborhood;
+        console.log(`${prefix}Janela: ${element.shape} ${element.size}x${element.size} (${element.count} pixels)` +
+            `${mode === MODE_RANK ? `, ordem k=${rank}` : ''}, passadas=${neighborhood.passes.join(' -> ')}, borda=${filter.borderStr}`);
+    } else if (filter.geometrySpec) {
+        console.log(`${prefix}Interpolação: ${Object.keys(INTERPOLATIONS)[filter.geometrySpec.interpolation]}`);
+    } else if (filter.components) {
+        const { connectivity, minArea, range, reportPath } = filter.components;
+        console.log(`${prefix}Componentes: ${connectivity}-conectividade, área mínima=${minArea}, ` +
+            `primeiro plano=${range ? `faixa ${filter.bandStr} ${range.t1}-${range.t2}` : 'pixels != 0'}, relatório=${reportPath || 'ao lado da saída (<saída>.json)'}`);
+    } else if (filter.canny) {
+        const { low, high, sigma, radius } = filter.canny;
+        console.log(`${prefix}Canny: limiares baixo=${low} alto=${high}, σ=${sigma} (janela ${2 * radius + 1}x${2 * radius + 1}), borda=${filter.borderStr}`);
+    } else if (filter.dither) {
+        const { method, bayerSize } = filter.dither;
+        console.log(`${prefix}Pontilhado: ${method} (${bayerSize ? `limiar ordenado ${bayerSize}x${bayerSize}` : 'difusão de erro em frente de onda'}), saída 0/maxv`);
+    } else if (filter.adaptive) {
+        const { method, window, k } = filter.adaptive;
+        console.log(`${prefix}Limiar adaptativo: ${method}, janela ${window}x${window}, k=${k}`);
+    } else if (filter.arithmetic) {
+        const { alpha } = filter.arithmetic;
+        console.log(`${prefix}Segunda imagem: enviada pelo sender após a primeira${alpha !== null ? `, peso α=${alpha}` : ''}`);
+    } else if (filter.plugin) {
+        const { params, radius, module } = filter.plugin;
+        console.log(`${prefix}Plugin: ${module}, raio=${radius}, borda=${filter.borderStr}` +
+            Object.entries(params).map(([k, v]) => `, ${k}=${v}`).join(''));
+    } else if (lutParams && Object.keys(lutParams).length > 0) {
+        console.log(`${prefix}Parâmetros ${MODE_NAMES[mode]}: ${Object.entries(lutParams).map(([k, v]) => `${k}=${v}`).join(', ')}`);
     }
+}
+
+/**
+ * Formato de gravação da imagem processada (pbm exige resultado binário; auto usa PBM quando ele for binário)
+ */
+function resolveWriteFormat(outputPgm, outputFormat) {
+    const binary = isBinaryImage(outputPgm);
+    if (outputFormat === 'pbm' && !binary) {
+        throw new Error('Saída PBM requer resultado binário (apenas 0 e maxv); use --formato pgm ou um filtro binário como slice');
+    }
+    return (outputFormat === 'pbm' || (outputFormat === 'auto' && binary)) ? 'pbm' : outputFormat === 'bmp' ? 'bmp' : 'pgm';
+}
+
+/**
+ * Grava a imagem processada no formato resolvido por resolveWriteFormat
+ */
+function writeOutput(outputPath, outputPgm, outputFormat, outputEncoding) {
+    writeImage(outputPath, outputPgm, { format: resolveWriteFormat(outputPgm, outputFormat), encoding: outputEncoding });
+}
+
+// ===== Passos 3) a 6) para uma imagem recebida inteira =====
+// settings: { nthreads, intermediateDir }
+// Retorna { outputPgm, processingTime, report } (report: relatório dos componentes que não foi
+// gravado por não ter reportPath; a gravação, passo 7, fica com quem chamou)
+async function processImage(inputPgm, secondPgm, steps, settings) {
+    const { nthreads, intermediateDir } = settings;
     
-    // 5) Aguarda término de todas as tarefas
-    console.log('Aguardando conclusão das tarefas...');
-    await coordinator.waitForCompletion(); // Equivalente a sem_wait(sem_done)
+    // 3) Cria pool de threads e processa
+    console.log('Iniciando processamento paralelo...');
+    const startTime = Date.now();
     
-    // 8) Libera recursos - termina todos os workers
-    console.log('Terminando worker threads...');
-    for (const worker of workers) {
-        worker.postMessage({ type: 'TERMINATE' });
+    if (inputPgm.channels === 3) {
+        const colorModes = [...new Set(steps.map((step) => step.colorModeStr))];
+        console.log(`Imagem colorida: modo de cor '${colorModes.join("', '")}'`);
     }
     
-    // Aguarda um pouco para que os workers processem a mensagem TERMINATE
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const { outputPgm, report } = await processWithThreadPool(inputPgm, steps, nthreads, intermediateDir, secondPgm);
     
-    // Força o término se necessário
-    for (const worker of workers) {
-        await worker.terminate(); // Equivalente a pthread_join
+    const processingTime = Date.now() - startTime;
+    console.log(`Tempo de processamento: ${processingTime}ms`);
+    return { outputPgm, processingTime, report };
+}
+
+/* ===== Sessão com várias imagens na mesma conexão (quadros) ===== */
+// O sender abre um trabalho (inicio-trabalho), envia um quadro imagem por imagem, com o
+// nome da saída, e fecha o trabalho (fim-trabalho); depois pode abrir outros e termina a
+// sessão com o quadro encerrar. Cada imagem é processada e gravada antes da leitura da
+// próxima (--sessao sequencial) ou a próxima é recebida enquanto a atual é processada
+// (--sessao pipeline). O erro de uma imagem (filtro inválido, formato de saída, ...) vai
+// para o status dela e a sessão continua; erros do protocolo interrompem a sessão.
+// Com o canal de resposta ("resposta" no inicio-trabalho), a imagem processada não é
+// gravada no disco do worker: ela volta ao sender pelo FIFO de resposta, seguida do
+// quadro resultado (status, tempos e erro), e o sender grava a saída.
+
+/**
+ * Número de imagens de um quadro imagem (2 nas operações entre imagens)
+ */
+function getFrameImageCount(frame) {
+    const count = frame.meta.imagens === undefined ? 1 : frame.meta.imagens;
+    if (count !== 1 && count !== 2) {
+        throw new Error(`Quadro imagem com número de imagens inválido: ${frame.meta.imagens} (use 1 ou 2)`);
+    }
+    return count;
+}
+
+/**
+ * Saída de uma imagem da sessão: o nome enviado pelo sender, relativo ao diretório da
+ * saída do worker; sem nome, <saída>-<n>.<ext> (n = posição da imagem na sessão)
+ * Lança Error se o nome for absoluto ou sair desse diretório (ex.: "../outro/a.pgm")
+ */
+function resolveSessionOutput(name, index, outputPath) {
+    if (name === undefined) {
+        const extension = path.extname(outputPath);
+        return path.join(path.dirname(outputPath), `${path.basename(outputPath, extension)}-${index}${extension}`);
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error(`Nome de saída inválido no quadro imagem: ${JSON.stringify(name)}`);
+    }
+    if (path.isAbsolute(name)) {
+        throw new Error(`Nome de saída absoluto no quadro imagem: ${name} (use um nome relativo ao diretório da saída do worker)`);
+    }
+    const outputDir = path.resolve(path.dirname(outputPath));
+    const relative = path.relative(outputDir, path.resolve(outputDir, name));
+    if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new Error(`Nome de saída fora do diretório da saída do worker: ${name}`);
+    }
+    return path.join(path.dirname(outputPath), relative);
+}
+
+/**
+ * Abre o canal de resposta pedido no quadro inicio-trabalho (um FIFO criado pelo sender)
+ * current: canal já aberto na sessão (todos os trabalhos devem usar o mesmo FIFO)
+ */
+function openReplyChannel(replyPath, current) {
+    if (typeof replyPath !== 'string' || replyPath.trim() === '') {
+        throw new Error(`Canal de resposta inválido no quadro inicio-trabalho: ${JSON.stringify(replyPath)}`);
+    }
+    if (current) {
+        if (current.fifoPath !== replyPath) {
+            throw new Error(`Canal de resposta ${replyPath} diferente do já aberto na sessão (${current.fifoPath})`);
+        }
+        return current;
     }
     
-    // Copia dados processados de volta para o PGM
-    outputPgm.data = Buffer.from(outputBuffer);
+    // No Windows não há FIFO no sistema de arquivos (ver ensureFifo do sender)
+    if (process.platform !== 'win32') {
+        let stats;
+        try {
+            stats = fs.statSync(replyPath);
+        } catch (error) {
+            throw new Error(`Canal de resposta ${replyPath} não encontrado: o sender deve criá-lo antes de enviar a sessão`);
+        }
+        if (!stats.isFIFO()) {
+            throw new Error(`Canal de resposta ${replyPath} existe mas não é um FIFO`);
+        }
+    }
     
-    console.log('Processamento concluído');
-    return outputPgm;
+    console.log(`Canal de resposta: ${replyPath} (as saídas voltam ao sender, sem gravação no worker)`);
+    return new FifoWriter(replyPath);
+}
+
+/**
+ * Envia pelo canal de resposta o resultado de uma imagem: a imagem processada
+ * (Header + pixels, se houver e se ainda não foi enviada em faixas) e o quadro resultado
+ */
+async function sendResult(reply, status, outputPgm = null) {
+    if (outputPgm) {
+        const header = new Header();
+        header.setImage(outputPgm);
+        await reply.write(header.toBuffer());
+        await reply.write(samplesToBuffer(outputPgm.data, outputPgm.maxv));
+    }
+    await reply.write(new Frame(FRAME_RESULT, status).toBuffer());
+}
+
+/**
+ * Filtro e formato de saída de uma imagem da sessão
+ * replying: a saída volta pelo canal de resposta (nada é gravado no diretório de saída)
+ * Lança Error se a imagem não puder ser processada (a sessão segue com a próxima)
+ */
+function prepareSessionImage(header, imageCount, imageOutput, settings, replying = false) {
+    const { cliSteps, options, outputEncoding, bandRows, intermediateDir } = settings;
+    const outputFormat = resolveOutputFormat(imageOutput, options.formato);
+    
+    // Relatório dos componentes de cada imagem ao lado da sua saída (sem --relatorio) ou,
+    // com o canal de resposta, devolvido ao sender no quadro resultado
+    let steps = cliSteps;
+    if (steps && (replying || !options.relatorio) && steps.some((step) => step.components)) {
+        steps = clearReportPaths(steps);
+        if (!replying) {
+            resolveReportPaths(steps, imageOutput);
+        }
+    }
+    steps = resolveSteps(header, steps, options, replying ? null : imageOutput);
+    
+    const names = steps.map((step) => step.name).join(' -> ');
+    const usesSecond = steps.some((step) => step.arithmetic);
+    if (usesSecond && imageCount < 2) {
+        throw new Error(`O filtro ${names} usa uma segunda imagem: envie-a no mesmo quadro ("segunda" no lote do sender)`);
+    }
+    if (!usesSecond && imageCount > 1) {
+        throw new Error(`Segunda imagem enviada, mas o filtro ${names} não a usa`);
+    }
+    
+    if (bandRows > 0) {
+        const bandError = getBandSupportError(steps, intermediateDir);
+        if (bandError) {
+            throw new Error(bandError);
+        }
+        if (outputFormat !== 'pgm' || outputEncoding !== PGM_ENCODING_BINARY) {
+            throw new Error('Opção --banda suporta apenas saída PGM/PPM binária (--formato pgm --codificacao binario)');
+        }
+    }
+    
+    if (!replying) {
+        fs.mkdirSync(path.dirname(imageOutput), { recursive: true });
+    }
+    return {
+        steps,
+        outputFormat,
+        // Etapas intermediárias de cada imagem em um subdiretório com o nome da saída
+        intermediateDir: intermediateDir ? path.join(intermediateDir, path.basename(imageOutput, path.extname(imageOutput))) : null
+    };
+}
+
+/**
+ * Processa uma imagem da sessão e retorna o seu status:
+ * { trabalho, indice, saida, status: 'ok' | 'erro', tempo_ms, erro? }
+ * (com canal de resposta, também processamento_ms, formato e codificacao da saída; o
+ * relatório dos componentes vai só no quadro resultado, em "relatorio")
+ * item: { frame, header, images } (header e images só sem --banda, já recebidos)
+ */
+async function processSessionImage(reader, item, index, job, settings) {
+    const { frame } = item;
+    const { nthreads, outputPath, outputEncoding, bandRows } = settings;
+    const position = `${job.results.length + 1}/${job.expected !== undefined ? job.expected : '?'}`;
+    console.log(`--- Trabalho ${job.name}: imagem ${position} ---`);
+    
+    const status = { trabalho: job.name, indice: index, saida: null, status: 'ok', tempo_ms: 0 };
+    const startTime = Date.now();
+    let inBands = false;
+    let outputPgm = null; // imagem a devolver pelo canal de resposta
+    let report = null;    // relatório dos componentes a devolver no quadro resultado
+    
+    try {
+        if (bandRows > 0) {
+            // Em faixas, só o cabeçalho foi lido: os pixels são lidos durante o processamento
+            const imageCount = getFrameImageCount(frame);
+            const info = await reader.readHeader();
+            console.log(`Cabeçalho recebido: ${info.w}x${info.h}, maxv=${info.maxv}, canais=${info.channels}`);
+            let prepared, filter;
+            try {
+                status.saida = resolveSessionOutput(frame.meta.saida, index, outputPath);
+                prepared = prepareSessionImage(info.header, imageCount, status.saida, settings, Boolean(job.reply));
+                filter = prepareFilter(prepared.steps[0], info);
+            } catch (error) {
+                // Descarta os pixels (e a segunda imagem, se houver) para seguir com a próxima
+                await reader.skipImage();
+                for (let i = 1; i < imageCount; i++) {
+                    await reader.readHeader();
+                    await reader.skipImage();
+                }
+                throw error;
+            }
+            // Um erro no meio das faixas deixa a leitura (e o canal de resposta) fora de
+            // sincronia e interrompe a sessão
+            inBands = true;
+            await streamImage(reader, info, filter, job.reply
+                ? (imageInfo) => new FifoImageBandWriter(job.reply, imageInfo)
+                : (imageInfo) => new NetpbmBandWriter(status.saida, imageInfo), nthreads, bandRows);
+            if (job.reply) {
+                Object.assign(status, { formato: 'pgm', codificacao: PGM_ENCODING_BINARY });
+            }
+        } else {
+            const [inputPgm, secondPgm = null] = item.images;
+            status.saida = resolveSessionOutput(frame.meta.saida, index, outputPath);
+            const prepared = prepareSessionImage(item.header, item.images.length, status.saida, settings, Boolean(job.reply));
+            const result = await processImage(inputPgm, secondPgm, prepared.steps, {
+                nthreads,
+                intermediateDir: prepared.intermediateDir
+            });
+            if (job.reply) {
+                const format = resolveWriteFormat(result.outputPgm, prepared.outputFormat);
+                Object.assign(status, { processamento_ms: result.processingTime, formato: format, codificacao: outputEncoding });
+                outputPgm = result.outputPgm;
+                report = result.report;
+            } else {
+                console.log('Salvando imagem processada...');
+                writeOutput(status.saida, result.outputPgm, prepared.outputFormat, outputEncoding);
+            }
+        }
+    } catch (error) {
+        if (inBands) {
+            throw error;
+        }
+        status.status = 'erro';
+        status.erro = error.message;
+    }
+    
+    status.tempo_ms = Date.now() - startTime;
+    console.log(status.status === 'ok'
+        ? `Imagem ${index} (${job.name}): ok -> ${job.reply ? 'canal de resposta' : status.saida} (${status.tempo_ms}ms)`
+        : `Imagem ${index} (${job.name}): ERRO - ${status.erro}`);
+    
+    if (job.reply) {
+        // O sender conhece a saída pelo nome que enviou (o caminho no worker não se aplica)
+        const result = { ...status, saida: frame.meta.saida };
+        if (report) {
+            result.relatorio = report;
+        }
+        await sendResult(job.reply, result, outputPgm);
+    }
+    return status;
+}
+
+/**
+ * Lê e processa os quadros de uma sessão até o quadro encerrar
+ * Retorna o status de cada imagem, na ordem de chegada
+ */
+async function processSession(reader, settings) {
+    const results = [];
+    let reply = null; // canal de resposta (FifoWriter), aberto no primeiro trabalho que o pedir
+    
+    try {
+        const jobCount = await readSession(reader, settings, results, (replyPath) => {
+            reply = openReplyChannel(replyPath, reply);
+            return reply;
+        });
+        const failed = results.filter((result) => result.status !== 'ok').length;
+        console.log(`Sessão encerrada: ${results.length} imagem(ns) em ${jobCount} trabalho(s), ${failed} com erro`);
+        if (reply) {
+            await reply.write(new Frame(FRAME_CLOSE, { imagens: results.length, erros: failed }).toBuffer());
+            await reply.close();
+        }
+        return results;
+    } catch (error) {
+        // Avisa o sender que a sessão foi interrompida (o canal pode já estar fora de sincronia)
+        if (reply) {
+            try {
+                await reply.write(new Frame(FRAME_CLOSE, { erro: error.message }).toBuffer());
+                await reply.close();
+            } catch (replyError) {
+                console.error(`Canal de resposta: ${replyError.message}`);
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Laço dos quadros da sessão: acumula em results o status de cada imagem
+ * openReply(caminho): canal de resposta pedido no quadro inicio-trabalho
+ * Retorna o número de trabalhos ao chegar o quadro encerrar
+ */
+async function readSession(reader, settings, results, openReply) {
+    const { bandRows, sessionMode } = settings;
+    const pipelined = sessionMode === 'pipeline';
+    let job = null;   // trabalho aberto: { name, expected, results, reply }
+    let jobCount = 0;
+    
+    // Próximo quadro; no quadro imagem (sem --banda) também as suas imagens, recebidas inteiras
+    const readItem = async () => {
+        const frame = await reader.readFrame();
+        if (frame.type !== FRAME_IMAGE || bandRows > 0) {
+            return { frame };
+        }
+        const imageCount = getFrameImageCount(frame);
+        let header = null;
+        const images = await receiveImageData(reader, (first) => {
+            header = first;
+            return imageCount;
+        });
+        return { frame, header, images };
+    };
+    
+    console.log(`Sessão com várias imagens (${sessionMode})`);
+    let next = readItem();
+    
+    for (;;) {
+        const item = await next;
+        const { type, meta } = item.frame;
+        next = null;
+        
+        if (type === FRAME_BEGIN_JOB) {
+            if (job) {
+                throw new Error(`Quadro inicio-trabalho com o trabalho ${job.name} ainda aberto`);
+            }
+            jobCount++;
+            job = { name: meta.trabalho !== undefined ? String(meta.trabalho) : `trabalho-${jobCount}`, expected: meta.imagens, results: [] };
+            if (meta.resposta !== undefined) {
+                job.reply = openReply(meta.resposta);
+            }
+            console.log(`=== Trabalho ${job.name}${job.expected !== undefined ? `: ${job.expected} imagem(ns)` : ''} ===`);
+        } else if (type === FRAME_IMAGE) {
+            if (!job) {
+                throw new Error('Quadro imagem fora de um trabalho (falta o quadro inicio-trabalho)');
+            }
+            // Pipeline: a próxima imagem é recebida enquanto esta é processada
+            if (pipelined) {
+                next = readItem();
+                next.catch(() => {}); // o erro é tratado quando o item for aguardado
+            }
+            const status = await processSessionImage(reader, item, results.length + 1, job, settings);
+            results.push(status);
+            job.results.push(status);
+        } else if (type === FRAME_END_JOB) {
+            if (!job) {
+                throw new Error('Quadro fim-trabalho sem trabalho aberto');
+            }
+            const failed = job.results.filter((result) => result.status !== 'ok').length;
+            console.log(`Trabalho ${job.name} concluído: ${job.results.length} imagem(ns), ${job.results.length - failed} ok, ${failed} com erro`);
+            if (job.expected !== undefined && job.expected !== job.results.length) {
+                console.log(`Aviso: o trabalho ${job.name} anunciou ${job.expected} imagem(ns) e enviou ${job.results.length}`);
+            }
+            job = null;
+        } else if (type === FRAME_RESULT) {
+            throw new Error('Quadro resultado recebido pelo worker: ele só vai no canal de resposta');
+        } else {
+            // FRAME_CLOSE
+            if (job) {
+                throw new Error(`Sessão encerrada com o trabalho ${job.name} aberto (falta o quadro fim-trabalho)`);
+            }
+            return jobCount;
+        }
+        
+        if (!next) {
+            next = readItem();
+        }
+    }
 }
 
 // ===== Função main equivalente ao main_worker do código C =====
 async function main() {
+    let reader = null;
+    
     try {
         console.log('=== PROCESSO TRABALHADOR ===');
         
         // parse_args_or_exit();
-        const { fifoPath, outputPath, mode, t1, t2, nthreads } = parseArgs();
+        const {
+            fifoPath, outputPath, nthreads, steps: cliSteps, outputFormat, outputEncoding, bandRows, intermediateDir, sessionMode, options
+        } = parseArgs();
+        let steps = cliSteps; // null: o filtro vem no cabeçalho do sender
         
         console.log(`FIFO: ${fifoPath}`);
         console.log(`Saída: ${outputPath}`);
-        console.log(`Modo: ${mode === MODE_NEG ? 'negativo' : 'slice'}`);
-        if (mode === MODE_SLICE) {
-            console.log(`Parâmetros slice: t1=${t1}, t2=${t2}`);
+        if (!steps) {
+            console.log('Filtro: definido pelo sender no cabeçalho');
+        } else if (steps.length === 1) {
+            describeFilter(steps[0]);
+        } else {
+            console.log(`Cadeia de ${steps.length} filtros: ${steps.map((step) => step.name).join(' -> ')}`);
+            steps.forEach((step, i) => describeFilter(step, `  Etapa ${i + 1}: `));
+            if (intermediateDir) {
+                console.log(`Resultados intermediários em: ${intermediateDir}`);
+            }
         }
         console.log(`Threads: ${nthreads}`);
         
-        // 1) Garante FIFO e abre para leitura + 2) Lê cabeçalho + pixels do FIFO
-        console.log('Aguardando dados via FIFO...');
-        const inputPgm = await receiveImageData(fifoPath);
+        // 1) Garante FIFO e abre para leitura
+        reader = openFifo(fifoPath, bandRows);
         
-        // 3) Cria pool de threads e processa
-        console.log('Iniciando processamento paralelo...');
-        const startTime = Date.now();
+        // Sessão com quadros: várias imagens, cada uma com o seu nome de saída
+        if (await reader.isSession()) {
+            const results = await processSession(reader, {
+                outputPath, nthreads, cliSteps, options, outputEncoding, bandRows, intermediateDir, sessionMode
+            });
+            const failed = results.filter((result) => result.status !== 'ok').length;
+            if (failed > 0) {
+                throw new Error(`${failed} de ${results.length} imagem(ns) da sessão com erro`);
+            }
+            console.log('Processo trabalhador finalizado com sucesso');
+            return;
+        }
         
-        const outputPgm = await processWithThreadPool(inputPgm, mode, t1, t2, nthreads);
+        if (bandRows > 0) {
+            // Leitura, processamento e gravação intercalados por faixa
+            const startTime = Date.now();
+            await processStreaming(reader, outputPath, nthreads, bandRows, (header) => {
+                const [filter] = resolveSteps(header, cliSteps, options, outputPath);
+                // O filtro do worker já foi conferido em parseArgs
+                const bandError = cliSteps ? null : getBandSupportError([filter], intermediateDir);
+                if (bandError) {
+                    throw new Error(bandError);
+                }
+                return filter;
+            });
+            console.log(`Tempo total (streaming): ${Date.now() - startTime}ms`);
+            console.log('Processo trabalhador finalizado com sucesso');
+            return;
+        }
         
-        const endTime = Date.now();
-        const processingTime = endTime - startTime;
+        // 2) Lê cabeçalho + pixels do FIFO
+        console.log('Aguardando dados via FIFO...');
+        // Operações entre imagens: o sender envia uma segunda imagem na mesma conexão
+        const [inputPgm, secondPgm = null] = await receiveImageData(reader, (header) => {
+            steps = resolveSteps(header, cliSteps, options, outputPath);
+            return steps.some((step) => step.arithmetic) ? 2 : 1;
+        });
         
-        console.log(`Tempo de processamento: ${processingTime}ms`);
+        // 3) a 6) Processa a imagem (relatório dos componentes: padrão <saída>.json)
+        resolveReportPaths(steps, outputPath);
+        const { outputPgm } = await processImage(inputPgm, secondPgm, steps, { nthreads, intermediateDir });
         
         // 7) Grava imagem de saída
         console.log('Salvando imagem processada...');
-        writePGM(outputPath, outputPgm);
+        writeOutput(outputPath, outputPgm, outputFormat, outputEncoding);
         
         // 9) Fim
         console.log('Processo trabalhador finalizado com sucesso');
@@ -290,6 +1819,10 @@ async function main() {
     } catch (error) {
         console.error('Erro no processo trabalhador:', error.message);
         process.exit(1);
+    } finally {
+        if (reader) {
+            reader.close();
+        }
     }
 }
 
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// verificar-pontilhado.js - Confere o pontilhado em frente de onda
+// Processa imagens de teste com o worker (pontilhado por difusão de erro, várias
+// quantidades de threads) e compara a saída, amostra por amostra, com a versão
+// sequencial de referência (diffuseSequential). Uso: node verificar-pontilhado.js
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PGM, PPM, writeImage, readImage } = require('./src/pgm-utils');
+const { diffuseSequential } = require('./src/dither');
+
+/* ===== CONFIGURAÇÃO ===== */
+const CONFIG = {
+    metodos: ['floyd-steinberg', 'atkinson'],
+    threads: [1, 2, 3, 4],
+    imagens: [
+        { nome: 'cinza8', w: 150, h: 67, maxv: 255, canais: 1 },
+        { nome: 'cinza16', w: 70, h: 41, maxv: 65535, canais: 1 },
+        { nome: 'cor8', w: 90, h: 33, maxv: 255, canais: 3 }
+    ]
+};
+
+/**
+ * Imagem de teste: gradiente diagonal com ruído (gerador congruencial, sempre igual)
+ */
+function gerarImagem({ w, h, maxv, canais }) {
+    const imagem = canais === 3 ? new PPM(w, h, maxv) : new PGM(w, h, maxv);
+    let semente = 12345;
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            for (let c = 0; c < canais; c++) {
+                semente = (semente * 1103515245 + 12345) >>> 0;
+                const ruido = (semente / 2 ** 32 - 0.5) * 0.2;
+                const tom = (x + y + c * 7) / (w + h + 14) + ruido;
+                imagem.data[(y * w + x) * canais + c] = Math.round(Math.min(1, Math.max(0, tom)) * maxv);
+            }
+        }
+    }
+    return imagem;
+}
+
+function executarComando(comando, args) {
+    return new Promise((resolve, reject) => {
+        const processo = spawn(comando, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let erros = '';
+        processo.stderr.on('data', (dados) => { erros += dados; });
+        processo.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`${path.basename(args[0])} falhou (${code}): ${erros.trim()}`));
+            }
+        });
+        processo.on('error', reject);
+    });
+}
+
+/**
+ * Envia a imagem ao worker pelo FIFO e devolve a imagem pontilhada gravada por ele
+ */
+async function pontilharNoWorker(fifo, entrada, saida, metodo, nthreads) {
+    const worker = executarComando(process.execPath, [path.join(__dirname, 'src', 'worker.js'), fifo, saida, 'pontilhado', metodo, String(nthreads)]);
+    const sender = executarComando(process.execPath, [path.join(__dirname, 'src', 'sender.js'), fifo, entrada]);
+    await Promise.all([worker, sender]);
+    return readImage(saida);
+}
+
+async function verificar() {
+    if (process.platform === 'win32') {
+        console.error('❌ A verificação usa FIFOs (mkfifo) e não roda no Windows');
+        process.exit(1);
+    }
+
+    const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'pontilhado-'));
+    const fifo = path.join(pasta, 'imgpipe');
+    execFileSync('mkfifo', [fifo]);
+
+    let falhas = 0;
+    try {
+        for (const config of CONFIG.imagens) {
+            const imagem = gerarImagem(config);
+            const extensao = config.canais === 3 ? '.ppm' : '.pgm';
+            const entrada = path.join(pasta, config.nome + extensao);
+            writeImage(entrada, imagem);
+
+            for (const metodo of CONFIG.metodos) {
+                const referencia = new Array(imagem.getDataSize());
+                diffuseSequential(imagem.data, referencia, imagem.w, imagem.h, metodo, imagem.maxv, imagem.channels);
+
+                for (const nthreads of CONFIG.threads) {
+                    const saida = path.join(pasta, `${config.nome}-${metodo}-${nthreads}${extensao}`);
+                    const resultado = await pontilharNoWorker(fifo, entrada, saida, metodo, nthreads);
+
+                    let diferentes = 0;
+                    for (let i = 0; i < referencia.length; i++) {
+                        if (resultado.data[i] !== referencia[i]) diferentes++;
+                    }
+                    const caso = `${config.nome} ${imagem.w}x${imagem.h}, ${metodo}, ${nthreads} thread(s)`;
+                    if (diferentes === 0) {
+                        console.log(`✅ ${caso}: idêntico à versão sequencial`);
+                    } else {
+                        console.log(`❌ ${caso}: ${diferentes} de ${referencia.length} amostras diferentes`);
+                        falhas++;
+                    }
+                }
+            }
+        }
+    } finally {
+        fs.rmSync(pasta, { recursive: true, force: true });
+    }
+
+    if (falhas > 0) {
+        console.error(`\n❌ ${falhas} caso(s) diferentes da versão sequencial`);
+        process.exit(1);
+    }
+    console.log('\n✅ Frente de onda idêntica à versão sequencial em todos os casos');
+}
+
+// Executa se chamado diretamente
+if (require.main === module) {
+    verificar().catch((error) => {
+        console.error('❌ Erro:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { verificar };